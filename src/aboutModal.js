@@ -1,3 +1,5 @@
+import config from './config.js';
+
 /**
  * About modal implementation - shows project information in a modal dialog
  */
@@ -33,7 +35,7 @@ class AboutModal {
     // Create title
     const title = document.createElement('h2');
     title.id = 'about-title';
-    title.textContent = 'About HSK Land';
+    title.textContent = `About ${config.dataset.title}`;
     
     // Create content
     const content = document.createElement('div');
@@ -0,0 +1,48 @@
+import config from './config.js';
+import { parseFlashcard } from './lib/parseFlashcard.js';
+import { createAnkiNote, createAnkiImportFile } from './lib/ankiNotes.js';
+
+const PARALLEL_REQUESTS = 6;
+
+/**
+ * Builds an Anki import file for the given words. Cards are fetched from the
+ * server and images are referenced by URL, so Anki shows them while online.
+ * For an offline deck with bundled images use utils/createAnkiDeck.js.
+ *
+ * @param {Array<string>} words - Words to export
+ * @param {Function} [onProgress] - Called with (loadedCount, totalCount)
+ * @returns {Promise<string>} Contents of the Anki import file
+ */
+export async function createAnkiExport(words, onProgress) {
+  const notes = [];
+  let loaded = 0;
+
+  for (let i = 0; i < words.length; i += PARALLEL_REQUESTS) {
+    const batch = words.slice(i, i + PARALLEL_REQUESTS);
+    const cards = await Promise.all(batch.map(loadCardText));
+
+    batch.forEach((word, index) => {
+      if (!cards[index]) return; // Skip words without a card
+
+      notes.push(createAnkiNote(word, parseFlashcard(cards[index]), {
+        imageSrc: `${config.imagesFolder}${word}.webp`,
+        tags: ['hsk-land']
+      }));
+    });
+
+    loaded += batch.length;
+    if (onProgress) onProgress(loaded, words.length);
+  }
+
+  return createAnkiImportFile(notes, { deckName: config.dataset.title });
+}
+
+async function loadCardText(word) {
+  try {
+    const response = await fetch(`${config.cardsFolder}${word}.md`, { cache: 'force-cache' });
+    return response.ok ? await response.text() : '';
+  } catch (error) {
+    console.warn(`Failed to load card for ${word}:`, error);
+    return '';
+  }
+}
@@ -0,0 +1,235 @@
+import './characterExplorer.css';
+import config from './config.js';
+import { getWordPoints } from './points.js';
+import { getLevelColor } from './mapStyles.js';
+import { fitToCoordinates } from './fitToCoordinates.js';
+import { hasHanziData, getHanziDictionary } from './hanziData.js';
+import { formatLevel } from './lib/datasetManifest.js';
+import {
+  countCharacterFrequency,
+  findWordsWithCharacter,
+  createRegionHulls
+} from './lib/characterSpread.js';
+
+const TOP_CHARACTERS_COUNT = 40;
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Character explorer map mode: pick a character or radical and see every
+ * word that uses it, outlined per region or as a heat map, with the words
+ * listed by HSK level.
+ */
+class CharacterExplorer {
+  constructor() {
+    this.element = null;
+    this.map = null;
+    this.isOpen = false;
+    this.openWordCallback = null;
+    this.character = null;
+  }
+
+  /**
+   * Initialize the explorer panel
+   * @param {Object} map - MapLibre map instance
+   * @param {Function} openWordCallback - Opens a word card and flies to it
+   */
+  init(map, openWordCallback) {
+    this.map = map;
+    this.openWordCallback = openWordCallback;
+
+    this.element = document.createElement('div');
+    this.element.className = 'explorer-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.innerHTML = `
+      <div class="explorer-panel-content">
+        <button class="explorer close-btn" aria-label="Close character explorer">&times;</button>
+        <h3>Character Explorer</h3>
+        <form class="explorer-form">
+          <input type="text" class="explorer-input" maxlength="1" placeholder="心" aria-label="Character or radical">
+          <button type="submit">Show</button>
+        </form>
+        <div class="explorer-render-mode">
+          <label><input type="radio" name="explorer-render" value="hull" checked> Outline regions</label>
+          <label><input type="radio" name="explorer-render" value="heat"> Heat map</label>
+        </div>
+        <div class="explorer-top"></div>
+        <div class="explorer-result"></div>
+      </div>
+    `;
+
+    this.element.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.element.querySelector('.explorer-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const character = this.element.querySelector('.explorer-input').value.trim();
+      if (character) this.show(character);
+    });
+    this.element.querySelectorAll('[name="explorer-render"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        if (this.character) this.show(this.character);
+      });
+    });
+    this.element.addEventListener('click', (e) => {
+      const character = e.target.closest('[data-character]')?.dataset.character;
+      if (character) this.show(character);
+
+      const word = e.target.closest('[data-word]')?.dataset.word;
+      if (word && this.openWordCallback) this.openWordCallback(word);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  open() {
+    if (!this.element) return this; // Map is not created yet
+
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    this.renderTopCharacters();
+    this.element.querySelector('.explorer-input').focus();
+    return this;
+  }
+
+  close() {
+    if (!this.element) return this;
+
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    this.clearMap();
+    return this;
+  }
+
+  async renderTopCharacters() {
+    const topElement = this.element.querySelector('.explorer-top');
+    if (topElement.childElementCount > 0) return;
+
+    try {
+      const points = await getWordPoints();
+      const top = countCharacterFrequency(points.keys(), config.dataset.script).slice(0, TOP_CHARACTERS_COUNT);
+      topElement.innerHTML = `
+        <h4>Most common characters</h4>
+        <div class="explorer-characters">
+          ${top.map(({ character, count }) => `
+            <button class="explorer-character" data-character="${character}" title="${count} words">${character}</button>
+          `).join('')}
+        </div>
+      `;
+    } catch (error) {
+      console.warn('Failed to count characters:', error);
+    }
+  }
+
+  /**
+   * Shows words with the character on the map
+   * @param {string} character - Character or radical
+   */
+  async show(character) {
+    this.character = character;
+    this.element.querySelector('.explorer-input').value = character;
+    const resultElement = this.element.querySelector('.explorer-result');
+
+    try {
+      const points = await getWordPoints();
+      const dictionary = hasHanziData() ? await getDictionary() : null;
+      const words = findWordsWithCharacter(character, points.keys(), dictionary)
+        .sort((a, b) => (points.get(a).level ?? Infinity) - (points.get(b).level ?? Infinity));
+
+      this.renderResult(character, words, points);
+      this.highlightOnMap(words, points);
+    } catch (error) {
+      console.error(`Failed to explore ${character}:`, error);
+      resultElement.innerHTML = '<p class="no-data">Failed to find words.</p>';
+    }
+  }
+
+  renderResult(character, words, points) {
+    const resultElement = this.element.querySelector('.explorer-result');
+    if (words.length === 0) {
+      resultElement.innerHTML = `<p class="no-data">No words with ${character} on the map.</p>`;
+      return;
+    }
+
+    const byLevel = new Map();
+    words.forEach(word => {
+      const level = points.get(word).level;
+      if (!byLevel.has(level)) byLevel.set(level, []);
+      byLevel.get(level).push(word);
+    });
+    const regionCount = new Set(words.map(word => points.get(word).parent)).size;
+
+    resultElement.innerHTML = `
+      <p class="explorer-summary">
+        <strong>${words.length}</strong> words with ${character} in <strong>${regionCount}</strong> regions
+      </p>
+      ${[...byLevel].map(([level, levelWords]) => `
+        <div class="stats-section">
+          <h4>${level ? formatLevel(config.dataset.levels, level) : 'Other'} (${levelWords.length})</h4>
+          <div class="explorer-words">
+            ${levelWords.map(word => `
+              <button class="explorer-word" data-word="${word}" style="border-color: ${getLevelColor(level)}">${word}</button>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  highlightOnMap(words, points) {
+    const matches = words.map(word => points.get(word));
+    const renderMode = this.element.querySelector('[name="explorer-render"]:checked').value;
+
+    this.map.getSource('highlighted-nodes').setData({
+      type: 'FeatureCollection',
+      features: words.map(word => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: points.get(word).coordinates },
+        properties: { color: getLevelColor(points.get(word).level), size: 1 }
+      }))
+    });
+    this.map.getSource('highlighted-edges').setData(EMPTY_COLLECTION);
+    this.map.getSource('highlighted-region').setData(EMPTY_COLLECTION);
+
+    this.map.getSource('character-hulls').setData(renderMode === 'hull' ? {
+      type: 'FeatureCollection',
+      features: createRegionHulls(matches)
+    } : EMPTY_COLLECTION);
+    this.map.getSource('character-heat').setData(renderMode === 'heat' ? {
+      type: 'FeatureCollection',
+      features: matches.map(({ coordinates }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: {}
+      }))
+    } : EMPTY_COLLECTION);
+
+    fitToCoordinates(this.map, matches.map(({ coordinates }) => coordinates), this.element);
+  }
+
+  clearMap() {
+    if (!this.character) return;
+
+    this.character = null;
+    ['highlighted-nodes', 'character-hulls', 'character-heat'].forEach(source => {
+      this.map.getSource(source)?.setData(EMPTY_COLLECTION);
+    });
+  }
+}
+
+async function getDictionary() {
+  try {
+    return await getHanziDictionary();
+  } catch (error) {
+    // Without the dictionary only words that contain the character itself match
+    console.warn('Failed to load character dictionary:', error);
+    return null;
+  }
+}
+
+// Create and export a singleton instance
+export const characterExplorer = new CharacterExplorer();
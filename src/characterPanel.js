@@ -0,0 +1,200 @@
+import './characterPanel.css';
+import { getHanziDictionary, getStrokeData } from './hanziData.js';
+import { getWordPoints } from './points.js';
+import {
+  buildComponentTree,
+  findWordsWithComponent,
+  getMedianPath,
+  getMedianLength
+} from './lib/hanziDecomposition.js';
+
+const COMPONENT_COLOR = '#e56aaa';
+const MAX_LISTED_WORDS = 60;
+// Seconds per stroke in the stroke order animation
+const STROKE_DURATION = 0.6;
+const STROKE_WIDTH = 128;
+
+let svgIdCounter = 0;
+
+/**
+ * Per-character panel in the sidebar: stroke order animation, component tree
+ * and words on the map that share a component. Character data is loaded on
+ * demand from the dataset's hanzi folder.
+ */
+class CharacterPanel {
+  constructor() {
+    this.map = null;
+    this.openWordCallback = null;
+  }
+
+  /**
+   * @param {Object} map - MapLibre map instance
+   * @param {Function} openWordCallback - Opens a word card and flies to it
+   */
+  init(map, openWordCallback) {
+    this.map = map;
+    this.openWordCallback = openWordCallback;
+    return this;
+  }
+
+  /**
+   * Renders the panel for a word into the container
+   * @param {HTMLElement} container - Element that receives the panel
+   * @param {string} word - Word of the open card
+   * @param {Object} [options]
+   * @param {boolean} [options.collapsed] - Start with the panel collapsed
+   */
+  async render(container, word, { collapsed = false } = {}) {
+    const characters = [...new Set(word)];
+    container.innerHTML = `
+      <details class="flashcard-section character-panel" data-section="characters" ${collapsed ? '' : 'open'}>
+        <summary>Characters</summary>
+        <div class="character-tabs">
+          ${characters.map(character => `
+            <button class="character-tab" data-character="${character}">${character}</button>
+          `).join('')}
+        </div>
+        <div class="character-detail"></div>
+        <div class="component-words"></div>
+      </details>
+    `;
+
+    container.addEventListener('click', (e) => {
+      const tab = e.target.closest('.character-tab');
+      if (tab) this.showCharacter(container, tab.dataset.character);
+
+      const component = e.target.closest('.component');
+      if (component) this.showComponentWords(container, component.dataset.component);
+
+      if (e.target.closest('.stroke-replay')) {
+        const svg = container.querySelector('.stroke-order');
+        if (svg) svg.outerHTML = svg.outerHTML; // Restarts CSS animations
+      }
+
+      const wordChip = e.target.closest('.component-word');
+      if (wordChip && this.openWordCallback) this.openWordCallback(wordChip.dataset.word);
+    });
+
+    await this.showCharacter(container, characters[0]);
+  }
+
+  async showCharacter(container, character) {
+    container.querySelectorAll('.character-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.character === character);
+    });
+    container.querySelector('.component-words').innerHTML = '';
+
+    const detail = container.querySelector('.character-detail');
+    detail.innerHTML = '<div class="no-data">Loading…</div>';
+
+    try {
+      const [dictionary, strokes] = await Promise.all([getHanziDictionary(), getStrokeData(character)]);
+      // The user may have switched to another character while we were loading
+      if (!container.querySelector(`.character-tab.active[data-character="${character}"]`)) return;
+
+      const entry = dictionary.get(character);
+      detail.innerHTML = `
+        <div class="stroke-view">
+          ${strokes ? renderStrokes(strokes) : '<div class="no-data">No stroke data</div>'}
+          ${strokes ? `<button class="stroke-replay">Replay · ${strokes.strokes.length} strokes</button>` : ''}
+        </div>
+        <div class="character-info">
+          ${entry ? `
+            <div class="character-meaning">${entry.pinyin?.join(', ') || ''} ${entry.definition || ''}</div>
+            ${entry.radical ? `<div class="character-radical">Radical: ${renderComponent(entry.radical)}</div>` : ''}
+          ` : ''}
+          <div class="component-tree-title">Components <small>(click one to find words with it)</small></div>
+          ${renderTree(buildComponentTree(character, dictionary))}
+        </div>
+      `;
+    } catch (error) {
+      console.warn(`Failed to show character ${character}:`, error);
+      detail.innerHTML = '<div class="no-data">Character data is not available.</div>';
+    }
+  }
+
+  async showComponentWords(container, component) {
+    const list = container.querySelector('.component-words');
+    list.innerHTML = '<div class="no-data">Searching…</div>';
+
+    try {
+      const [dictionary, points] = await Promise.all([getHanziDictionary(), getWordPoints()]);
+      const words = findWordsWithComponent(component, points.keys(), dictionary)
+        .sort((a, b) => (points.get(a).level ?? Infinity) - (points.get(b).level ?? Infinity));
+
+      list.innerHTML = `
+        <div class="component-words-title">${words.length} words with ${component}</div>
+        <div class="component-word-list">
+          ${words.slice(0, MAX_LISTED_WORDS).map(word => `
+            <button class="component-word" data-word="${word}">${word}</button>
+          `).join('')}
+          ${words.length > MAX_LISTED_WORDS ? `<span class="no-data">+${words.length - MAX_LISTED_WORDS} more on the map</span>` : ''}
+        </div>
+      `;
+      this.highlightWords(words, points);
+    } catch (error) {
+      console.warn(`Failed to find words with ${component}:`, error);
+      list.innerHTML = '<div class="no-data">Could not search words.</div>';
+    }
+  }
+
+  highlightWords(words, points) {
+    if (!this.map) return;
+
+    this.map.getSource('highlighted-nodes').setData({
+      type: 'FeatureCollection',
+      features: words.map(word => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: points.get(word).coordinates },
+        properties: { color: COMPONENT_COLOR, size: 1 }
+      }))
+    });
+    this.map.getSource('highlighted-edges').setData({ type: 'FeatureCollection', features: [] });
+  }
+}
+
+function renderStrokes({ strokes, medians }) {
+  const id = `strokes-${svgIdCounter++}`;
+  const clipPaths = strokes.map((stroke, index) => `
+    <clipPath id="${id}-${index}"><path d="${stroke}"/></clipPath>
+  `).join('');
+  const animatedStrokes = medians.map((median, index) => {
+    const length = Math.ceil(getMedianLength(median) + STROKE_WIDTH);
+    return `
+      <path class="stroke-animated" d="${getMedianPath(median)}" clip-path="url(#${id}-${index})"
+        style="stroke-dasharray: ${length}; stroke-dashoffset: ${length}; animation-delay: ${index * STROKE_DURATION}s"/>
+    `;
+  }).join('');
+
+  // Make Me A Hanzi coordinates have the y axis pointing up
+  return `
+    <svg class="stroke-order" viewBox="0 0 1024 1024">
+      <g transform="scale(1, -1) translate(0, -900)">
+        <defs>${clipPaths}</defs>
+        ${strokes.map(stroke => `<path class="stroke-outline" d="${stroke}"/>`).join('')}
+        ${animatedStrokes}
+      </g>
+    </svg>
+  `;
+}
+
+function renderTree(node) {
+  if (node.children.length === 0) {
+    return '<div class="no-data">This character is a basic component.</div>';
+  }
+  return `<ul class="component-tree">${node.children.map(renderTreeNode).join('')}</ul>`;
+}
+
+function renderTreeNode(node) {
+  const children = node.children.length > 0
+    ? `<ul>${node.children.map(renderTreeNode).join('')}</ul>`
+    : '';
+  return `<li>${renderComponent(node.character)}${children}</li>`;
+}
+
+function renderComponent(character) {
+  return `<button class="component" data-component="${character}">${character}</button>`;
+}
+
+// Create and export a singleton instance
+export const characterPanel = new CharacterPanel();
@@ -1,57 +1,68 @@
+import { createDefaultManifest, resolveDataset } from './lib/datasetManifest.js';
+
 const hostName = window.location.hostname;
 const isDev = hostName !== 'anvaka.github.io';
 const server = isDev ? `http://${hostName}:8080/` : 'https://anvaka.github.io/lang-land-data/';
 const params = new URLSearchParams(window.location.search);
 const version = params.get('v') || 'hsk/v1';
+const datasetUrl = server + version + '/';
 
-export default {
-  serverUrl: server + version + '/',
+/**
+ * Dataset specific fields (source URLs and `dataset` with title, language,
+ * script, edit link and levels) start with the defaults of the HSK map and
+ * are replaced by `loadDataset()` once the dataset manifest is fetched.
+ * See lib/datasetManifest.js for the description of each source.
+ */
+const config = {
   // vectorTilesSource: 'http://192.168.86.79:8082/data/cities.json',
   glyphsSource:  'https://anvaka.github.io/map-of-github-data/fonts/{fontstack}/{range}.pbf',
-  /**
-   * Defines outline of the countries
-   */
-  bordersSource: `${server}${version}/borders.geojson`,
-
-  /**
-   * These are our words on the map.
-   */
-  pointsSource: `${server}${version}/points.geojson`,
 
   /**
-   * Country names.
+   * Describes the dataset: source files, language and levels.
    */
-  placesSource: `${server}${version}/places.geojson`,
+  manifestUrl: `${datasetUrl}manifest.json`,
 
   /**
-   * Roads data, used for the roads layer.
+   * List of datasets hosted on the server, used by the dataset switcher.
    */
-  roadsSource: `${server}${version}/roads.geojson`,
+  datasetsUrl: `${server}datasets.json`,
 
-  /**
-   * Regions boundaries within country (voronoi polygons).
-   */
-  regionsSource: `${server}${version}/regions.geojson`,
+  ...resolveDataset(createDefaultManifest(version), version, datasetUrl)
+};
 
-  /**
-   * Images under the regions.
-   */
-  rasterTilesSource: `${server}${version}/tiles/{z}/{x}/{y}.webp`,
+export default config;
 
-  /**
-   * Graph file contains all relationships between words.
-   */
-  graphFileUrl: `${server}${version}/graph.dot`,
+/**
+ * Loads the manifest of the current dataset into config. Datasets without
+ * a manifest keep the default layout.
+ */
+export async function loadDataset() {
+  try {
+    const response = await fetch(config.manifestUrl);
+    if (!response.ok) return config;
 
-  /**
-   * Main definition of the words (key = word, value = definition).
-   */
-  flashcardsUrl: `${server}${version}/flashcards.json`,
+    Object.assign(config, resolveDataset(await response.json(), version, datasetUrl));
+  } catch (error) {
+    console.warn('Failed to load dataset manifest, using defaults:', error);
+  }
+  return config;
+}
 
-  cardsFolder: `${server}${version}/cards/`,
+/**
+ * @returns {Promise<Array>} Datasets available on the server as [{id, title}].
+ * Always includes the current dataset.
+ */
+export async function loadDatasetList() {
+  let datasets = [];
+  try {
+    const response = await fetch(config.datasetsUrl);
+    if (response.ok) datasets = await response.json();
+  } catch (error) {
+    console.warn('Failed to load dataset list:', error);
+  }
 
-  /**
-   * Images folder contains all images used in the flashcards.
-   */
-  imagesFolder: `${server}${version}/images_optimized/`,
-};
\ No newline at end of file
+  if (!datasets.some(dataset => dataset.id === config.dataset.id)) {
+    datasets.unshift({ id: config.dataset.id, title: config.dataset.title });
+  }
+  return datasets;
+}
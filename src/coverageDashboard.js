@@ -0,0 +1,155 @@
+import config from './config.js';
+import { getWordPoints } from './points.js';
+import { getPlaces } from './places.js';
+import { fitToCoordinates } from './fitToCoordinates.js';
+import { formatLevel } from './lib/datasetManifest.js';
+import { summarizeCoverage, nameCountries, createFogMask } from './lib/coverage.js';
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Coverage dashboard of the stats sidebar: discovered and known words per
+ * semantic country and per level. Picking a country zooms to it and fogs
+ * the rest of the map.
+ */
+class CoverageDashboard {
+  constructor() {
+    this.map = null;
+    this.container = null;
+    this.countries = new Map(); // String key -> {name, coordinates}
+    this.focusedCountry = null;
+    this.countryNamesPromise = null;
+  }
+
+  /**
+   * @param {Object} map - MapLibre map instance
+   */
+  init(map) {
+    this.map = map;
+    return this;
+  }
+
+  /**
+   * Renders coverage tables
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} progress
+   * @param {Set<string>} progress.discovered - Words the learner opened
+   * @param {Set<string>} progress.known - Words marked as known
+   */
+  async render(container, progress) {
+    this.container = container;
+    let points;
+    try {
+      points = await getWordPoints();
+    } catch (error) {
+      container.innerHTML = '<p class="no-data">Failed to load words of the map.</p>';
+      return;
+    }
+    const names = await this.getCountryNames(points);
+
+    this.countries = new Map();
+    points.forEach(({ coordinates, parent }) => {
+      if (parent === null || parent === undefined) return;
+      const key = String(parent);
+      if (!this.countries.has(key)) {
+        this.countries.set(key, { name: names.get(parent) || `Region ${parent}`, coordinates: [] });
+      }
+      this.countries.get(key).coordinates.push(coordinates);
+    });
+
+    const byCountry = summarizeCoverage(points, point => point.parent, progress)
+      .sort((a, b) => b.total - a.total);
+    const byLevel = summarizeCoverage(points, point => point.level, progress)
+      .sort((a, b) => a.key - b.key);
+
+    container.innerHTML = `
+      <p class="coverage-legend">
+        <span class="coverage-swatch discovered"></span> discovered
+        <span class="coverage-swatch known"></span> known
+      </p>
+      <table class="coverage-table">
+        <tbody>
+          ${byLevel.map(group => renderRow(formatLevel(config.dataset.levels, group.key), group)).join('')}
+        </tbody>
+      </table>
+      <div class="coverage-countries">
+        <table class="coverage-table">
+          <tbody>
+            ${byCountry.map(group => renderRow(this.countries.get(String(group.key)).name, group, {
+              country: String(group.key),
+              focused: String(group.key) === this.focusedCountry
+            })).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Zooms to a country and fogs the rest of the map. Picking the focused country again clears the fog.
+   * @param {string} key - Country key from the `data-country` attribute
+   * @param {HTMLElement} panel - Right side panel that covers part of the map
+   */
+  toggleCountry(key, panel) {
+    const country = this.countries.get(key);
+    if (!country || key === this.focusedCountry) {
+      this.clearFocus();
+      return;
+    }
+
+    this.focusedCountry = key;
+    this.map.getSource('country-fog').setData({
+      type: 'FeatureCollection',
+      features: [createFogMask(country.coordinates)]
+    });
+    fitToCoordinates(this.map, country.coordinates, panel);
+    this.updateFocusedRow();
+  }
+
+  clearFocus() {
+    if (this.focusedCountry === null) return;
+
+    this.focusedCountry = null;
+    this.map.getSource('country-fog')?.setData(EMPTY_COLLECTION);
+    this.updateFocusedRow();
+  }
+
+  updateFocusedRow() {
+    this.container?.querySelectorAll('[data-country]').forEach(row => {
+      row.classList.toggle('focused', row.dataset.country === this.focusedCountry);
+    });
+  }
+
+  getCountryNames(points) {
+    if (!this.countryNamesPromise) {
+      this.countryNamesPromise = getPlaces()
+        .then(places => nameCountries(places, points))
+        .catch(error => {
+          // Places are optional, countries are numbered without them
+          console.warn('Failed to load places for coverage:', error);
+          this.countryNamesPromise = null;
+          return new Map();
+        });
+    }
+    return this.countryNamesPromise;
+  }
+}
+
+function renderRow(name, { total, discovered, known }, { country, focused } = {}) {
+  const percent = count => (total ? 100 * count / total : 0).toFixed(1);
+  return `
+    <tr class="coverage-row ${focused ? 'focused' : ''}" ${country ? `data-country="${country}" title="Show on the map"` : ''}>
+      <td class="coverage-name">${name}</td>
+      <td class="coverage-bar-cell">
+        <div class="coverage-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${discovered}">
+          <div class="coverage-bar-discovered" style="width: ${percent(discovered)}%"></div>
+          <div class="coverage-bar-known" style="width: ${percent(known)}%"></div>
+        </div>
+      </td>
+      <td class="coverage-count">${discovered} / ${total}</td>
+    </tr>
+  `;
+}
+
+// Create and export a singleton instance
+export const coverageDashboard = new CoverageDashboard();
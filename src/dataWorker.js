@@ -0,0 +1,108 @@
+/**
+ * Loads and prepares the big data files off the main thread, so the page
+ * only receives ready-to-use structures.
+ *
+ * Requests are {id, type, ...params} and replies are {id, result} or {id, error}:
+ * - graph {compactUrl, dotUrl}: columns of the compact graph format
+ *   (see lib/compactGraph.js), the compact file when the dataset has one, DOT otherwise
+ * - regions {url}: {featureCollection, featureIds} with numeric feature ids
+ *   (see lib/regionFeatures.js)
+ * - search-index {compactUrl, dotUrl, flashcardsUrl}: search index of all words
+ *   (see lib/searchIndex.js), with pinyin and English when flashcards load
+ *
+ * Use it through dataWorkerClient.js.
+ */
+import ngraphFromDot from 'ngraph.fromdot';
+import { normalizeDotGraph, encodeCompactGraph, decodeCompactGraph } from './lib/compactGraph.js';
+import { generateFeatureIds } from './lib/regionFeatures.js';
+import { createSearchIndex } from './lib/searchIndex.js';
+import { extractTitles } from './lib/parseFlashcard.js';
+import { isServiceNode } from './lib/graphPaths.js';
+
+// Node ids of the loaded graphs, so the search index doesn't download the graph again
+const graphIds = new Map();
+
+const tasks = {
+  async graph({ compactUrl, dotUrl }) {
+    const columns = await loadColumns(compactUrl, dotUrl);
+    const buffers = [columns.counts, columns.x, columns.y, columns.links, columns.weights].map(array => array.buffer);
+    return { result: columns, transfer: buffers };
+  },
+
+  async regions({ url }) {
+    const featureCollection = await (await fetchOk(url)).json();
+    featureCollection.features = featureCollection.features || [];
+    // Since our region ids are strings, maplibre-gl doesn't like them as feature ids
+    const featureIds = generateFeatureIds(featureCollection);
+    return { result: { featureCollection, featureIds } };
+  },
+
+  async 'search-index'({ compactUrl, dotUrl, flashcardsUrl }) {
+    const [ids, titles] = await Promise.all([
+      getGraphIds(compactUrl, dotUrl),
+      loadTitles(flashcardsUrl)
+    ]);
+    // Underscore prefixed nodes are service nodes, skip them
+    const words = ids.filter(id => !isServiceNode(id));
+    return { result: createSearchIndex(words.map(word => ({ word, ...titles.get(word) }))) };
+  }
+};
+
+self.addEventListener('message', async ({ data: { id, type, ...params } }) => {
+  try {
+    if (!tasks[type]) throw new Error(`Unknown data worker request: ${type}`);
+    const { result, transfer = [] } = await tasks[type](params);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
+
+function loadColumns(compactUrl, dotUrl) {
+  const promise = fetchColumns(compactUrl, dotUrl);
+  // Ids are copied into the reply, so they stay usable after the other columns are transferred
+  const ids = promise.then(columns => columns.ids);
+  ids.catch(() => graphIds.delete(getGraphKey(compactUrl, dotUrl)));
+  graphIds.set(getGraphKey(compactUrl, dotUrl), ids);
+  return promise;
+}
+
+function getGraphIds(compactUrl, dotUrl) {
+  return graphIds.get(getGraphKey(compactUrl, dotUrl)) ||
+    loadColumns(compactUrl, dotUrl).then(columns => columns.ids);
+}
+
+function getGraphKey(compactUrl, dotUrl) {
+  return `${compactUrl} ${dotUrl}`;
+}
+
+async function fetchColumns(compactUrl, dotUrl) {
+  if (compactUrl) {
+    try {
+      const response = await fetchOk(compactUrl);
+      return decodeCompactGraph(await response.json());
+    } catch (error) {
+      console.warn('Failed to load compact graph, falling back to DOT:', error);
+    }
+  }
+
+  const response = await fetchOk(dotUrl);
+  const graph = normalizeDotGraph(ngraphFromDot(await response.text()));
+  return decodeCompactGraph(encodeCompactGraph(graph));
+}
+
+async function loadTitles(flashcardsUrl) {
+  try {
+    return extractTitles(await (await fetchOk(flashcardsUrl)).json());
+  } catch (error) {
+    // Search by hanzi still works without titles
+    console.warn('Failed to load word titles for search:', error);
+    return new Map();
+  }
+}
+
+async function fetchOk(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  return response;
+}
@@ -0,0 +1,63 @@
+// One worker serves all requests, so the graph is downloaded once for both the
+// map and the search index
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Asks the data worker (see dataWorker.js) to load and prepare data.
+ * Callers fall back to doing the work on the page when this rejects.
+ * @param {string} type - Request type: 'graph', 'regions' or 'search-index'
+ * @param {Object} params - Request parameters. Relative URLs in `*Url` params are resolved against the page
+ * @returns {Promise<*>} Ready-to-use result of the request
+ */
+export function requestData(type, params = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Web workers are not supported'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    try {
+      getWorker().postMessage({ id, type, ...resolveUrls(params) });
+    } catch (error) {
+      pendingRequests.delete(id);
+      reject(error);
+    }
+  });
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
+  worker.addEventListener('message', ({ data: { id, result, error } }) => {
+    const request = pendingRequests.get(id);
+    if (!request) return;
+    pendingRequests.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  });
+  worker.addEventListener('error', (event) => {
+    // The worker script failed to load or crashed: fail everything waiting for it
+    // and start a new worker with the next request
+    const error = new Error(event.message || 'Data worker failed');
+    pendingRequests.forEach(request => request.reject(error));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  });
+  return worker;
+}
+
+// Relative URLs would resolve against the worker script
+function resolveUrls(params) {
+  const resolved = { ...params };
+  Object.keys(resolved).forEach(key => {
+    if (key.endsWith('Url') && resolved[key]) {
+      resolved[key] = new URL(resolved[key], window.location.href).href;
+    }
+  });
+  return resolved;
+}
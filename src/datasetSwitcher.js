@@ -0,0 +1,28 @@
+import config, { loadDatasetList } from './config.js';
+
+/**
+ * Adds a dataset picker to the container when the server hosts more than one
+ * dataset. Picking a dataset reloads the app with `?v=<dataset id>`.
+ * @param {HTMLElement} container - Element that receives the picker
+ */
+export async function initDatasetSwitcher(container) {
+  const datasets = await loadDatasetList();
+  if (datasets.length < 2) return;
+
+  const select = document.createElement('select');
+  select.className = 'dataset-select';
+  select.setAttribute('aria-label', 'Choose dataset');
+  select.innerHTML = datasets.map(({ id, title }) => `
+    <option value="${id}" ${id === config.dataset.id ? 'selected' : ''}>${title || id}</option>
+  `).join('');
+
+  select.addEventListener('change', () => {
+    // Map position and level filters belong to the old dataset, so start fresh
+    const url = new URL(window.location.href);
+    url.search = new URLSearchParams({ v: select.value }).toString();
+    url.hash = '';
+    window.location.assign(url);
+  });
+
+  container.prepend(select);
+}
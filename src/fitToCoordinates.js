@@ -0,0 +1,21 @@
+/**
+ * Zooms the map to show all coordinates next to a side panel
+ * @param {Object} map - MapLibre map instance
+ * @param {Array<Array<number>>} coordinates - [x, y] points to show
+ * @param {HTMLElement} panel - Right side panel that covers part of the map
+ */
+export function fitToCoordinates(map, coordinates, panel) {
+  if (coordinates.length === 0) return;
+
+  const bounds = coordinates.reduce((acc, [x, y]) => [
+    Math.min(acc[0], x), Math.min(acc[1], y),
+    Math.max(acc[2], x), Math.max(acc[3], y)
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+  // On mobile the panel covers the whole screen, so there is nothing to keep clear of
+  const panelWidth = panel.offsetWidth < window.innerWidth ? panel.offsetWidth : 0;
+  map.fitBounds([[bounds[0], bounds[1]], [bounds[2], bounds[3]]], {
+    padding: { top: 80, bottom: 80, left: 80, right: panelWidth + 40 },
+    maxZoom: 8
+  });
+}
@@ -0,0 +1,114 @@
+import './flashcardView.css';
+import { marked } from 'marked';
+import { parseFlashcard, parseExample } from './lib/parseFlashcard.js';
+import { splitPinyinSyllables } from './lib/pinyinTones.js';
+
+const SECTIONS = [
+  { key: 'characterBreakdown', title: 'Character Breakdown' },
+  { key: 'examples', title: 'Examples' },
+  { key: 'usageNotes', title: 'Usage Notes' },
+  { key: 'memoryAids', title: 'Memory Aids' }
+];
+
+/**
+ * Renders a markdown flashcard as a structured card: large word header with
+ * tone-colored pinyin, collapsible sections and example rows whose pinyin
+ * and translation can be hidden.
+ *
+ * @param {string} word - Word of the card
+ * @param {string} markdown - Card text
+ * @param {Object} [options]
+ * @param {Function} [options.linkWords] - Wraps known words of a text into links
+ * @param {Set} [options.collapsedSections] - Keys of sections that start collapsed
+ * @param {boolean} [options.showPinyin] - Show pinyin under examples
+ * @param {boolean} [options.showTranslation] - Show translation under examples
+ * @param {boolean} [options.speakable] - Add buttons that read the word and examples aloud
+ * @returns {string|null} HTML, or null if the card doesn't follow the usual layout
+ */
+export function renderFlashcard(word, markdown, {
+  linkWords = text => text,
+  collapsedSections = new Set(),
+  showPinyin = true,
+  showTranslation = true,
+  speakable = false
+} = {}) {
+  const card = parseFlashcard(markdown);
+  if (!card.pinyin || (card.characterBreakdown.length === 0 && card.examples.length === 0)) {
+    return null;
+  }
+
+  const sections = SECTIONS
+    .filter(({ key }) => card[key].length > 0)
+    .map(({ key, title }) => {
+      const body = key === 'examples'
+        ? renderExamples(word, card.examples, linkWords, { showPinyin, showTranslation, speakable })
+        : marked.parse(linkWords(card[key].join('\n')));
+
+      return `
+        <details class="flashcard-section" data-section="${key}" ${collapsedSections.has(key) ? '' : 'open'}>
+          <summary>${title}</summary>
+          <div class="flashcard-section-body">${body}</div>
+        </details>
+      `;
+    });
+
+  return `
+    <div class="flashcard">
+      <header class="flashcard-header">
+        <div class="flashcard-word">
+          ${word}${speakable ? renderSpeakButton(word, `${word}.mp3`, 'Play pronunciation') : ''}
+        </div>
+        <div class="flashcard-pinyin">${renderPinyin(card.pinyin)}</div>
+        <div class="flashcard-english">${marked.parseInline(card.english)}</div>
+      </header>
+      ${sections.join('')}
+    </div>
+  `;
+}
+
+function renderExamples(word, examples, linkWords, { showPinyin, showTranslation, speakable }) {
+  const rows = examples.map((line, index) => {
+    const example = parseExample(line);
+    if (!example) {
+      // Unusual format, show the line as is
+      return `<li class="example">${marked.parseInline(linkWords(line.replace(/^-\s*/, '')))}</li>`;
+    }
+
+    return `
+      <li class="example">
+        <div class="example-hanzi">
+          ${marked.parseInline(linkWords(example.hanzi))}${speakable
+            ? renderSpeakButton(example.hanzi.replace(/\*/g, ''), `${word}-${index + 1}.mp3`, 'Play example', true)
+            : ''}
+        </div>
+        <div class="example-pinyin">${renderPinyin(example.pinyin)}</div>
+        <div class="example-translation">${marked.parseInline(example.translation)}</div>
+      </li>
+    `;
+  });
+
+  const listClasses = [
+    'flashcard-examples',
+    showPinyin ? '' : 'hide-pinyin',
+    showTranslation ? '' : 'hide-translation'
+  ].filter(Boolean).join(' ');
+
+  return `
+    <div class="example-toggles">
+      <button class="example-toggle" data-toggle="pinyin" aria-pressed="${showPinyin}">Pinyin</button>
+      <button class="example-toggle" data-toggle="translation" aria-pressed="${showTranslation}">Translation</button>
+    </div>
+    <ul class="${listClasses}">${rows.join('')}</ul>
+  `;
+}
+
+function renderSpeakButton(text, audioFile, label, isExample = false) {
+  return `<button class="speak-btn" data-speak="${text.replace(/"/g, '&quot;')}" data-audio="${audioFile}"
+    ${isExample ? 'data-example="true"' : ''} aria-label="${label}" title="${label}">&#128264;</button>`;
+}
+
+function renderPinyin(pinyin) {
+  return splitPinyinSyllables(pinyin)
+    .map(({ text, tone }) => tone ? `<span class="tone-${tone}">${text}</span>` : text)
+    .join('');
+}
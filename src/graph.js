@@ -1,27 +1,51 @@
 import ngraphFromDot from 'ngraph.fromdot';
 import config from './config.js';
+import { normalizeDotGraph, buildGraphFromColumns } from './lib/compactGraph.js';
+import { requestData } from './dataWorkerClient.js';
 
-// Cache for the graph to avoid multiple downloads
-let graphCache = null;
+// Cache for the graph to avoid multiple downloads. Kept per source URLs, so
+// a graph requested before the dataset manifest is loaded is not reused after it
+let graphPromise = null;
+let graphSourceKey = null;
 
 /**
- * Fetches and parses the graph data
- * @returns {Promise<Object>} The parsed graph
+ * Fetches and parses the graph data. Parsing happens in a worker, and on the
+ * main thread only when workers fail.
+ * @returns {Promise<Object>} The parsed graph. Word nodes have data {c, coordinates: [x, y]}
  */
-export async function getGraph() {
-  if (graphCache) {
-    return graphCache;
+export function getGraph() {
+  const sourceKey = `${config.compactGraphUrl} ${config.graphFileUrl}`;
+  if (!graphPromise || graphSourceKey !== sourceKey) {
+    graphSourceKey = sourceKey;
+    const promise = loadGraph(config.compactGraphUrl, config.graphFileUrl).catch(e => {
+      console.error('Failed to load graph data:', e);
+      if (graphPromise === promise) graphPromise = null; // Allow retrying later
+      throw e;
+    });
+    graphPromise = promise;
   }
-  
+  return graphPromise;
+}
+
+async function loadGraph(compactUrl, dotUrl) {
   try {
-    const response = await fetch(config.graphFileUrl);
-    const dotContent = await response.text();
-    graphCache = ngraphFromDot(dotContent);
-    return graphCache;
-  } catch (e) {
-    console.error('Failed to load graph data:', e);
-    throw e;
+    return buildGraphFromColumns(await requestData('graph', { compactUrl, dotUrl }));
+  } catch (error) {
+    console.warn('Failed to load graph in a worker, parsing it on the page:', error);
   }
+
+  const response = await fetch(dotUrl);
+  if (!response.ok) throw new Error(`Failed to fetch graph ${dotUrl}`);
+  return normalizeDotGraph(ngraphFromDot(await response.text()));
+}
+
+/**
+ * @param {Object} graph - The graph object
+ * @param {string} nodeId - ID of the node
+ * @returns {Array<number>|null} [x, y] of a word on the map, null for service nodes and unknown words
+ */
+export function getNodeCoordinates(graph, nodeId) {
+  return graph.getNode(nodeId)?.data?.coordinates || null;
 }
 
 /**
@@ -47,4 +71,4 @@ export function getNodeWithNeighbors(graph, nodeId) {
   });
   
   return { node, neighbors, edges };
-}
\ No newline at end of file
+}
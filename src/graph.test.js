@@ -0,0 +1,53 @@
+/**
+ * Tests for graph loading with the sources of the dataset manifest
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import createGraph from 'ngraph.graph';
+import config from './config.js';
+import { requestData } from './dataWorkerClient.js';
+import { encodeCompactGraph, decodeCompactGraph } from './lib/compactGraph.js';
+import { getGraph } from './graph.js';
+
+// Default sources, replaced by loadDataset() once the manifest is fetched
+vi.mock('./config.js', () => ({
+  default: { compactGraphUrl: null, graphFileUrl: 'hsk/v1/graph.dot' }
+}));
+vi.mock('./dataWorkerClient.js', () => ({ requestData: vi.fn() }));
+
+function createColumns(word) {
+  const graph = createGraph();
+  graph.addNode(word, { c: 1, coordinates: [0, 0] });
+  return decodeCompactGraph(encodeCompactGraph(graph));
+}
+
+describe('getGraph', () => {
+  beforeEach(() => {
+    requestData.mockReset();
+    requestData.mockImplementation((type, { compactUrl }) => Promise.resolve(createColumns(compactUrl ? '爱' : '恨')));
+  });
+
+  test('loads the graph from the sources set by the manifest', async () => {
+    const defaultGraph = await getGraph();
+    expect(defaultGraph.getNode('恨')).toBeTruthy();
+
+    Object.assign(config, { compactGraphUrl: 'data/graph.json', graphFileUrl: 'data/graph.dot' });
+    const graph = await getGraph();
+
+    expect(requestData).toHaveBeenLastCalledWith('graph', {
+      compactUrl: 'data/graph.json',
+      dotUrl: 'data/graph.dot'
+    });
+    expect(graph.getNode('爱')).toBeTruthy();
+    expect(graph.getNode('恨')).toBeUndefined();
+  });
+
+  test('downloads the graph of the same sources once', async () => {
+    Object.assign(config, { compactGraphUrl: 'other/graph.json', graphFileUrl: 'other/graph.dot' });
+    const [first, second] = await Promise.all([getGraph(), getGraph()]);
+
+    expect(first).toBe(second);
+    expect(await getGraph()).toBe(first);
+    expect(requestData).toHaveBeenCalledTimes(1);
+  });
+});
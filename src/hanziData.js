@@ -0,0 +1,52 @@
+import config from './config.js';
+import { parseHanziDictionary } from './lib/hanziDecomposition.js';
+
+// Cache for the dictionary to avoid multiple downloads
+let dictionaryPromise = null;
+const strokesCache = new Map();
+
+/**
+ * @returns {boolean} Whether the dataset ships character data
+ */
+export function hasHanziData() {
+  return !!config.hanziFolder;
+}
+
+/**
+ * Fetches the character dictionary (decompositions and radicals)
+ * @returns {Promise<Map>} Map of characters to dictionary entries
+ */
+export function getHanziDictionary() {
+  if (!dictionaryPromise) {
+    dictionaryPromise = fetch(`${config.hanziFolder}dictionary.txt`)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to fetch character dictionary: ${response.status}`);
+        return response.text();
+      })
+      .then(parseHanziDictionary)
+      .catch(error => {
+        dictionaryPromise = null; // Allow retrying later
+        throw error;
+      });
+  }
+  return dictionaryPromise;
+}
+
+/**
+ * Fetches strokes of a single character
+ * @param {string} character - Character to load
+ * @returns {Promise<Object|null>} {strokes, medians} or null if there is no data for it
+ */
+export async function getStrokeData(character) {
+  if (strokesCache.has(character)) return strokesCache.get(character);
+
+  try {
+    const response = await fetch(`${config.hanziFolder}graphics/${character}.json`);
+    const data = response.ok ? await response.json() : null;
+    strokesCache.set(character, data);
+    return data;
+  } catch (error) {
+    console.warn(`Failed to load strokes for ${character}:`, error);
+    return null;
+  }
+}
@@ -1,72 +1,65 @@
-import { getGraph, getNodeWithNeighbors } from './graph';
+import { getGraph } from './graph';
+import { neighborhoodSettings } from './neighborhoodSettings';
+import { collectNeighborhood } from './lib/neighborhood';
+
+// Colors of the centre word and the rings around it, fading outwards
+const RING_COLORS = ['#bf2072', '#e56aaa', '#f09cc6', '#f7cde2'];
 
 export default async function highlightNodeWithNeighbors(nodeId, map) {
   try {
     const graph = await getGraph();
-    const nodeData = getNodeWithNeighbors(graph, nodeId);
-
-    if (!nodeData) return;
-
-    const { node, neighbors, edges } = nodeData;
-
-    // Create features for highlighting
-    const highlightedNodes = {
-      type: 'FeatureCollection',
-      features: []
-    };
+    const neighborhood = collectNeighborhood(graph, nodeId, neighborhoodSettings.getSettings());
 
-    const highlightedEdges = {
-      type: 'FeatureCollection',
-      features: []
-    };
+    if (!neighborhood) return;
 
-    const primaryCoordinates = node.data.l.split(',').map(Number);
+    // Get coordinates directly from node data, service nodes have none
+    const coordinatesById = new Map();
+    const sizesById = new Map();
+    neighborhood.nodes.forEach(({ id, ring }) => {
+      const data = graph.getNode(id).data;
+      if (!data?.coordinates) return;
 
-    // Add the primary node
-    highlightedNodes.features.push({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: primaryCoordinates
-      },
-      properties: {
-        color: '#bf2072',
-        size: node.data.c / 2 || 1
-      }
+      coordinatesById.set(id, data.coordinates);
+      // Size based on count if available, smaller in outer rings
+      sizesById.set(id, ring === 0 ? (data.c / 2 || 1) : (data.c ? data.c / 5 : 0.8) / ring);
     });
 
-    // Add neighbor nodes
-    neighbors.forEach(neighbor => {
-      // Get coordinates directly from neighbor data
-      if (neighbor.data && neighbor.data.l) {
-        // Convert coordinates string to array of numbers
-        const coordinates = neighbor.data.l.split(',').map(Number);
-
-        highlightedNodes.features.push({
+    // Create features for highlighting. Outer rings go first, so inner ones are drawn on top
+    const highlightedNodes = {
+      type: 'FeatureCollection',
+      features: neighborhood.nodes
+        .filter(({ id }) => coordinatesById.has(id))
+        .sort((a, b) => b.ring - a.ring)
+        .map(({ id, ring }) => ({
           type: 'Feature',
           geometry: {
             type: 'Point',
-            coordinates: coordinates
+            coordinates: coordinatesById.get(id)
           },
           properties: {
-            color: '#e56aaa',
-            size: neighbor.data.c ? neighbor.data.c / 5 : 0.8 // Size based on count if available
+            color: RING_COLORS[Math.min(ring, RING_COLORS.length - 1)],
+            size: sizesById.get(id)
           }
-        });
+        }))
+    };
 
-        // Add edge between primary node and this neighbor
-        highlightedEdges.features.push({
+    // Width and opacity of edges follow the link weight
+    const highlightedEdges = {
+      type: 'FeatureCollection',
+      features: neighborhood.edges
+        .filter(({ from, to }) => coordinatesById.has(from) && coordinatesById.has(to))
+        .map(({ from, to, ring, strength }) => ({
           type: 'Feature',
           geometry: {
             type: 'LineString',
-            coordinates: [
-              primaryCoordinates,
-              coordinates
-            ]
+            coordinates: [coordinatesById.get(from), coordinatesById.get(to)]
+          },
+          properties: {
+            color: RING_COLORS[Math.min(ring, RING_COLORS.length - 1)],
+            strength
           }
-        });
-      }
-    });
+        }))
+    };
 
     // Update the sources
     map.getSource('highlighted-nodes').setData(highlightedNodes);
@@ -74,4 +67,4 @@ export default async function highlightNodeWithNeighbors(nodeId, map) {
   } catch (error) {
     console.error('Failed to highlight node:', error);
   }
-}
\ No newline at end of file
+}
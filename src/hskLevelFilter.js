@@ -0,0 +1,202 @@
+import './hskLevelFilter.css';
+import { HSK_LEVEL_COLORS, getHskLevelColorExpression } from './mapStyles.js';
+import config from './config.js';
+import { formatLevel } from './lib/datasetManifest.js';
+
+const LEVELS_PARAM = 'hsk';
+const COLORS_PARAM = 'hskColors';
+
+/**
+ * Lets the learner show only words of selected HSK levels, and optionally
+ * color points by level. The selection lives in the URL, so it can be shared
+ * as a link (e.g. ?hsk=3). Available levels come from the dataset manifest.
+ */
+class HskLevelFilter {
+  constructor() {
+    this.map = null;
+    this.element = null;
+    this.legendElement = null;
+    this.isOpen = false;
+    this.levels = null;
+    this.selectedLevels = [];
+    this.colorByLevel = false;
+    this.baseFilters = {};
+    this.baseCircleColor = null;
+  }
+
+  /**
+   * Initialize the filter for a loaded map
+   * @param {Object} map - MapLibre map instance
+   * @param {HTMLElement} toggleButton - Button that opens the level selector
+   */
+  init(map, toggleButton) {
+    this.map = map;
+    this.toggleButton = toggleButton;
+    this.levels = config.dataset.levels;
+
+    // Remember filters from the style, so we can combine them with level filters
+    ['circle-layer', 'starred-layer', 'label-layer', 'region-fill-layer'].forEach(layerId => {
+      this.baseFilters[layerId] = map.getFilter(layerId) || null;
+    });
+    this.baseCircleColor = map.getPaintProperty('circle-layer', 'circle-color');
+
+    const params = new URLSearchParams(window.location.search);
+    this.selectedLevels = parseLevels(params.get(LEVELS_PARAM), this.levels.values);
+    this.colorByLevel = params.get(COLORS_PARAM) === '1';
+
+    this.createElement();
+    toggleButton.addEventListener('click', () => this.toggle());
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    this.apply();
+    return this;
+  }
+
+  createElement() {
+    this.element = document.createElement('div');
+    this.element.className = 'hsk-filter';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.innerHTML = `
+      <div class="hsk-filter-title">Show ${this.levels.name} levels</div>
+      <div class="hsk-filter-levels">
+        ${this.levels.values.map(level => `
+          <label class="hsk-filter-level">
+            <input type="checkbox" value="${level}">
+            ${level}
+          </label>
+        `).join('')}
+      </div>
+      <label class="hsk-filter-colors">
+        <input type="checkbox" class="hsk-color-toggle"> Color words by level
+      </label>
+      <button class="hsk-filter-reset">Show all levels</button>
+    `;
+
+    this.element.addEventListener('change', (e) => {
+      if (e.target.classList.contains('hsk-color-toggle')) {
+        this.colorByLevel = e.target.checked;
+      } else {
+        this.selectedLevels = [...this.element.querySelectorAll('.hsk-filter-level input:checked')]
+          .map(input => Number(input.value));
+      }
+      this.apply();
+    });
+
+    this.element.querySelector('.hsk-filter-reset').addEventListener('click', () => {
+      this.setLevels([]);
+    });
+
+    this.legendElement = document.createElement('div');
+    this.legendElement.className = 'hsk-legend';
+    this.legendElement.innerHTML = this.levels.values.map(level => `
+      <span class="hsk-legend-item">
+        <span class="hsk-level-swatch" style="background-color: ${HSK_LEVEL_COLORS[level - 1]}"></span>${formatLevel(this.levels, level)}
+      </span>
+    `).join('');
+
+    document.querySelector('#app').appendChild(this.element);
+    document.querySelector('#app').appendChild(this.legendElement);
+  }
+
+  /**
+   * Show only words of the given levels. Empty array shows all words.
+   * @param {Array<number>} levels - HSK levels to show
+   */
+  setLevels(levels) {
+    this.selectedLevels = levels.filter(level => this.levels.values.includes(level));
+    this.apply();
+  }
+
+  apply() {
+    this.syncControls();
+    this.updateMapFilters();
+    this.updateColors();
+    this.updateUrl();
+  }
+
+  syncControls() {
+    this.element.querySelectorAll('.hsk-filter-level input').forEach(input => {
+      input.checked = this.selectedLevels.includes(Number(input.value));
+    });
+    this.element.querySelector('.hsk-color-toggle').checked = this.colorByLevel;
+    this.legendElement.classList.toggle('visible', this.colorByLevel);
+
+    const isFiltered = this.selectedLevels.length > 0;
+    this.toggleButton.textContent = isFiltered
+      ? `${this.levels.name} ${this.selectedLevels.join(',')}`
+      : this.levels.name;
+    this.toggleButton.classList.toggle('active', isFiltered);
+  }
+
+  updateMapFilters() {
+    const levelFilter = this.selectedLevels.length > 0
+      ? ['in', ['get', 'l'], ['literal', this.selectedLevels]]
+      : null;
+
+    Object.entries(this.baseFilters).forEach(([layerId, baseFilter]) => {
+      this.map.setFilter(layerId, combineFilters(baseFilter, levelFilter));
+    });
+
+    // Regions that are filtered out stay fogged, so their images don't show through
+    this.map.setFilter('region-dim-layer', levelFilter ? ['!', levelFilter] : false);
+  }
+
+  updateColors() {
+    this.map.setPaintProperty(
+      'circle-layer',
+      'circle-color',
+      this.colorByLevel ? getHskLevelColorExpression() : this.baseCircleColor
+    );
+  }
+
+  updateUrl() {
+    const url = new URL(window.location.href);
+    if (this.selectedLevels.length > 0) {
+      url.searchParams.set(LEVELS_PARAM, this.selectedLevels.join(','));
+    } else {
+      url.searchParams.delete(LEVELS_PARAM);
+    }
+    if (this.colorByLevel) {
+      url.searchParams.set(COLORS_PARAM, '1');
+    } else {
+      url.searchParams.delete(COLORS_PARAM);
+    }
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  open() {
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    return this;
+  }
+
+  close() {
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    return this;
+  }
+
+  toggle() {
+    return this.isOpen ? this.close() : this.open();
+  }
+}
+
+function parseLevels(value, availableLevels) {
+  if (!value) return [];
+  return value.split(',')
+    .map(Number)
+    .filter(level => availableLevels.includes(level));
+}
+
+function combineFilters(baseFilter, levelFilter) {
+  if (!levelFilter) return baseFilter;
+  if (!baseFilter) return levelFilter;
+  return ['all', baseFilter, levelFilter];
+}
+
+// Create and export a singleton instance
+export const hskLevelFilter = new HskLevelFilter();
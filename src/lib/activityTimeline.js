@@ -0,0 +1,114 @@
+/**
+ * Daily activity, streaks and new words per day, computed from word events.
+ * Days are calendar days in the learner's local time zone.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number} timestamp - ms timestamp
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @param {Object} history - Map of words to timestamp arrays
+ * @returns {Map} Map of words to the time they were first seen
+ */
+export function getFirstSeenTimes(history) {
+  const firstSeen = new Map();
+  Object.entries(history).forEach(([word, timestamps]) => {
+    if (timestamps.length > 0) firstSeen.set(word, Math.min(...timestamps));
+  });
+  return firstSeen;
+}
+
+/**
+ * Builds one entry per day for the last `days` days, oldest first
+ * @param {Array<{timestamp: number}>} events - Events to count
+ * @param {Map} firstSeen - Map of words to the time they were first seen
+ * @param {Object} options
+ * @param {number} options.days - Number of days, including today
+ * @param {number} [options.now] - Current ms timestamp
+ * @returns {Array<{date: string, weekday: number, count: number, newWords: number}>}
+ */
+export function buildDailyActivity(events, firstSeen, { days, now = Date.now() }) {
+  const byDay = new Map();
+  const today = startOfDay(now);
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(today, -i);
+    const date = getDayKey(day);
+    byDay.set(date, { date, weekday: new Date(day).getDay(), count: 0, newWords: 0 });
+  }
+
+  events.forEach(({ timestamp }) => {
+    const entry = byDay.get(getDayKey(timestamp));
+    if (entry) entry.count += 1;
+  });
+  firstSeen.forEach(timestamp => {
+    const entry = byDay.get(getDayKey(timestamp));
+    if (entry) entry.newWords += 1;
+  });
+
+  return [...byDay.values()];
+}
+
+/**
+ * Counts consecutive days with activity. The current streak is still alive
+ * when the learner was active yesterday but not yet today.
+ * @param {Array<number>} timestamps - Times of all activity
+ * @param {number} [now] - Current ms timestamp
+ * @returns {{current: number, longest: number}} Streaks in days
+ */
+export function getStreaks(timestamps, now = Date.now()) {
+  const activeDays = new Set(timestamps.map(getDayKey));
+  const sortedDays = [...new Set(timestamps.map(startOfDay))].sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  sortedDays.forEach(day => {
+    run = previous !== null && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  let current = 0;
+  let day = startOfDay(now);
+  if (!activeDays.has(getDayKey(day))) day = addDays(day, -1);
+  while (activeDays.has(getDayKey(day))) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Heatmap intensity of a day, like GitHub's contribution graph
+ * @param {number} count - Activity of the day
+ * @param {number} maxCount - Highest activity of a day in the shown period
+ * @returns {number} Level from 0 (no activity) to 4
+ */
+export function getActivityLevel(count, maxCount) {
+  if (count === 0 || maxCount === 0) return 0;
+  return Math.min(4, Math.ceil(4 * count / maxCount));
+}
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Steps by calendar days, so days made longer or shorter by daylight saving time don't matter
+function addDays(timestamp, days) {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
@@ -0,0 +1,60 @@
+/**
+ * Tests for the activity timeline
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getDayKey,
+  getFirstSeenTimes,
+  buildDailyActivity,
+  getStreaks,
+  getActivityLevel
+} from './activityTimeline.js';
+
+// Local times, so the tests don't depend on the time zone
+const at = (day, hour = 12) => new Date(2024, 0, day, hour).getTime();
+const now = at(10, 18);
+
+describe('getDayKey', () => {
+  test('formats local dates', () => {
+    expect(getDayKey(at(5, 0))).toBe('2024-01-05');
+    expect(getDayKey(at(5, 23))).toBe('2024-01-05');
+  });
+});
+
+describe('buildDailyActivity', () => {
+  test('counts events and new words per day', () => {
+    const history = { '爱': [at(8), at(10)], '学习': [at(10, 9)], '好': [at(1)] };
+    const events = [{ timestamp: at(8) }, { timestamp: at(10) }, { timestamp: at(10, 9) }, { timestamp: at(1) }];
+
+    const activity = buildDailyActivity(events, getFirstSeenTimes(history), { days: 3, now });
+
+    expect(activity).toEqual([
+      { date: '2024-01-08', weekday: 1, count: 1, newWords: 1 },
+      { date: '2024-01-09', weekday: 2, count: 0, newWords: 0 },
+      { date: '2024-01-10', weekday: 3, count: 2, newWords: 1 }
+    ]);
+  });
+});
+
+describe('getStreaks', () => {
+  test('counts the current and the longest streak', () => {
+    const timestamps = [at(1), at(2), at(3), at(4), at(8), at(9), at(10), at(10, 8)];
+    expect(getStreaks(timestamps, now)).toEqual({ current: 3, longest: 4 });
+  });
+
+  test('keeps the streak alive until the end of today', () => {
+    expect(getStreaks([at(8), at(9)], now)).toEqual({ current: 2, longest: 2 });
+    expect(getStreaks([at(7), at(8)], now)).toEqual({ current: 0, longest: 2 });
+    expect(getStreaks([], now)).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('getActivityLevel', () => {
+  test('scales counts to four levels', () => {
+    expect(getActivityLevel(0, 10)).toBe(0);
+    expect(getActivityLevel(1, 10)).toBe(1);
+    expect(getActivityLevel(6, 10)).toBe(3);
+    expect(getActivityLevel(10, 10)).toBe(4);
+  });
+});
@@ -0,0 +1,61 @@
+import { segmentChineseText } from './turnChineseWordsIntoLinks.js';
+import { DEFAULT_SCRIPT } from './datasetManifest.js';
+
+/**
+ * Splits Chinese text into map words and measures how much of it each HSK
+ * level covers.
+ * @param {string} text - Text to analyze
+ * @param {Object} graph - Graph with words as nodes
+ * @param {Map} levels - Map of words to HSK levels
+ * @param {string} [script] - Regex source matching one character of the dataset's script
+ * @returns {Object} Analysis result:
+ *  - tokens: words and unknown characters in reading order
+ *  - words: unique known words in order of first appearance
+ *  - unknownCharacters: unique characters that are not part of any known word
+ *  - coverage: [{level, words, characters}] per HSK level; level is null for words without one
+ *  - totalCharacters / knownCharacters: counts of Chinese characters in the text
+ */
+export function analyzeText(text, graph, levels = new Map(), script = DEFAULT_SCRIPT) {
+  const tokens = segmentChineseText(text, graph, script);
+  const words = [];
+  const seenWords = new Set();
+  const unknownCharacters = new Set();
+  const coverageByLevel = new Map();
+  let totalCharacters = 0;
+  let knownCharacters = 0;
+
+  tokens.forEach(token => {
+    totalCharacters += token.length;
+    if (!graph.getNode(token)) {
+      unknownCharacters.add(token);
+      return;
+    }
+
+    knownCharacters += token.length;
+    const level = levels.has(token) ? levels.get(token) : null;
+    if (!coverageByLevel.has(level)) {
+      coverageByLevel.set(level, { level, words: 0, characters: 0 });
+    }
+    const coverage = coverageByLevel.get(level);
+    coverage.characters += token.length;
+
+    if (!seenWords.has(token)) {
+      seenWords.add(token);
+      words.push(token);
+      coverage.words += 1;
+    }
+  });
+
+  // Lower levels first, words without a level last
+  const coverage = [...coverageByLevel.values()]
+    .sort((a, b) => (a.level ?? Infinity) - (b.level ?? Infinity));
+
+  return {
+    tokens,
+    words,
+    unknownCharacters: [...unknownCharacters],
+    coverage,
+    totalCharacters,
+    knownCharacters
+  };
+}
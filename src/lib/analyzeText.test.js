@@ -0,0 +1,49 @@
+/**
+ * Tests for text analysis
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import { analyzeText } from './analyzeText.js';
+
+function buildGraph() {
+  const graph = createGraph();
+  ['我', '喜欢', '学习', '中文', '老师'].forEach(word => graph.addNode(word));
+  return graph;
+}
+
+const levels = new Map([['我', 1], ['喜欢', 1], ['学习', 2], ['中文', 3]]);
+
+describe('analyzeText', () => {
+  test('splits text into known words in reading order', () => {
+    const result = analyzeText('我喜欢学习中文。我喜欢老师！', buildGraph(), levels);
+
+    expect(result.tokens).toEqual(['我', '喜欢', '学习', '中文', '我', '喜欢', '老师']);
+    expect(result.words).toEqual(['我', '喜欢', '学习', '中文', '老师']);
+    expect(result.unknownCharacters).toEqual([]);
+  });
+
+  test('collects unknown characters once', () => {
+    const result = analyzeText('他们喜欢他', buildGraph(), levels);
+    expect(result.unknownCharacters).toEqual(['他', '们']);
+    expect(result.totalCharacters).toBe(5);
+    expect(result.knownCharacters).toBe(2);
+  });
+
+  test('measures coverage by HSK level', () => {
+    const result = analyzeText('我喜欢学习中文。我喜欢老师！', buildGraph(), levels);
+
+    expect(result.coverage).toEqual([
+      { level: 1, words: 2, characters: 6 },
+      { level: 2, words: 1, characters: 2 },
+      { level: 3, words: 1, characters: 2 },
+      { level: null, words: 1, characters: 2 }
+    ]);
+  });
+
+  test('ignores non-Chinese text', () => {
+    const result = analyzeText('Hello, world!', buildGraph(), levels);
+    expect(result.tokens).toEqual([]);
+    expect(result.totalCharacters).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Builds Anki text import files (tab separated, with Anki file headers) from
+ * structured flashcards. Each note gets separate fields so learners can design
+ * their own card templates.
+ *
+ * Shared by the stats sidebar export and utils/createAnkiDeck.js.
+ */
+
+import { escapeHtml } from './escapeHtml.js';
+
+export const ANKI_FIELDS = [
+  'Hanzi',
+  'Pinyin',
+  'English',
+  'Breakdown',
+  'Examples',
+  'Memory Aids',
+  'Image',
+  'Tags'
+];
+
+/**
+ * Converts a structured flashcard into a list of Anki field values
+ * @param {string} word - The Chinese word
+ * @param {Object} card - Structured flashcard (see parseFlashcard)
+ * @param {Object} options
+ * @param {string} [options.imageSrc] - Image file name or URL, omitted when empty
+ * @param {Array<string>} [options.tags] - Anki tags for the note
+ * @returns {Array<string>} Field values in ANKI_FIELDS order
+ */
+export function createAnkiNote(word, card, { imageSrc = '', tags = [] } = {}) {
+  return [
+    escapeHtml(word),
+    escapeHtml(card.pinyin || ''),
+    markdownToHtml(card.english || ''),
+    listToHtml(card.characterBreakdown),
+    listToHtml(card.examples),
+    listToHtml(card.memoryAids),
+    imageSrc ? `<img src="${escapeHtml(imageSrc)}">` : '',
+    tags.map(tag => tag.replace(/\s+/g, '_')).join(' ')
+  ].map(cleanField);
+}
+
+/**
+ * Builds the contents of an Anki text import file
+ * @param {Array<Array<string>>} notes - Notes created with createAnkiNote
+ * @param {Object} options
+ * @param {string} [options.deckName] - Deck to import the notes into
+ * @returns {string} File contents
+ */
+export function createAnkiImportFile(notes, { deckName = 'HSK Land' } = {}) {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${deckName}`,
+    `#columns:${ANKI_FIELDS.join('\t')}`,
+    `#tags column:${ANKI_FIELDS.indexOf('Tags') + 1}`
+  ];
+  return header.concat(notes.map(note => note.join('\t'))).join('\n') + '\n';
+}
+
+function listToHtml(items) {
+  if (!items || items.length === 0) return '';
+  return items
+    .map(item => markdownToHtml(item.trim().replace(/^- /, '')))
+    .join('<br>');
+}
+
+function markdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>')
+    .replace(/\n\s*/g, '<br>');
+}
+
+function cleanField(value) {
+  // Tabs and newlines would break the row structure of the import file
+  return value.replace(/[\t\r\n]+/g, ' ');
+}
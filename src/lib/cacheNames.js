@@ -0,0 +1,15 @@
+/**
+ * Names of the offline caches, shared by the page (src/offline.js) and the
+ * service worker, which gets them from the build (see vite.config.js).
+ * Bump the version to drop every cache of older app versions.
+ */
+
+const CACHE_VERSION = 'v1';
+
+export const CACHE_NAMES = {
+  app: `lang-land-app-${CACHE_VERSION}`,
+  core: `lang-land-core-${CACHE_VERSION}`,
+  cards: `lang-land-cards-${CACHE_VERSION}`,
+  images: `lang-land-images-${CACHE_VERSION}`,
+  tiles: `lang-land-tiles-${CACHE_VERSION}`
+};
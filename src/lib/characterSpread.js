@@ -0,0 +1,92 @@
+/**
+ * Helpers for the character explorer: how often characters appear in map
+ * words and the shapes that outline where a character is used.
+ */
+
+import { createScriptRegex } from './datasetManifest.js';
+import { findWordsWithComponent } from './hanziDecomposition.js';
+
+/**
+ * Counts in how many words each character appears
+ * @param {Iterable<string>} words - Words on the map
+ * @param {string} script - Regex source matching a character of the dataset script
+ * @returns {Array<{character: string, count: number}>} Most frequent characters first
+ */
+export function countCharacterFrequency(words, script) {
+  const scriptRegex = createScriptRegex(script);
+  const counts = new Map();
+
+  for (const word of words) {
+    new Set([...word]).forEach(character => {
+      if (!scriptRegex.test(character)) return;
+      counts.set(character, (counts.get(character) || 0) + 1);
+    });
+  }
+
+  return [...counts]
+    .map(([character, count]) => ({ character, count }))
+    .sort((a, b) => b.count - a.count || a.character.localeCompare(b.character));
+}
+
+/**
+ * Finds words that contain a character. With a character dictionary, words
+ * that only use it as a component (e.g. 忄 in 情) match too.
+ * @param {string} character - Character or radical
+ * @param {Iterable<string>} words - Words to search
+ * @param {Map} [dictionary] - Parsed character dictionary
+ * @returns {Array<string>} Matching words in the order of `words`
+ */
+export function findWordsWithCharacter(character, words, dictionary = null) {
+  if (dictionary) return findWordsWithComponent(character, words, dictionary);
+  return [...words].filter(word => word.includes(character));
+}
+
+/**
+ * Convex hull of points (monotone chain)
+ * @param {Array<Array<number>>} points - [x, y] points
+ * @returns {Array<Array<number>>} Hull points in counter-clockwise order, without repeating the first one
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const buildChain = (chain, point) => {
+    while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+      chain.pop();
+    }
+    chain.push(point);
+    return chain;
+  };
+
+  const lower = sorted.reduce(buildChain, []);
+  const upper = [...sorted].reverse().reduce(buildChain, []);
+  // The last point of each chain is the first point of the other one
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Builds one hull polygon per region that has enough matching words
+ * @param {Array<{coordinates: Array<number>, parent: *}>} points - Points of the matching words
+ * @returns {Array<Object>} GeoJSON polygon features with `parent` and `count` properties
+ */
+export function createRegionHulls(points) {
+  const byRegion = new Map();
+  points.forEach(({ coordinates, parent }) => {
+    if (!byRegion.has(parent)) byRegion.set(parent, []);
+    byRegion.get(parent).push(coordinates);
+  });
+
+  const features = [];
+  byRegion.forEach((coordinates, parent) => {
+    const hull = convexHull(coordinates);
+    if (hull.length < 3) return; // One or two words are shown by their circles
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[...hull, hull[0]]] },
+      properties: { parent, count: coordinates.length }
+    });
+  });
+  return features;
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for character explorer helpers
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  countCharacterFrequency,
+  findWordsWithCharacter,
+  convexHull,
+  createRegionHulls
+} from './characterSpread.js';
+import { parseHanziDictionary } from './hanziDecomposition.js';
+
+const script = '[\\u4e00-\\u9fa5]';
+
+describe('countCharacterFrequency', () => {
+  test('counts words per character, most frequent first', () => {
+    expect(countCharacterFrequency(['心情', '小心', '心心相印', 'AI心'], script)).toEqual([
+      { character: '心', count: 4 },
+      { character: '印', count: 1 },
+      { character: '小', count: 1 },
+      { character: '情', count: 1 },
+      { character: '相', count: 1 }
+    ]);
+  });
+});
+
+describe('findWordsWithCharacter', () => {
+  const words = ['心情', '小心', '感情', '学习'];
+
+  test('matches words that contain the character', () => {
+    expect(findWordsWithCharacter('心', words)).toEqual(['心情', '小心']);
+  });
+
+  test('matches components when a dictionary is available', () => {
+    const dictionary = parseHanziDictionary([
+      JSON.stringify({ character: '情', decomposition: '⿰忄青' }),
+      JSON.stringify({ character: '感', decomposition: '⿱咸心' })
+    ].join('\n'));
+
+    expect(findWordsWithCharacter('心', words, dictionary)).toEqual(['心情', '小心', '感情']);
+    expect(findWordsWithCharacter('忄', words, dictionary)).toEqual(['心情', '感情']);
+  });
+});
+
+describe('convexHull', () => {
+  test('drops inner and collinear points', () => {
+    const hull = convexHull([[0, 0], [2, 0], [1, 0], [1, 1], [2, 2], [0, 2]]);
+    expect(hull).toEqual([[0, 0], [2, 0], [2, 2], [0, 2]]);
+  });
+
+  test('returns small inputs as is', () => {
+    expect(convexHull([[1, 1], [0, 0]])).toEqual([[0, 0], [1, 1]]);
+  });
+});
+
+describe('createRegionHulls', () => {
+  test('builds closed polygons for regions with at least three words', () => {
+    const features = createRegionHulls([
+      { coordinates: [0, 0], parent: 1 },
+      { coordinates: [1, 0], parent: 1 },
+      { coordinates: [0, 1], parent: 1 },
+      { coordinates: [5, 5], parent: 2 }
+    ]);
+
+    expect(features).toHaveLength(1);
+    expect(features[0].properties).toEqual({ parent: 1, count: 3 });
+    expect(features[0].geometry.coordinates[0]).toEqual([[0, 0], [1, 0], [0, 1], [0, 0]]);
+  });
+});
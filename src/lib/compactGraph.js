@@ -0,0 +1,125 @@
+/**
+ * Compact graph format: the word graph as columns of a JSON file, so the
+ * client does not parse DOT at runtime and coordinates are numbers.
+ *
+ * {
+ *   format: 'lang-land-graph', version: 1,
+ *   ids: [<node id>, ...],
+ *   counts: [<c> or null, ...],
+ *   x: [<x> or null, ...], y: [<y> or null, ...],
+ *   links: [<from index>, <to index>, ...],
+ *   weights: [<w> or null, ...]
+ * }
+ *
+ * Both loaders produce the same graph: node data {c, coordinates: [x, y]}
+ * (undefined for service nodes) and link data {w}.
+ */
+
+import createGraph from 'ngraph.graph';
+
+export const COMPACT_GRAPH_FORMAT = 'lang-land-graph';
+export const COMPACT_GRAPH_VERSION = 1;
+
+/**
+ * Turns graph data parsed from DOT (coordinates as "x,y" strings in `l`)
+ * into the shape of the compact format
+ * @param {Object} graph - ngraph instance, changed in place
+ * @returns {Object} The same graph
+ */
+export function normalizeDotGraph(graph) {
+  graph.forEachNode(node => {
+    if (!node.data || typeof node.data.l !== 'string') return;
+
+    const { l, ...data } = node.data;
+    node.data = { ...data, coordinates: l.split(',').map(Number) };
+  });
+  return graph;
+}
+
+/**
+ * @param {Object} graph - ngraph instance with normalized data
+ * @returns {Object} Compact graph, ready for JSON.stringify
+ */
+export function encodeCompactGraph(graph) {
+  const compact = {
+    format: COMPACT_GRAPH_FORMAT,
+    version: COMPACT_GRAPH_VERSION,
+    ids: [],
+    counts: [],
+    x: [],
+    y: [],
+    links: [],
+    weights: []
+  };
+  const indexes = new Map();
+
+  graph.forEachNode(node => {
+    indexes.set(node.id, compact.ids.length);
+    compact.ids.push(node.id);
+    compact.counts.push(node.data?.c ?? null);
+    compact.x.push(node.data?.coordinates?.[0] ?? null);
+    compact.y.push(node.data?.coordinates?.[1] ?? null);
+  });
+  graph.forEachLink(link => {
+    compact.links.push(indexes.get(link.fromId), indexes.get(link.toId));
+    compact.weights.push(link.data?.w ?? null);
+  });
+  return compact;
+}
+
+/**
+ * Checks a parsed compact graph and moves its numbers into typed arrays,
+ * which can be transferred from a worker without copying. Missing values become NaN.
+ * @param {Object} compact - Parsed compact graph file
+ * @returns {Object} Columns {ids, counts, x, y, links, weights}
+ */
+export function decodeCompactGraph(compact) {
+  if (compact?.format !== COMPACT_GRAPH_FORMAT) {
+    throw new Error('Not a compact graph file');
+  }
+  if (compact.version !== COMPACT_GRAPH_VERSION) {
+    throw new Error(`Unsupported compact graph version ${compact.version}`);
+  }
+
+  const nodeCount = compact.ids.length;
+  const columns = ['counts', 'x', 'y'];
+  columns.forEach(column => {
+    if (compact[column].length !== nodeCount) throw new Error(`Compact graph has a broken ${column} column`);
+  });
+  if (compact.links.length !== 2 * compact.weights.length) {
+    throw new Error('Compact graph has a broken links column');
+  }
+
+  return {
+    ids: compact.ids,
+    counts: toFloatArray(compact.counts),
+    x: toFloatArray(compact.x),
+    y: toFloatArray(compact.y),
+    links: Uint32Array.from(compact.links),
+    weights: toFloatArray(compact.weights)
+  };
+}
+
+/**
+ * @param {Object} columns - Columns from decodeCompactGraph
+ * @returns {Object} ngraph instance
+ */
+export function buildGraphFromColumns({ ids, counts, x, y, links, weights }) {
+  const graph = createGraph();
+
+  ids.forEach((id, index) => {
+    const data = {};
+    if (!Number.isNaN(counts[index])) data.c = counts[index];
+    if (!Number.isNaN(x[index]) && !Number.isNaN(y[index])) data.coordinates = [x[index], y[index]];
+    graph.addNode(id, Object.keys(data).length > 0 ? data : undefined);
+  });
+  for (let i = 0; i < weights.length; i++) {
+    const weight = weights[i];
+    graph.addLink(ids[links[2 * i]], ids[links[2 * i + 1]], Number.isNaN(weight) ? undefined : { w: weight });
+  }
+  return graph;
+}
+
+function toFloatArray(values) {
+  return Float64Array.from(values, value => value ?? NaN);
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for the compact graph format
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import fromDot from 'ngraph.fromdot';
+import toDot from 'ngraph.todot';
+import {
+  normalizeDotGraph,
+  encodeCompactGraph,
+  decodeCompactGraph,
+  buildGraphFromColumns
+} from './compactGraph.js';
+
+// Same shape as the output of utils/optimizeGraph.js
+function buildDotText() {
+  const graph = createGraph();
+  graph.addNode('爱', { c: 12, l: '1.25,-3.5' });
+  graph.addNode('喜欢', { c: 4, l: '2,4.75' });
+  graph.addNode('恨', { c: 1, l: '-10.125,0' });
+  graph.addLink('爱', '喜欢', { w: 7 });
+  graph.addLink('喜欢', '恨', { w: 2 });
+  graph.addLink('_cluster', '爱');
+  graph.addLink('_cluster', '恨');
+  return toDot(graph);
+}
+
+function describeGraph(graph) {
+  const nodes = [];
+  const links = [];
+  graph.forEachNode(node => nodes.push([node.id, node.data]));
+  graph.forEachLink(link => links.push([link.fromId, link.toId, link.data]));
+  return { nodes, links };
+}
+
+function loadCompact(graph) {
+  // Goes through JSON like the file on the server
+  const compact = JSON.parse(JSON.stringify(encodeCompactGraph(graph)));
+  return buildGraphFromColumns(decodeCompactGraph(compact));
+}
+
+describe('compact graph', () => {
+  test('DOT and compact loaders produce identical graphs', () => {
+    const dotGraph = normalizeDotGraph(fromDot(buildDotText()));
+    const compactGraph = loadCompact(dotGraph);
+
+    expect(describeGraph(compactGraph)).toEqual(describeGraph(dotGraph));
+    expect(compactGraph.getNode('爱').data).toEqual({ c: 12, coordinates: [1.25, -3.5] });
+    expect(compactGraph.getNode('_cluster').data).toBeUndefined();
+    expect(compactGraph.getLink('爱', '喜欢').data).toEqual({ w: 7 });
+  });
+
+  test('rejects other files', () => {
+    expect(() => decodeCompactGraph({ type: 'FeatureCollection' })).toThrow('Not a compact graph file');
+    expect(() => decodeCompactGraph({ format: 'lang-land-graph', version: 99 })).toThrow('version 99');
+
+    const broken = encodeCompactGraph(normalizeDotGraph(fromDot(buildDotText())));
+    broken.x.pop();
+    expect(() => decodeCompactGraph(broken)).toThrow('broken x column');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * How much of the map the learner covered: words discovered or marked known
+ * per semantic country (points that share a `parent`) and per level.
+ */
+
+import { convexHull } from './characterSpread.js';
+
+// Whole map, drawn clockwise so country outlines (counter-clockwise) cut holes in it
+const WORLD_RING = [[-180, -85], [-180, 85], [180, 85], [180, -85], [-180, -85]];
+// Outlines run through the outermost words, while their regions reach a bit further
+const OUTLINE_PADDING = 0.15;
+const MIN_OUTLINE_SIZE = 0.5;
+
+/**
+ * Counts words per group
+ * @param {Map} points - Map of words to {coordinates, level, parent}
+ * @param {Function} getKey - Returns the group of a point, groups null or undefined are skipped
+ * @param {Object} progress
+ * @param {Set<string>} progress.discovered - Words the learner opened
+ * @param {Set<string>} progress.known - Words marked as known
+ * @returns {Array<{key: *, total: number, discovered: number, known: number}>} Groups in order of first word,
+ *   known words count as discovered
+ */
+export function summarizeCoverage(points, getKey, { discovered, known }) {
+  const groups = new Map();
+  points.forEach((point, word) => {
+    const key = getKey(point);
+    if (key === null || key === undefined) return;
+    if (!groups.has(key)) groups.set(key, { key, total: 0, discovered: 0, known: 0 });
+
+    const group = groups.get(key);
+    group.total += 1;
+    if (known.has(word)) group.known += 1;
+    if (known.has(word) || discovered.has(word)) group.discovered += 1;
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Names countries after places. Labels sit among the words of their country,
+ * so a place belongs to the country of its nearest word and the biggest place
+ * of a country names it.
+ * @param {Array<{name: string, coordinates: Array<number>, symbolzoom: number}>} places - Named places
+ * @param {Map} points - Map of words to {coordinates, parent}
+ * @returns {Map} Map of country keys (`parent`) to names
+ */
+export function nameCountries(places, points) {
+  const wordPoints = [...points.values()];
+  const countryCount = new Set(wordPoints.map(point => point.parent)).size;
+  const names = new Map();
+
+  const byImportance = [...places].sort((a, b) => a.symbolzoom - b.symbolzoom);
+  for (const place of byImportance) {
+    if (names.size === countryCount) break;
+
+    const nearest = findNearest(place.coordinates, wordPoints);
+    if (nearest && !names.has(nearest.parent)) names.set(nearest.parent, place.name);
+  }
+  return names;
+}
+
+/**
+ * @param {Array<Array<number>>} coordinates - [x, y] points
+ * @returns {Array<Array<number>>} [[minX, minY], [maxX, maxY]]
+ */
+export function getBounds(coordinates) {
+  return coordinates.reduce(([[minX, minY], [maxX, maxY]], [x, y]) => [
+    [Math.min(minX, x), Math.min(minY, y)],
+    [Math.max(maxX, x), Math.max(maxY, y)]
+  ], [[Infinity, Infinity], [-Infinity, -Infinity]]);
+}
+
+/**
+ * Polygon that covers the whole map except the area of some points
+ * @param {Array<Array<number>>} coordinates - [x, y] points of the area to keep clear, at least one
+ * @returns {Object} GeoJSON polygon feature
+ */
+export function createFogMask(coordinates) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [WORLD_RING, createOutline(coordinates)] },
+    properties: {}
+  };
+}
+
+// Counter-clockwise ring around the points, grown a bit from its center
+function createOutline(coordinates) {
+  const [[minX, minY], [maxX, maxY]] = getBounds(coordinates);
+  const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+
+  let hull = convexHull(coordinates);
+  if (hull.length < 3 || maxX - minX < MIN_OUTLINE_SIZE || maxY - minY < MIN_OUTLINE_SIZE) {
+    // Too few or too close points for an outline, keep a small box clear instead
+    const half = Math.max(maxX - minX, maxY - minY, MIN_OUTLINE_SIZE) / 2;
+    hull = [
+      [center[0] - half, center[1] - half], [center[0] + half, center[1] - half],
+      [center[0] + half, center[1] + half], [center[0] - half, center[1] + half]
+    ];
+  }
+
+  const ring = hull.map(([x, y]) => [
+    center[0] + (x - center[0]) * (1 + OUTLINE_PADDING),
+    center[1] + (y - center[1]) * (1 + OUTLINE_PADDING)
+  ]);
+  return [...ring, ring[0]];
+}
+
+function findNearest([x, y], wordPoints) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  wordPoints.forEach(point => {
+    const distance = (point.coordinates[0] - x) ** 2 + (point.coordinates[1] - y) ** 2;
+    if (distance < nearestDistance) {
+      nearest = point;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
@@ -0,0 +1,79 @@
+/**
+ * Tests for map coverage
+ */
+
+import { describe, test, expect } from 'vitest';
+import { summarizeCoverage, nameCountries, getBounds, createFogMask } from './coverage.js';
+
+const points = new Map([
+  ['爱', { coordinates: [0, 0], level: 1, parent: 1 }],
+  ['恨', { coordinates: [2, 0], level: 2, parent: 1 }],
+  ['好', { coordinates: [1, 2], level: 1, parent: 1 }],
+  ['桌子', { coordinates: [10, 10], level: 1, parent: 2 }]
+]);
+
+describe('summarizeCoverage', () => {
+  const progress = { discovered: new Set(['爱', '桌子']), known: new Set(['恨', '桌子']) };
+
+  test('counts words per country', () => {
+    expect(summarizeCoverage(points, point => point.parent, progress)).toEqual([
+      { key: 1, total: 3, discovered: 2, known: 1 },
+      { key: 2, total: 1, discovered: 1, known: 1 }
+    ]);
+  });
+
+  test('counts words per level and skips words without a group', () => {
+    const withoutLevel = new Map([...points, ['吗', { coordinates: [0, 1], parent: 1 }]]);
+    expect(summarizeCoverage(withoutLevel, point => point.level, progress)).toEqual([
+      { key: 1, total: 3, discovered: 2, known: 1 },
+      { key: 2, total: 1, discovered: 1, known: 1 }
+    ]);
+  });
+});
+
+describe('nameCountries', () => {
+  test('names a country after its biggest place', () => {
+    const places = [
+      { name: 'Village', coordinates: [1, 1], symbolzoom: 6 },
+      { name: 'Loveland', coordinates: [0.5, 0.5], symbolzoom: 2 },
+      { name: 'Furniture', coordinates: [9, 9], symbolzoom: 3 }
+    ];
+
+    expect(nameCountries(places, points)).toEqual(new Map([[1, 'Loveland'], [2, 'Furniture']]));
+  });
+
+  test('leaves countries without places unnamed', () => {
+    expect(nameCountries([{ name: 'Loveland', coordinates: [0, 0], symbolzoom: 1 }], points))
+      .toEqual(new Map([[1, 'Loveland']]));
+  });
+});
+
+describe('getBounds', () => {
+  test('returns corners of the points', () => {
+    expect(getBounds([[0, 5], [2, -1], [1, 1]])).toEqual([[0, -1], [2, 5]]);
+  });
+});
+
+describe('createFogMask', () => {
+  test('cuts a hole around the points into the map', () => {
+    const [world, hole] = createFogMask([[0, 0], [2, 0], [2, 2], [0, 2], [1, 1]]).geometry.coordinates;
+
+    expect(world[0]).toEqual(world[world.length - 1]);
+    expect(hole).toHaveLength(5);
+    expect(hole[0]).toEqual(hole[4]);
+    // Grown from the center, so words at the edge stay clear of the fog
+    getBounds(hole).flat().forEach((value, index) => {
+      expect(value).toBeCloseTo([-0.15, -0.15, 2.15, 2.15][index]);
+    });
+  });
+
+  test('keeps a box clear around a single point', () => {
+    const [, hole] = createFogMask([[3, 3]]).geometry.coordinates;
+    const [[minX, minY], [maxX, maxY]] = getBounds(hole);
+
+    expect(hole).toHaveLength(5);
+    expect(minX).toBeLessThan(3);
+    expect(maxY).toBeGreaterThan(3);
+    expect(maxX - minX).toBeCloseTo(maxY - minY);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Dataset manifest describes one map: where its files live, which language
+ * and script it uses and how its words are grouped into levels. Each dataset
+ * folder may have a `manifest.json`; missing fields fall back to the layout
+ * of the original HSK map.
+ */
+
+/**
+ * Matches a single character of the dataset's script (Chinese by default)
+ */
+export const DEFAULT_SCRIPT = '[\\u4e00-\\u9fa5]';
+
+/**
+ * File locations relative to the dataset folder
+ */
+export const DEFAULT_SOURCES = {
+  // Outline of the countries
+  borders: 'borders.geojson',
+  // Words on the map
+  points: 'points.geojson',
+  // Country names
+  places: 'places.geojson',
+  // Roads between words
+  roads: 'roads.geojson',
+  // Region boundaries within a country (voronoi polygons)
+  regions: 'regions.geojson',
+  // Images under the regions
+  tiles: 'tiles/{z}/{x}/{y}.webp',
+  // All relationships between words
+  graph: 'graph.dot',
+  // Optional pre-built version of the graph (see utils/optimizeGraph.js) that loads without
+  // parsing DOT. The DOT graph is used when it is missing
+  graphCompact: null,
+  // Main definition of the words (key = word, value = definition)
+  flashcards: 'flashcards.json',
+  // Folder with a markdown card per word
+  cards: 'cards/',
+  // Folder with images used in the cards
+  images: 'images_optimized/',
+  // Optional folder with pre-rendered pronunciation (<word>.mp3, <word>-<example number>.mp3).
+  // Browser speech synthesis is used when it is missing
+  audio: null,
+  // Optional folder with character data in Make Me A Hanzi format: dictionary.txt and
+  // graphics/<character>.json (see utils/prepareHanziData.js). Enables the character panel
+  hanzi: null
+};
+
+/**
+ * @param {string} datasetId - Dataset folder on the server, e.g. "hsk/v1"
+ * @returns {Object} Manifest used when a dataset does not provide one
+ */
+export function createDefaultManifest(datasetId) {
+  return {
+    title: 'HSK Land',
+    language: 'zh-CN',
+    script: DEFAULT_SCRIPT,
+    editLink: `https://github.com/anvaka/lang-land-data/blob/main/${datasetId}/cards/{word}.md`,
+    levels: {
+      name: 'HSK',
+      label: 'HSK {level}',
+      values: [1, 2, 3, 4, 5, 6]
+    },
+    sources: { ...DEFAULT_SOURCES }
+  };
+}
+
+/**
+ * Combines a dataset manifest with defaults and turns it into config fields
+ * @param {Object} manifest - Parsed manifest.json (may be partial)
+ * @param {string} datasetId - Dataset folder on the server
+ * @param {string} datasetUrl - Absolute URL of the dataset folder, ending with '/'
+ * @returns {Object} `dataset` description plus source URLs in the shape of config.js
+ */
+export function resolveDataset(manifest, datasetId, datasetUrl) {
+  const defaults = createDefaultManifest(datasetId);
+  const merged = {
+    ...defaults,
+    ...manifest,
+    levels: { ...defaults.levels, ...manifest.levels },
+    sources: { ...defaults.sources, ...manifest.sources }
+  };
+
+  validateManifest(merged);
+
+  const { sources } = merged;
+  const resolve = (path) => /^([a-z]+:)?\/\//i.test(path) ? path : datasetUrl + path;
+
+  return {
+    dataset: {
+      id: datasetId,
+      title: merged.title,
+      language: merged.language,
+      script: merged.script,
+      editLink: merged.editLink,
+      levels: merged.levels
+    },
+    serverUrl: datasetUrl,
+    bordersSource: resolve(sources.borders),
+    pointsSource: resolve(sources.points),
+    placesSource: resolve(sources.places),
+    roadsSource: resolve(sources.roads),
+    regionsSource: resolve(sources.regions),
+    rasterTilesSource: resolve(sources.tiles),
+    graphFileUrl: resolve(sources.graph),
+    compactGraphUrl: sources.graphCompact ? resolve(sources.graphCompact) : null,
+    flashcardsUrl: resolve(sources.flashcards),
+    cardsFolder: resolve(sources.cards),
+    imagesFolder: resolve(sources.images),
+    audioFolder: sources.audio ? resolve(sources.audio) : null,
+    hanziFolder: sources.hanzi ? resolve(sources.hanzi) : null
+  };
+}
+
+function validateManifest(manifest) {
+  if (typeof manifest.title !== 'string' || !manifest.title) {
+    throw new Error('Dataset manifest must have a title');
+  }
+  if (!Array.isArray(manifest.levels.values) || manifest.levels.values.some(level => typeof level !== 'number')) {
+    throw new Error('Dataset levels must be an array of numbers');
+  }
+  if (!manifest.editLink.includes('{word}')) {
+    throw new Error('Dataset edit link must contain {word}');
+  }
+  try {
+    createScriptRegex(manifest.script);
+  } catch (error) {
+    throw new Error(`Invalid script regex in dataset manifest: ${manifest.script}`);
+  }
+}
+
+/**
+ * @param {string} script - Regex source that matches one character of the script
+ * @param {string} [flags] - Regex flags
+ * @returns {RegExp} Regex that matches runs of script characters
+ */
+export function createScriptRegex(script, flags) {
+  return new RegExp(`(?:${script})+`, flags);
+}
+
+/**
+ * @param {string} template - Edit link template with a {word} placeholder
+ * @param {string} word - Word of the card
+ * @returns {string} Link to the card source
+ */
+export function createEditLink(template, word) {
+  return template.replaceAll('{word}', word);
+}
+
+/**
+ * @param {Object} levels - `levels` section of the manifest
+ * @param {number} level - Level number
+ * @returns {string} Human readable level name, e.g. "HSK 3" or "N5"
+ */
+export function formatLevel(levels, level) {
+  return levels.label.replaceAll('{level}', level);
+}
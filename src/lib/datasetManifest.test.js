@@ -0,0 +1,87 @@
+/**
+ * Tests for dataset manifest resolution
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  resolveDataset,
+  createScriptRegex,
+  createEditLink,
+  formatLevel
+} from './datasetManifest.js';
+
+const datasetUrl = 'https://example.com/data/hsk/v1/';
+
+describe('resolveDataset', () => {
+  test('reproduces the original HSK layout without a manifest', () => {
+    const config = resolveDataset({}, 'hsk/v1', datasetUrl);
+
+    expect(config.pointsSource).toBe('https://example.com/data/hsk/v1/points.geojson');
+    expect(config.graphFileUrl).toBe('https://example.com/data/hsk/v1/graph.dot');
+    expect(config.rasterTilesSource).toBe('https://example.com/data/hsk/v1/tiles/{z}/{x}/{y}.webp');
+    expect(config.cardsFolder).toBe('https://example.com/data/hsk/v1/cards/');
+    expect(config.dataset.title).toBe('HSK Land');
+    expect(config.dataset.editLink).toBe('https://github.com/anvaka/lang-land-data/blob/main/hsk/v1/cards/{word}.md');
+    expect(config.dataset.levels.values).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(config.audioFolder).toBe(null);
+    expect(config.hanziFolder).toBe(null);
+    expect(config.compactGraphUrl).toBe(null);
+  });
+
+  test('applies manifest fields and keeps absolute source URLs', () => {
+    const config = resolveDataset({
+      title: 'JLPT Land',
+      language: 'ja',
+      script: '[\\u3040-\\u30ff\\u4e00-\\u9faf]',
+      editLink: 'https://example.com/edit/{word}',
+      levels: { name: 'JLPT', label: 'N{level}', values: [5, 4, 3, 2, 1] },
+      sources: {
+        graph: 'graph-v2.dot',
+        graphCompact: 'graph-v2.json',
+        images: 'https://cdn.example.com/images/',
+        audio: 'audio/'
+      }
+    }, 'jlpt/v1', 'https://example.com/data/jlpt/v1/');
+
+    expect(config.dataset).toEqual({
+      id: 'jlpt/v1',
+      title: 'JLPT Land',
+      language: 'ja',
+      script: '[\\u3040-\\u30ff\\u4e00-\\u9faf]',
+      editLink: 'https://example.com/edit/{word}',
+      levels: { name: 'JLPT', label: 'N{level}', values: [5, 4, 3, 2, 1] }
+    });
+    expect(config.graphFileUrl).toBe('https://example.com/data/jlpt/v1/graph-v2.dot');
+    expect(config.compactGraphUrl).toBe('https://example.com/data/jlpt/v1/graph-v2.json');
+    expect(config.imagesFolder).toBe('https://cdn.example.com/images/');
+    expect(config.pointsSource).toBe('https://example.com/data/jlpt/v1/points.geojson');
+    expect(config.audioFolder).toBe('https://example.com/data/jlpt/v1/audio/');
+  });
+
+  test('merges partial levels with defaults', () => {
+    const config = resolveDataset({ levels: { values: [1, 2, 3] } }, 'hsk/v3', datasetUrl);
+    expect(config.dataset.levels).toEqual({ name: 'HSK', label: 'HSK {level}', values: [1, 2, 3] });
+  });
+
+  test('rejects invalid manifests', () => {
+    expect(() => resolveDataset({ script: '[' }, 'x', datasetUrl)).toThrow('Invalid script regex');
+    expect(() => resolveDataset({ editLink: 'https://example.com' }, 'x', datasetUrl)).toThrow('{word}');
+    expect(() => resolveDataset({ levels: { values: ['one'] } }, 'x', datasetUrl)).toThrow('levels');
+    expect(() => resolveDataset({ title: '' }, 'x', datasetUrl)).toThrow('title');
+  });
+});
+
+describe('helpers', () => {
+  test('createScriptRegex matches runs of script characters', () => {
+    expect('Hi 你好, 世界!'.match(createScriptRegex('[\\u4e00-\\u9fa5]', 'g'))).toEqual(['你好', '世界']);
+  });
+
+  test('createEditLink fills in the word', () => {
+    expect(createEditLink('https://example.com/{word}.md', '学习')).toBe('https://example.com/学习.md');
+  });
+
+  test('formatLevel uses the level label', () => {
+    expect(formatLevel({ label: 'HSK {level}' }, 3)).toBe('HSK 3');
+    expect(formatLevel({ label: 'N{level}' }, 5)).toBe('N5');
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Escapes text for HTML templates, so words, card titles and names from the
+ * data or from the user are shown as text
+ * @param {*} text - Text to escape, other values are converted to strings
+ * @returns {string} Text safe to put into element content and quoted attributes
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
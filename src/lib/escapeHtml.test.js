@@ -0,0 +1,16 @@
+/**
+ * Tests for HTML escaping
+ */
+
+import { describe, test, expect } from 'vitest';
+import { escapeHtml } from './escapeHtml.js';
+
+describe('escapeHtml', () => {
+  test('escapes markup and quotes', () => {
+    expect(escapeHtml('<img src="x" onerror=alert(1)> & 爱')).toBe('&lt;img src=&quot;x&quot; onerror=alert(1)&gt; &amp; 爱');
+  });
+
+  test('converts other values to strings', () => {
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
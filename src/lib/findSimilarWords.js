@@ -0,0 +1,66 @@
+import { segmentChineseText } from './turnChineseWordsIntoLinks.js';
+import { DEFAULT_SCRIPT, createScriptRegex } from './datasetManifest.js';
+import { isServiceNode } from './graphPaths.js';
+
+/**
+ * Finds words close to a query that has no exact match in the graph
+ * @param {string} query - What the user searched for
+ * @param {Object} graph - Graph with words as nodes
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of words in each group
+ * @param {string} [options.script] - Regex source matching one character of the dataset's script
+ * @returns {Object} Candidate groups:
+ *  - containing: words that contain every typed character
+ *  - sharingCharacters: words that share at least one character with the query
+ *  - neighbors: graph neighbors of words found in the query or containing it
+ *  - segments: query split with the longest-match logic into {text, isWord}
+ *    parts (empty unless it splits into more than one part and has known words)
+ */
+export function findSimilarWords(query, graph, { limit = 8, script = DEFAULT_SCRIPT } = {}) {
+  const scriptCharacter = createScriptRegex(script);
+  const characters = [...new Set([...query].filter(char => scriptCharacter.test(char)))];
+  const containing = [];
+  const sharing = [];
+
+  graph.forEachNode(node => {
+    const word = node.id;
+    if (isServiceNode(word) || word === query) return;
+
+    const sharedCount = characters.filter(char => word.includes(char)).length;
+    if (sharedCount === 0) return;
+
+    if (sharedCount === characters.length) {
+      containing.push(word);
+    } else {
+      sharing.push({ word, sharedCount });
+    }
+  });
+
+  // Words that contain the query as is go first, then shorter (more basic) words
+  containing.sort((a, b) => (b.includes(query) - a.includes(query)) || a.length - b.length);
+  sharing.sort((a, b) => b.sharedCount - a.sharedCount || a.word.length - b.word.length);
+
+  const segments = segmentChineseText(query, graph, script);
+  const knownSegments = segments.filter(segment => graph.getNode(segment));
+  const partialMatches = [...new Set([...knownSegments, ...containing.slice(0, 3)])];
+
+  const shown = new Set([query, ...containing.slice(0, limit), ...partialMatches]);
+  const neighbors = [];
+  partialMatches.forEach(word => {
+    graph.forEachLinkedNode(word, (linkedNode) => {
+      const id = linkedNode.id;
+      if (isServiceNode(id) || shown.has(id)) return;
+      shown.add(id);
+      neighbors.push(id);
+    });
+  });
+
+  return {
+    containing: containing.slice(0, limit),
+    sharingCharacters: sharing.slice(0, limit).map(item => item.word),
+    neighbors: neighbors.slice(0, limit),
+    segments: segments.length > 1 && knownSegments.length > 0
+      ? segments.map(text => ({ text, isWord: !!graph.getNode(text) }))
+      : []
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Tests for "no match" candidates in search
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import { findSimilarWords } from './findSimilarWords.js';
+import { segmentChinesePhrase } from './turnChineseWordsIntoLinks.js';
+
+function buildGraph() {
+  const graph = createGraph();
+  ['我', '喜欢', '学习', '学生', '学校', '中文', '习惯', '欢迎', '_service'].forEach(word => graph.addNode(word));
+  graph.addLink('学习', '学生');
+  graph.addLink('学习', '中文');
+  graph.addLink('喜欢', '欢迎');
+  graph.addLink('学习', '_service');
+  return graph;
+}
+
+describe('segmentChinesePhrase', () => {
+  test('prefers the longest known word from the start', () => {
+    expect(segmentChinesePhrase('我喜欢学习中文', buildGraph())).toEqual(['我', '喜欢', '学习', '中文']);
+  });
+
+  test('keeps unknown characters one by one', () => {
+    expect(segmentChinesePhrase('他们学习', buildGraph())).toEqual(['他', '们', '学习']);
+  });
+});
+
+describe('findSimilarWords', () => {
+  test('finds words containing all typed characters', () => {
+    const { containing } = findSimilarWords('学', buildGraph());
+    expect(containing).toEqual(['学习', '学生', '学校']);
+  });
+
+  test('finds words sharing some of the characters', () => {
+    const { containing, sharingCharacters } = findSimilarWords('学惯', buildGraph());
+    expect(containing).toEqual([]);
+    expect(sharingCharacters).toEqual(['学习', '学生', '学校', '习惯']);
+  });
+
+  test('offers segmentation of a sentence into known words', () => {
+    const { segments } = findSimilarWords('我喜欢学习', buildGraph());
+    expect(segments).toEqual([
+      { text: '我', isWord: true },
+      { text: '喜欢', isWord: true },
+      { text: '学习', isWord: true }
+    ]);
+  });
+
+  test('marks unknown characters in segments', () => {
+    const { segments } = findSimilarWords('他学习', buildGraph());
+    expect(segments).toEqual([
+      { text: '他', isWord: false },
+      { text: '学习', isWord: true }
+    ]);
+  });
+
+  test('includes graph neighbors of partial matches, skipping service nodes', () => {
+    const { neighbors } = findSimilarWords('我喜欢学习', buildGraph());
+    expect(neighbors).toEqual(['欢迎', '学生', '中文']);
+  });
+
+  test('returns empty groups for non-Chinese input', () => {
+    expect(findSimilarWords('hello', buildGraph())).toEqual({
+      containing: [],
+      sharingCharacters: [],
+      neighbors: [],
+      segments: []
+    });
+  });
+});
@@ -0,0 +1,15 @@
+const UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * Formats a byte count for humans, e.g. 1536 -> "1.5 KB"
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Formatted size
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+
+  const unitIndex = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), UNITS.length - 1);
+  const value = bytes / 1024 ** unitIndex;
+  const rounded = value >= 10 || unitIndex === 0 ? Math.round(value) : Math.round(value * 10) / 10;
+  return `${rounded} ${UNITS[unitIndex]}`;
+}
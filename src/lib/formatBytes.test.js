@@ -0,0 +1,31 @@
+/**
+ * Tests for human readable byte sizes
+ */
+
+import { describe, test, expect } from 'vitest';
+import { formatBytes } from './formatBytes.js';
+
+describe('formatBytes', () => {
+  test('formats bytes without decimals', () => {
+    expect(formatBytes(512)).toBe('512 B');
+  });
+
+  test('keeps one decimal for small values of larger units', () => {
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(5.25 * 1024 * 1024)).toBe('5.3 MB');
+  });
+
+  test('rounds values of ten and more', () => {
+    expect(formatBytes(42 * 1024 * 1024 + 300000)).toBe('42 MB');
+  });
+
+  test('caps at gigabytes', () => {
+    expect(formatBytes(3 * 1024 ** 4)).toBe('3072 GB');
+  });
+
+  test('treats missing or negative sizes as zero', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(undefined)).toBe('0 B');
+    expect(formatBytes(-5)).toBe('0 B');
+  });
+});
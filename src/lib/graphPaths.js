@@ -0,0 +1,161 @@
+/**
+ * Routes through the word graph: the shortest path between two words and
+ * tours of new words around the ones the learner knows. Link weights `w`
+ * (see utils/optimizeGraph.js) grow with similarity, so walking a link costs
+ * 1 / w. Service nodes (ids starting with "_") are not walked through.
+ */
+
+/**
+ * @param {Object} link - ngraph link
+ * @returns {number} Similarity of the linked words, 1 when the graph has no weights
+ */
+export function getLinkWeight(link) {
+  const weight = Number(link.data?.w);
+  return weight > 0 ? weight : 1;
+}
+
+/**
+ * Service nodes group the words of the graph (ids starting with "_"), they are not words
+ * @param {*} id - Node id
+ * @returns {boolean} Whether the node is not a word
+ */
+export function isServiceNode(id) {
+  return typeof id !== 'string' || id[0] === '_';
+}
+
+/**
+ * Dijkstra's shortest path between two words
+ * @param {Object} graph - ngraph instance
+ * @param {string} from - Start word
+ * @param {string} to - Target word
+ * @returns {Array<string>|null} Words of the path including both ends, or null when they are not connected
+ */
+export function findShortestPath(graph, from, to) {
+  if (!graph.getNode(from) || !graph.getNode(to)) return null;
+
+  const costs = new Map([[from, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const queue = new MinHeap();
+  queue.push(from, 0);
+
+  while (queue.size > 0) {
+    const { id, cost } = queue.pop();
+    if (visited.has(id)) continue; // Stale entry, the word was reached cheaper
+    if (id === to) return buildPath(previous, to);
+    visited.add(id);
+
+    graph.forEachLinkedNode(id, (linkedNode, link) => {
+      const linkedId = linkedNode.id;
+      if (visited.has(linkedId) || isServiceNode(linkedId)) return;
+
+      const linkedCost = cost + 1 / getLinkWeight(link);
+      if (linkedCost < (costs.get(linkedId) ?? Infinity)) {
+        costs.set(linkedId, linkedCost);
+        previous.set(linkedId, id);
+        queue.push(linkedId, linkedCost);
+      }
+    });
+  }
+  return null;
+}
+
+/**
+ * Picks new words one at a time, always the one most similar to the words
+ * known so far. Every picked word counts as known for the next pick, so the
+ * tour grows outwards from what the learner knows without jumping away.
+ * @param {Object} graph - ngraph instance
+ * @param {Iterable<string>} knownWords - Words the learner knows
+ * @param {Object} options
+ * @param {number} options.length - Number of words in the tour
+ * @param {Function} [options.isCandidate] - Whether a word may join the tour
+ * @returns {Array<{word: string, via: string}>} Tour words in order, each with the known word it is reached from
+ */
+export function createTour(graph, knownWords, { length, isCandidate = () => true }) {
+  const known = new Set([...knownWords].filter(word => graph.getNode(word)));
+  const candidates = new Map(); // word -> {score, via, viaWeight}
+
+  const addNeighbors = (word) => {
+    graph.forEachLinkedNode(word, (linkedNode, link) => {
+      const linkedId = linkedNode.id;
+      if (known.has(linkedId) || isServiceNode(linkedId) || !isCandidate(linkedId)) return;
+
+      const weight = getLinkWeight(link);
+      const candidate = candidates.get(linkedId) || { score: 0, via: word, viaWeight: 0 };
+      candidate.score += weight;
+      if (weight > candidate.viaWeight) {
+        candidate.via = word;
+        candidate.viaWeight = weight;
+      }
+      candidates.set(linkedId, candidate);
+    });
+  };
+  known.forEach(addNeighbors);
+
+  const tour = [];
+  while (tour.length < length && candidates.size > 0) {
+    let best = null;
+    candidates.forEach((candidate, word) => {
+      if (!best || candidate.score > best.score ||
+        (candidate.score === best.score && String(word) < String(best.word))) {
+        best = { word, ...candidate };
+      }
+    });
+
+    candidates.delete(best.word);
+    known.add(best.word);
+    tour.push({ word: best.word, via: best.via });
+    addNeighbors(best.word);
+  }
+  return tour;
+}
+
+function buildPath(previous, to) {
+  const path = [to];
+  while (previous.has(path[0])) path.unshift(previous.get(path[0]));
+  return path;
+}
+
+// Binary heap of ids ordered by cost
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(id, cost) {
+    const items = this.items;
+    items.push({ id, cost });
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].cost <= items[index].cost) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Tests for routes through the word graph
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import { getLinkWeight, isServiceNode, findShortestPath, createTour } from './graphPaths.js';
+
+function buildGraph() {
+  const graph = createGraph();
+  // Short path through a weak link, longer path through strong links
+  graph.addLink('爱', '恨', { w: 1 });
+  graph.addLink('爱', '喜欢', { w: 10 });
+  graph.addLink('喜欢', '讨厌', { w: 10 });
+  graph.addLink('讨厌', '恨', { w: 10 });
+  graph.addLink('恨', '生气', { w: 5 });
+  graph.addLink('喜欢', '高兴', { w: 2 });
+  // Service nodes connect everything but are not real relations
+  graph.addLink('爱', '_cluster', { w: 100 });
+  graph.addLink('_cluster', '桌子', { w: 100 });
+  graph.addNode('椅子');
+  return graph;
+}
+
+describe('getLinkWeight', () => {
+  test('reads weights and falls back to 1', () => {
+    expect(getLinkWeight({ data: { w: '4' } })).toBe(4);
+    expect(getLinkWeight({ data: {} })).toBe(1);
+    expect(getLinkWeight({})).toBe(1);
+  });
+});
+
+describe('isServiceNode', () => {
+  test('tells service nodes from words', () => {
+    expect(isServiceNode('_cluster')).toBe(true);
+    expect(isServiceNode(undefined)).toBe(true);
+    expect(isServiceNode('爱')).toBe(false);
+  });
+});
+
+describe('findShortestPath', () => {
+  const graph = buildGraph();
+
+  test('prefers strong links over fewer links', () => {
+    expect(findShortestPath(graph, '爱', '恨')).toEqual(['爱', '喜欢', '讨厌', '恨']);
+    expect(findShortestPath(graph, '生气', '爱')).toEqual(['生气', '恨', '讨厌', '喜欢', '爱']);
+  });
+
+  test('returns the word itself as a path to itself', () => {
+    expect(findShortestPath(graph, '爱', '爱')).toEqual(['爱']);
+  });
+
+  test('does not walk through service nodes', () => {
+    expect(findShortestPath(graph, '爱', '桌子')).toBeNull();
+    expect(findShortestPath(graph, '爱', '椅子')).toBeNull();
+    expect(findShortestPath(graph, '爱', '没有')).toBeNull();
+  });
+});
+
+describe('createTour', () => {
+  const graph = buildGraph();
+
+  test('grows from known words through the strongest links', () => {
+    expect(createTour(graph, ['爱'], { length: 3 })).toEqual([
+      { word: '喜欢', via: '爱' },
+      { word: '讨厌', via: '喜欢' },
+      { word: '恨', via: '讨厌' }
+    ]);
+  });
+
+  test('skips words that are not candidates and stops when nothing is left', () => {
+    const tour = createTour(graph, ['恨'], { length: 10, isCandidate: word => word !== '讨厌' });
+    expect(tour.map(stop => stop.word)).toEqual(['生气', '爱', '喜欢', '高兴']);
+  });
+
+  test('is empty without known words', () => {
+    expect(createTour(graph, ['没有'], { length: 3 })).toEqual([]);
+  });
+});
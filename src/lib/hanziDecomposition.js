@@ -0,0 +1,151 @@
+/**
+ * Character decomposition and stroke helpers for Make Me A Hanzi style data:
+ * - dictionary.txt: one JSON object per line with `character`, `decomposition`
+ *   (an IDS string such as "⿰亻尔"), `radical`, `pinyin` and `definition`
+ * - graphics: `strokes` (SVG paths) and `medians` (stroke center lines) in a
+ *   1024x1024 box with the y axis pointing up
+ *
+ * Shared by the sidebar character panel and utils/prepareHanziData.js.
+ */
+
+// Ideographic description characters and the number of components they take
+const IDS_OPERATORS = {
+  '⿰': 2, '⿱': 2, '⿲': 3, '⿳': 3, '⿴': 2, '⿵': 2,
+  '⿶': 2, '⿷': 2, '⿸': 2, '⿹': 2, '⿺': 2, '⿻': 2
+};
+
+// Make Me A Hanzi marks components it could not identify with a full-width question mark
+const UNKNOWN_COMPONENT = '？';
+
+/**
+ * @param {string} text - Contents of dictionary.txt (JSON lines)
+ * @returns {Map} Map of characters to dictionary entries
+ */
+export function parseHanziDictionary(text) {
+  const dictionary = new Map();
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    const entry = JSON.parse(line);
+    dictionary.set(entry.character, entry);
+  });
+  return dictionary;
+}
+
+/**
+ * Parses an IDS string into a tree
+ * @param {string} ids - Decomposition, e.g. "⿰亻⿱口口"
+ * @returns {Object|null} {operator, children} for compounds or {character} for leaves
+ */
+export function parseIds(ids) {
+  const symbols = [...(ids || '')];
+  let position = 0;
+
+  function readNode() {
+    const symbol = symbols[position++];
+    if (symbol === undefined) return null;
+
+    const arity = IDS_OPERATORS[symbol];
+    if (!arity) return { character: symbol };
+
+    const children = [];
+    for (let i = 0; i < arity; i++) {
+      const child = readNode();
+      if (!child) return null; // Truncated decomposition
+      children.push(child);
+    }
+    return { operator: symbol, children };
+  }
+
+  return readNode();
+}
+
+/**
+ * Builds the component tree of a character, decomposing components that
+ * have their own dictionary entry
+ * @param {string} character - Character to decompose
+ * @param {Map} dictionary - Parsed dictionary
+ * @param {number} [maxDepth] - How deep to go into components
+ * @returns {Object} {character, children}, children are the components
+ */
+export function buildComponentTree(character, dictionary, maxDepth = 4) {
+  function expand(char, depth, seen) {
+    const node = { character: char, children: [] };
+    if (depth >= maxDepth || seen.has(char)) return node;
+
+    const tree = parseIds(dictionary.get(char)?.decomposition);
+    // A character that decomposes into itself is a basic component
+    if (!tree || !tree.operator) return node;
+
+    const nextSeen = new Set(seen).add(char);
+    node.children = getLeaves(tree)
+      .filter(leaf => leaf !== UNKNOWN_COMPONENT)
+      .map(leaf => expand(leaf, depth + 1, nextSeen));
+    return node;
+  }
+
+  return expand(character, 0, new Set());
+}
+
+/**
+ * @param {string} character - Character to decompose
+ * @param {Map} dictionary - Parsed dictionary
+ * @returns {Set<string>} All components of the character at any depth
+ */
+export function getAllComponents(character, dictionary) {
+  const components = new Set();
+  const visit = (node) => {
+    node.children.forEach(child => {
+      components.add(child.character);
+      visit(child);
+    });
+  };
+  visit(buildComponentTree(character, dictionary, Infinity));
+  components.delete(character);
+  return components;
+}
+
+/**
+ * Finds words that use a component in any of their characters
+ * @param {string} component - Character or component
+ * @param {Iterable<string>} words - Words to search
+ * @param {Map} dictionary - Parsed dictionary
+ * @returns {Array<string>} Matching words in the order of `words`
+ */
+export function findWordsWithComponent(component, words, dictionary) {
+  const cache = new Map();
+  const hasComponent = (character) => {
+    if (character === component) return true;
+    if (!cache.has(character)) {
+      cache.set(character, getAllComponents(character, dictionary).has(component));
+    }
+    return cache.get(character);
+  };
+
+  return [...words].filter(word => [...word].some(hasComponent));
+}
+
+/**
+ * Turns a stroke median (list of points) into an SVG path
+ * @param {Array<Array<number>>} median - Points of the stroke center line
+ * @returns {string} SVG path data
+ */
+export function getMedianPath(median) {
+  return median.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x} ${y}`).join(' ');
+}
+
+/**
+ * @param {Array<Array<number>>} median - Points of the stroke center line
+ * @returns {number} Length of the line, used to animate drawing it
+ */
+export function getMedianLength(median) {
+  let length = 0;
+  for (let i = 1; i < median.length; i++) {
+    length += Math.hypot(median[i][0] - median[i - 1][0], median[i][1] - median[i - 1][1]);
+  }
+  return length;
+}
+
+function getLeaves(tree) {
+  if (!tree.operator) return [tree.character];
+  return tree.children.flatMap(getLeaves);
+}
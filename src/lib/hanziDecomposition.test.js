@@ -0,0 +1,82 @@
+/**
+ * Tests for character decomposition helpers
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  parseHanziDictionary,
+  parseIds,
+  buildComponentTree,
+  getAllComponents,
+  findWordsWithComponent,
+  getMedianPath,
+  getMedianLength
+} from './hanziDecomposition.js';
+
+const dictionaryText = [
+  { character: '你', decomposition: '⿰亻尔', radical: '亻' },
+  { character: '亻', decomposition: '？', radical: '亻' },
+  { character: '尔', decomposition: '⿱⺈小', radical: '小' },
+  { character: '小', decomposition: '？', radical: '小' },
+  { character: '们', decomposition: '⿰亻门', radical: '亻' },
+  { character: '门', decomposition: '？', radical: '门' },
+  { character: '品', decomposition: '⿱口⿰口口', radical: '口' },
+  { character: '口', decomposition: '？', radical: '口' }
+].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+const dictionary = parseHanziDictionary(dictionaryText);
+
+describe('parseIds', () => {
+  test('parses nested decompositions', () => {
+    expect(parseIds('⿱口⿰口口')).toEqual({
+      operator: '⿱',
+      children: [
+        { character: '口' },
+        { operator: '⿰', children: [{ character: '口' }, { character: '口' }] }
+      ]
+    });
+  });
+
+  test('returns null for empty or truncated input', () => {
+    expect(parseIds('')).toBe(null);
+    expect(parseIds('⿰亻')).toBe(null);
+  });
+});
+
+describe('component trees', () => {
+  test('decomposes components that have their own entries', () => {
+    expect(buildComponentTree('你', dictionary)).toEqual({
+      character: '你',
+      children: [
+        { character: '亻', children: [] },
+        {
+          character: '尔',
+          children: [{ character: '⺈', children: [] }, { character: '小', children: [] }]
+        }
+      ]
+    });
+  });
+
+  test('respects max depth', () => {
+    expect(buildComponentTree('你', dictionary, 1).children[1].children).toEqual([]);
+  });
+
+  test('collects components at any depth', () => {
+    expect([...getAllComponents('你', dictionary)]).toEqual(['亻', '尔', '⺈', '小']);
+  });
+
+  test('finds words that contain a component', () => {
+    const words = ['你们', '小', '门口', '品', '你'];
+    expect(findWordsWithComponent('亻', words, dictionary)).toEqual(['你们', '你']);
+    expect(findWordsWithComponent('小', words, dictionary)).toEqual(['你们', '小', '你']);
+    expect(findWordsWithComponent('口', words, dictionary)).toEqual(['门口', '品']);
+  });
+});
+
+describe('stroke medians', () => {
+  test('builds a path and measures it', () => {
+    const median = [[0, 0], [30, 40], [30, 50]];
+    expect(getMedianPath(median)).toBe('M0 0 L30 40 L30 50');
+    expect(getMedianLength(median)).toBe(60);
+  });
+});
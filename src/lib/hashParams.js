@@ -0,0 +1,50 @@
+/**
+ * Helpers for `#key=value&other=value` style location hashes. The map keeps
+ * its position under `map=`, the sidebar keeps the open word under `word=`.
+ */
+
+/**
+ * @param {string} hash - Location hash, with or without the leading '#'
+ * @param {string} name - Parameter name
+ * @returns {string|null} Decoded value or null if the parameter is missing
+ */
+export function getHashParam(hash, name) {
+  const part = splitHash(hash).find(item => item.split('=')[0] === name);
+  if (part === undefined) return null;
+
+  try {
+    return decodeURIComponent(part.slice(name.length + 1));
+  } catch (error) {
+    return null; // Malformed escape sequence
+  }
+}
+
+/**
+ * @param {string} hash - Location hash, with or without the leading '#'
+ * @param {string} name - Parameter name
+ * @param {string|null} value - New value; null removes the parameter
+ * @returns {string} Hash with the parameter updated, starting with '#' (or empty)
+ */
+export function setHashParam(hash, name, value) {
+  const parts = splitHash(hash).filter(item => item.split('=')[0] !== name);
+  if (value !== null && value !== undefined) {
+    parts.push(`${name}=${encodeURIComponent(value)}`);
+  }
+  return parts.length > 0 ? `#${parts.join('&')}` : '';
+}
+
+/**
+ * Converts a bare map position hash (`#zoom/lat/lng`) from older links
+ * into the named form (`#map=zoom/lat/lng`)
+ * @param {string} hash - Location hash
+ * @param {string} name - Parameter name used by the map
+ * @returns {string} Hash in the named form
+ */
+export function upgradeMapHash(hash, name) {
+  const value = hash.replace(/^#/, '');
+  return /^[\d.\-/]+$/.test(value) ? `#${name}=${value}` : hash;
+}
+
+function splitHash(hash) {
+  return hash.replace(/^#/, '').split('&').filter(Boolean);
+}
@@ -0,0 +1,42 @@
+/**
+ * Tests for location hash parameters
+ */
+
+import { describe, test, expect } from 'vitest';
+import { getHashParam, setHashParam, upgradeMapHash } from './hashParams.js';
+
+describe('getHashParam', () => {
+  test('reads decoded values', () => {
+    expect(getHashParam('#map=4/1.5/2&word=%E5%AD%A6%E4%B9%A0', 'word')).toBe('学习');
+    expect(getHashParam('map=4/1.5/2', 'map')).toBe('4/1.5/2');
+  });
+
+  test('returns null for missing or malformed values', () => {
+    expect(getHashParam('#map=4/1/2', 'word')).toBe(null);
+    expect(getHashParam('', 'word')).toBe(null);
+    expect(getHashParam('#word=%E5', 'word')).toBe(null);
+  });
+});
+
+describe('setHashParam', () => {
+  test('adds and replaces parameters, keeping others', () => {
+    expect(setHashParam('#map=4/1/2', 'word', '学习')).toBe('#map=4/1/2&word=%E5%AD%A6%E4%B9%A0');
+    expect(setHashParam('#word=a&map=4/1/2', 'word', 'b')).toBe('#map=4/1/2&word=b');
+  });
+
+  test('removes parameters', () => {
+    expect(setHashParam('#map=4/1/2&word=a', 'word', null)).toBe('#map=4/1/2');
+    expect(setHashParam('#word=a', 'word', null)).toBe('');
+  });
+});
+
+describe('upgradeMapHash', () => {
+  test('names bare map positions', () => {
+    expect(upgradeMapHash('#2.5/-10.25/30', 'map')).toBe('#map=2.5/-10.25/30');
+  });
+
+  test('keeps named hashes as is', () => {
+    expect(upgradeMapHash('#map=2/0/0&word=a', 'map')).toBe('#map=2/0/0&word=a');
+    expect(upgradeMapHash('', 'map')).toBe('');
+  });
+});
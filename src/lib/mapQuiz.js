@@ -0,0 +1,77 @@
+/**
+ * Scoring for the "find the word on the map" quiz. A guess is scored by how
+ * many graph links separate it from the answer, with the distance on the map
+ * as a fallback for guesses that are far away in the graph.
+ */
+
+import { isServiceNode } from './graphPaths.js';
+
+export const MAX_SCORE = 100;
+// Guesses further than this many links get no graph score
+const MAX_HOPS = 3;
+// Best score for a guess that is only close on the map
+const MAX_DISTANCE_SCORE = 50;
+
+/**
+ * Breadth-first search for the number of links between two words.
+ * Service nodes (ids starting with "_") are not walked through.
+ * @param {Object} graph - ngraph instance
+ * @param {string} from - Start word
+ * @param {string} to - Target word
+ * @param {number} [maxHops] - Stop searching after this many links
+ * @returns {number} Number of links, or Infinity if the words are further apart
+ */
+export function getHopDistance(graph, from, to, maxHops = MAX_HOPS) {
+  if (from === to) return 0;
+  if (!graph.getNode(from) || !graph.getNode(to)) return Infinity;
+
+  const visited = new Set([from]);
+  let frontier = [from];
+  for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+    const next = [];
+    for (const nodeId of frontier) {
+      let found = false;
+      graph.forEachLinkedNode(nodeId, (linkedNode) => {
+        const id = linkedNode.id;
+        if (id === to) found = true;
+        if (visited.has(id) || isServiceNode(id)) return;
+        visited.add(id);
+        next.push(id);
+      });
+      if (found) return hops;
+    }
+    frontier = next;
+  }
+  return Infinity;
+}
+
+/**
+ * @param {Object} guess
+ * @param {number} guess.hops - Graph distance between the guess and the answer
+ * @param {number} guess.distance - Map distance between the guessed region and the answer
+ * @param {number} maxDistance - Map distance at which the distance score drops to zero
+ * @returns {number} Score from 0 to MAX_SCORE
+ */
+export function scoreGuess({ hops, distance }, maxDistance) {
+  if (hops === 0) return MAX_SCORE;
+
+  const graphScore = hops <= MAX_HOPS ? MAX_SCORE * (1 - hops / (MAX_HOPS + 1)) : 0;
+  const distanceScore = maxDistance > 0
+    ? MAX_DISTANCE_SCORE * Math.max(0, 1 - distance / maxDistance)
+    : 0;
+  return Math.round(Math.max(graphScore, distanceScore));
+}
+
+/**
+ * Picks the next word to ask, avoiding recently asked ones
+ * @param {Array<string>} candidates - Words that can be asked
+ * @param {Set<string>} recent - Words asked recently
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {string|null} Picked word or null if there are no candidates
+ */
+export function pickQuizWord(candidates, recent, random = Math.random) {
+  const fresh = candidates.filter(word => !recent.has(word));
+  const pool = fresh.length > 0 ? fresh : candidates;
+  if (pool.length === 0) return null;
+  return pool[Math.floor(random() * pool.length)];
+}
@@ -0,0 +1,56 @@
+/**
+ * Tests for the map quiz scoring
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import { getHopDistance, scoreGuess, pickQuizWord, MAX_SCORE } from './mapQuiz.js';
+
+function buildGraph() {
+  const graph = createGraph();
+  graph.addLink('爱', '喜欢');
+  graph.addLink('喜欢', '讨厌');
+  graph.addLink('讨厌', '恨');
+  graph.addLink('恨', '生气');
+  // Service nodes connect everything but are not real relations
+  graph.addLink('爱', '_cluster');
+  graph.addLink('_cluster', '生气');
+  return graph;
+}
+
+describe('getHopDistance', () => {
+  test('counts links between words', () => {
+    const graph = buildGraph();
+    expect(getHopDistance(graph, '爱', '爱')).toBe(0);
+    expect(getHopDistance(graph, '爱', '喜欢')).toBe(1);
+    expect(getHopDistance(graph, '爱', '恨')).toBe(3);
+  });
+
+  test('ignores paths through service nodes and stops at maxHops', () => {
+    const graph = buildGraph();
+    expect(getHopDistance(graph, '爱', '生气')).toBe(Infinity);
+    expect(getHopDistance(graph, '爱', '生气', 4)).toBe(4);
+    expect(getHopDistance(graph, '爱', '没有')).toBe(Infinity);
+  });
+});
+
+describe('scoreGuess', () => {
+  test('gives full score to the right word and less for further words', () => {
+    expect(scoreGuess({ hops: 0, distance: 0 }, 10)).toBe(MAX_SCORE);
+    expect(scoreGuess({ hops: 1, distance: 8 }, 10)).toBe(75);
+    expect(scoreGuess({ hops: 3, distance: 8 }, 10)).toBe(25);
+  });
+
+  test('falls back to the map distance', () => {
+    expect(scoreGuess({ hops: Infinity, distance: 2 }, 10)).toBe(40);
+    expect(scoreGuess({ hops: Infinity, distance: 20 }, 10)).toBe(0);
+  });
+});
+
+describe('pickQuizWord', () => {
+  test('avoids recent words while there are others', () => {
+    expect(pickQuizWord(['爱', '恨'], new Set(['爱']), () => 0)).toBe('恨');
+    expect(pickQuizWord(['爱'], new Set(['爱']), () => 0)).toBe('爱');
+    expect(pickQuizWord([], new Set())).toBe(null);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Neighbourhood of a word in the graph, collected ring by ring: ring 1 are
+ * direct neighbours, ring 2 their neighbours and so on. Service nodes (ids
+ * starting with "_") are skipped.
+ */
+
+import { getLinkWeight, isServiceNode } from './graphPaths.js';
+
+// Deep neighbourhoods of popular words reach most of the graph
+const MAX_NODES = 400;
+
+/**
+ * @param {Object} graph - ngraph instance
+ * @param {string} nodeId - Word in the centre
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Number of rings
+ * @param {number} [options.minStrength] - Links weaker than this share (0-1) of the
+ *   strongest link of the centre word are pruned
+ * @param {boolean} [options.crossEdges] - Also return links between words of the same ring
+ * @param {number} [options.maxNodes] - Stop adding words after this many
+ * @returns {{nodes: Array<{id: string, ring: number}>, edges: Array<Object>}|null} Words with their
+ *   ring, and links {from, to, ring, strength, cross} where `strength` is the weight relative to the
+ *   strongest returned link. Null when the word is not in the graph
+ */
+export function collectNeighborhood(graph, nodeId, {
+  depth = 1,
+  minStrength = 0,
+  crossEdges = false,
+  maxNodes = MAX_NODES
+} = {}) {
+  if (!graph.getNode(nodeId)) return null;
+
+  let strongestWeight = 0;
+  graph.forEachLinkedNode(nodeId, (linkedNode, link) => {
+    if (!isServiceNode(linkedNode.id)) strongestWeight = Math.max(strongestWeight, getLinkWeight(link));
+  });
+  const minWeight = minStrength * strongestWeight;
+
+  const rings = new Map([[nodeId, 0]]);
+  const edges = new Map();
+  const addEdge = (from, to, weight, cross) => {
+    const key = [from, to].sort().join('\u0000');
+    if (!edges.has(key)) edges.set(key, { from, to, weight, ring: Math.max(rings.get(from), rings.get(to)), cross });
+  };
+
+  let frontier = [nodeId];
+  for (let ring = 1; ring <= depth && frontier.length > 0; ring++) {
+    const next = [];
+    frontier.forEach(id => {
+      graph.forEachLinkedNode(id, (linkedNode, link) => {
+        const linkedId = linkedNode.id;
+        const weight = getLinkWeight(link);
+        if (isServiceNode(linkedId) || weight < minWeight) return;
+
+        if (!rings.has(linkedId)) {
+          if (rings.size >= maxNodes) return;
+          rings.set(linkedId, ring);
+          next.push(linkedId);
+        }
+        // Links that lead one ring outwards
+        if (rings.get(linkedId) === ring) addEdge(id, linkedId, weight, false);
+      });
+    });
+    frontier = next;
+  }
+
+  if (crossEdges) {
+    rings.forEach((ring, id) => {
+      if (ring === 0) return;
+      graph.forEachLinkedNode(id, (linkedNode, link) => {
+        const weight = getLinkWeight(link);
+        if (rings.get(linkedNode.id) === ring && weight >= minWeight) addEdge(id, linkedNode.id, weight, true);
+      });
+    });
+  }
+
+  const maxWeight = Math.max(0, ...[...edges.values()].map(edge => edge.weight));
+  return {
+    nodes: [...rings].map(([id, ring]) => ({ id, ring })),
+    edges: [...edges.values()].map(({ weight, ...edge }) => ({ ...edge, strength: maxWeight ? weight / maxWeight : 1 }))
+  };
+}
+
+/**
+ * Direct neighbours of a word, most similar first
+ * @param {Object} graph - ngraph instance
+ * @param {string} nodeId - Word to list neighbours of
+ * @returns {Array<{word: string, weight: number}>} Neighbours, empty when the word is not in the graph
+ */
+export function getRelatedWords(graph, nodeId) {
+  if (!graph.getNode(nodeId)) return [];
+
+  const related = new Map();
+  graph.forEachLinkedNode(nodeId, (linkedNode, link) => {
+    const word = linkedNode.id;
+    if (isServiceNode(word) || word === nodeId) return;
+    // Links in both directions count once, with the stronger weight
+    related.set(word, Math.max(related.get(word) || 0, getLinkWeight(link)));
+  });
+
+  return [...related]
+    .map(([word, weight]) => ({ word, weight }))
+    .sort((a, b) => b.weight - a.weight || String(a.word).localeCompare(String(b.word)));
+}
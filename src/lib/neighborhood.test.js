@@ -0,0 +1,81 @@
+/**
+ * Tests for graph neighbourhoods
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import { collectNeighborhood, getRelatedWords } from './neighborhood.js';
+
+function buildGraph() {
+  const graph = createGraph();
+  graph.addLink('爱', '喜欢', { w: 10 });
+  graph.addLink('爱', '恨', { w: 2 });
+  graph.addLink('喜欢', '恨', { w: 4 });
+  graph.addLink('喜欢', '高兴', { w: 5 });
+  graph.addLink('高兴', '快乐', { w: 5 });
+  graph.addLink('爱', '_cluster', { w: 100 });
+  return graph;
+}
+
+const byId = ({ nodes }) => Object.fromEntries(nodes.map(({ id, ring }) => [id, ring]));
+
+describe('collectNeighborhood', () => {
+  const graph = buildGraph();
+
+  test('returns direct neighbours by default', () => {
+    const neighborhood = collectNeighborhood(graph, '爱');
+
+    expect(byId(neighborhood)).toEqual({ '爱': 0, '喜欢': 1, '恨': 1 });
+    expect(neighborhood.edges).toEqual([
+      { from: '爱', to: '喜欢', ring: 1, cross: false, strength: 1 },
+      { from: '爱', to: '恨', ring: 1, cross: false, strength: 0.2 }
+    ]);
+  });
+
+  test('collects rings up to the depth', () => {
+    const neighborhood = collectNeighborhood(graph, '爱', { depth: 2 });
+
+    expect(byId(neighborhood)).toEqual({ '爱': 0, '喜欢': 1, '恨': 1, '高兴': 2 });
+    expect(neighborhood.edges.map(({ from, to, ring }) => [from, to, ring])).toEqual([
+      ['爱', '喜欢', 1],
+      ['爱', '恨', 1],
+      ['喜欢', '高兴', 2]
+    ]);
+  });
+
+  test('adds links within rings on request', () => {
+    const { edges } = collectNeighborhood(graph, '爱', { crossEdges: true });
+    expect(edges.filter(edge => edge.cross).map(({ from, to }) => [from, to])).toEqual([['喜欢', '恨']]);
+  });
+
+  test('prunes weak links', () => {
+    const neighborhood = collectNeighborhood(graph, '爱', { depth: 3, minStrength: 0.5 });
+    expect(byId(neighborhood)).toEqual({ '爱': 0, '喜欢': 1, '高兴': 2, '快乐': 3 });
+  });
+
+  test('stops at the node limit', () => {
+    const neighborhood = collectNeighborhood(graph, '爱', { depth: 3, maxNodes: 2 });
+    expect(byId(neighborhood)).toEqual({ '爱': 0, '喜欢': 1 });
+  });
+
+  test('returns null for unknown words', () => {
+    expect(collectNeighborhood(graph, '没有')).toBeNull();
+  });
+});
+
+describe('getRelatedWords', () => {
+  const graph = buildGraph();
+
+  test('lists neighbours by link weight', () => {
+    expect(getRelatedWords(graph, '喜欢')).toEqual([
+      { word: '爱', weight: 10 },
+      { word: '高兴', weight: 5 },
+      { word: '恨', weight: 4 }
+    ]);
+  });
+
+  test('skips service nodes and unknown words', () => {
+    expect(getRelatedWords(graph, '爱').map(({ word }) => word)).toEqual(['喜欢', '恨']);
+    expect(getRelatedWords(graph, '没有')).toEqual([]);
+  });
+});
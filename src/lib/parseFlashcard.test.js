@@ -0,0 +1,29 @@
+/**
+ * Tests for example parsing. Section extraction is covered by
+ * utils/restructure_flashcards.test.js
+ */
+
+import { describe, test, expect } from 'vitest';
+import { parseExample } from './parseFlashcard.js';
+
+describe('parseExample', () => {
+  test('splits sentence, pinyin and translation', () => {
+    expect(parseExample('- 我需要火柴点蜡烛。(Wǒ xūyào huǒchái diǎn làzhú.) - I need matches to light the candle.')).toEqual({
+      hanzi: '我需要火柴点蜡烛。',
+      pinyin: 'Wǒ xūyào huǒchái diǎn làzhú.',
+      translation: 'I need matches to light the candle.'
+    });
+  });
+
+  test('accepts full-width parentheses and em dashes', () => {
+    expect(parseExample('- 我爱你。（Wǒ ài nǐ.）– I love you.  ')).toEqual({
+      hanzi: '我爱你。',
+      pinyin: 'Wǒ ài nǐ.',
+      translation: 'I love you.'
+    });
+  });
+
+  test('returns null for lines in another format', () => {
+    expect(parseExample('- 我爱你。 I love you.')).toBe(null);
+  });
+});
@@ -0,0 +1,36 @@
+import { getToneSequence } from './searchIndex.js';
+
+// Works on NFD text, where tone marks (and the dots of ü) are separate characters
+const VOWEL = '[aeiouv][\\u0300-\\u036f]*';
+const SYLLABLE = new RegExp(
+  `(?:zh|ch|sh|[bpmfdtnlgkhjqxrzcsyw])?(?:${VOWEL})+(?:ng(?!${VOWEL})|n(?!${VOWEL})|r(?!${VOWEL}))?`,
+  'gi'
+);
+
+/**
+ * Splits pinyin into syllables with their tones, so they can be colored.
+ * Anything between syllables (spaces, apostrophes, punctuation) is kept
+ * as a part with tone 0.
+ *
+ * @param {string} pinyin - Pinyin with tone marks, e.g. "huǒchái"
+ * @returns {Array<Object>} Parts as {text, tone}; tone is 1-4, 5 for neutral or 0 for separators
+ */
+export function splitPinyinSyllables(pinyin) {
+  const text = pinyin.normalize('NFD');
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(SYLLABLE)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, match.index).normalize('NFC'), tone: 0 });
+    }
+    const tone = Number(getToneSequence(match[0])[0]) || 5;
+    parts.push({ text: match[0].normalize('NFC'), tone });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ text: text.slice(lastIndex).normalize('NFC'), tone: 0 });
+  }
+  return parts;
+}
@@ -0,0 +1,37 @@
+/**
+ * Tests for pinyin syllable splitting
+ */
+
+import { describe, test, expect } from 'vitest';
+import { splitPinyinSyllables } from './pinyinTones.js';
+
+describe('splitPinyinSyllables', () => {
+  test('splits joined syllables and reads their tones', () => {
+    expect(splitPinyinSyllables('huǒchái')).toEqual([
+      { text: 'huǒ', tone: 3 },
+      { text: 'chái', tone: 2 }
+    ]);
+  });
+
+  test('handles finals followed by another syllable', () => {
+    expect(splitPinyinSyllables('zhōngguó').map(part => part.text)).toEqual(['zhōng', 'guó']);
+    expect(splitPinyinSyllables('gǎndào').map(part => part.text)).toEqual(['gǎn', 'dào']);
+  });
+
+  test('marks syllables without a tone mark as neutral', () => {
+    expect(splitPinyinSyllables('zhuōzi')).toEqual([
+      { text: 'zhuō', tone: 1 },
+      { text: 'zi', tone: 5 }
+    ]);
+  });
+
+  test('keeps separators and ü', () => {
+    expect(splitPinyinSyllables("nǚ'ér, Wǒ")).toEqual([
+      { text: 'nǚ', tone: 3 },
+      { text: "'", tone: 0 },
+      { text: 'ér', tone: 2 },
+      { text: ', ', tone: 0 },
+      { text: 'Wǒ', tone: 3 }
+    ]);
+  });
+});
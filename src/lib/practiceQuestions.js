@@ -0,0 +1,155 @@
+/**
+ * Builds practice questions: "hanzi → meaning", "meaning → hanzi" and
+ * pinyin typing. Wrong options come from the word's graph neighbours, so
+ * they are close in meaning and not trivially easy to rule out.
+ */
+
+import { normalizePinyin, getToneSequence } from './searchIndex.js';
+
+export const EXERCISES = {
+  'hanzi-meaning': 'Hanzi → meaning',
+  'meaning-hanzi': 'Meaning → hanzi',
+  'pinyin': 'Type the pinyin'
+};
+
+const OPTIONS_COUNT = 4;
+
+/**
+ * Shuffles a copy of the array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Picks wrong options for a word. Graph neighbours go first, other words
+ * fill in when the word has too few neighbours.
+ * @param {string} word - Word being asked
+ * @param {Object} sources
+ * @param {Array<string>} sources.neighbors - Graph neighbours of the word
+ * @param {Array<string>} sources.fallback - Other words that can be used
+ * @param {Map} sources.titles - Map of words to {pinyin, english}
+ * @param {number} [count] - Number of distractors
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {Array<string>} Distractor words
+ */
+export function pickDistractors(word, { neighbors, fallback, titles }, count = OPTIONS_COUNT - 1, random = Math.random) {
+  const meaning = titles.get(word)?.english;
+  const picked = [];
+  const seenMeanings = new Set([meaning]);
+
+  const tryAdd = (candidate) => {
+    if (picked.length >= count || candidate === word || picked.includes(candidate)) return;
+    const candidateMeaning = titles.get(candidate)?.english;
+    // Options with the same meaning would make two answers right
+    if (!candidateMeaning || seenMeanings.has(candidateMeaning)) return;
+    seenMeanings.add(candidateMeaning);
+    picked.push(candidate);
+  };
+
+  shuffle(neighbors, random).forEach(tryAdd);
+  if (picked.length < count) shuffle(fallback, random).forEach(tryAdd);
+  return picked;
+}
+
+/**
+ * @param {string} word - Word to ask
+ * @param {string} exercise - One of the EXERCISES keys
+ * @param {Object} sources - See pickDistractors
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {Object} {word, exercise, prompt, options} where options are [{word, label}]
+ *   and are empty for typing exercises
+ */
+export function createQuestion(word, exercise, sources, random = Math.random) {
+  const { titles } = sources;
+  const title = titles.get(word) || {};
+
+  if (exercise === 'pinyin') {
+    return { word, exercise, prompt: word, hint: title.english, options: [] };
+  }
+
+  const words = shuffle([word, ...pickDistractors(word, sources, OPTIONS_COUNT - 1, random)], random);
+  if (exercise === 'meaning-hanzi') {
+    return {
+      word,
+      exercise,
+      prompt: title.english,
+      options: words.map(option => ({ word: option, label: option }))
+    };
+  }
+
+  return {
+    word,
+    exercise,
+    prompt: word,
+    options: words.map(option => ({ word: option, label: titles.get(option).english }))
+  };
+}
+
+/**
+ * Checks typed pinyin. Tones are optional, but when typed (as marks or
+ * numbers) they have to be right.
+ * @param {string} answer - What the learner typed
+ * @param {string} expected - Pinyin from the card
+ * @returns {boolean} Whether the answer is right
+ */
+export function checkPinyinAnswer(answer, expected) {
+  if (!answer.trim() || normalizePinyin(answer) !== normalizePinyin(expected)) return false;
+
+  const tones = getToneSequence(answer);
+  return tones === '' || tones === getToneSequence(expected);
+}
+
+/**
+ * Finds words that belong to a place: the ones closer to it than to any
+ * other place of the same or bigger importance
+ * @param {Object} place - {name, coordinates, symbolzoom}
+ * @param {Array<Object>} places - All places
+ * @param {Map} points - Map of words to {coordinates}
+ * @returns {Array<string>} Words of the place
+ */
+export function getWordsOfPlace(place, places, points) {
+  const rivals = places.filter(other => other.symbolzoom <= place.symbolzoom);
+  const distance = ([x1, y1], [x2, y2]) => (x1 - x2) ** 2 + (y1 - y2) ** 2;
+
+  const words = [];
+  points.forEach(({ coordinates }, word) => {
+    const nearest = rivals.reduce((best, other) =>
+      distance(coordinates, other.coordinates) < distance(coordinates, best.coordinates) ? other : best
+    , place);
+    if (nearest === place) words.push(word);
+  });
+  return words;
+}
+
+/**
+ * Summarizes quiz answers for the stats sidebar
+ * @param {Object} quizHistory - Map of words to arrays of {correct}
+ * @returns {Object} {answered, correct, hardest} where hardest lists words
+ *   with mistakes as {word, wrong, total}, most mistakes first
+ */
+export function summarizeQuizResults(quizHistory) {
+  let answered = 0;
+  let correct = 0;
+  const hardest = [];
+
+  Object.entries(quizHistory).forEach(([word, results]) => {
+    const wordCorrect = results.filter(result => result.correct).length;
+    answered += results.length;
+    correct += wordCorrect;
+    if (wordCorrect < results.length) {
+      hardest.push({ word, wrong: results.length - wordCorrect, total: results.length });
+    }
+  });
+
+  hardest.sort((a, b) => b.wrong - a.wrong || a.total - b.total);
+  return { answered, correct, hardest };
+}
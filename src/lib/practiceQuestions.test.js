@@ -0,0 +1,120 @@
+/**
+ * Tests for practice questions
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  shuffle,
+  pickDistractors,
+  createQuestion,
+  checkPinyinAnswer,
+  getWordsOfPlace,
+  summarizeQuizResults
+} from './practiceQuestions.js';
+
+const titles = new Map([
+  ['爱', { pinyin: 'ài', english: 'Love' }],
+  ['喜欢', { pinyin: 'xǐhuān', english: 'To like' }],
+  ['热爱', { pinyin: 'rè\'ài', english: 'Love' }],
+  ['讨厌', { pinyin: 'tǎoyàn', english: 'To hate' }],
+  ['恨', { pinyin: 'hèn', english: 'Hatred' }],
+  ['桌子', { pinyin: 'zhuōzi', english: 'Table' }]
+]);
+
+// Swaps every item with itself, so shuffles keep the order
+const noShuffle = () => 0.999;
+
+describe('shuffle', () => {
+  test('keeps all items', () => {
+    expect(shuffle([1, 2, 3, 4]).sort()).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('pickDistractors', () => {
+  test('prefers neighbours and skips words with the same meaning', () => {
+    const distractors = pickDistractors('爱', {
+      neighbors: ['喜欢', '热爱', '讨厌'],
+      fallback: ['桌子', '恨'],
+      titles
+    }, 3, noShuffle);
+
+    expect(distractors).toEqual(['喜欢', '讨厌', '桌子']);
+  });
+
+  test('skips words without a meaning', () => {
+    const distractors = pickDistractors('爱', { neighbors: ['没有'], fallback: [], titles });
+    expect(distractors).toEqual([]);
+  });
+});
+
+describe('createQuestion', () => {
+  const sources = { neighbors: ['喜欢', '讨厌', '恨'], fallback: [], titles };
+
+  test('asks meanings of hanzi', () => {
+    const question = createQuestion('爱', 'hanzi-meaning', sources);
+    expect(question.prompt).toBe('爱');
+    expect(question.options).toHaveLength(4);
+    expect(question.options).toContainEqual({ word: '爱', label: 'Love' });
+  });
+
+  test('asks hanzi of meanings', () => {
+    const question = createQuestion('爱', 'meaning-hanzi', sources);
+    expect(question.prompt).toBe('Love');
+    expect(question.options.map(option => option.word).sort()).toEqual(['喜欢', '恨', '爱', '讨厌'].sort());
+  });
+
+  test('has no options for typing', () => {
+    const question = createQuestion('爱', 'pinyin', sources);
+    expect(question).toEqual({ word: '爱', exercise: 'pinyin', prompt: '爱', hint: 'Love', options: [] });
+  });
+});
+
+describe('checkPinyinAnswer', () => {
+  test('accepts answers with or without tones', () => {
+    expect(checkPinyinAnswer('xihuan', 'xǐhuān')).toBe(true);
+    expect(checkPinyinAnswer('xi3 huan1', 'xǐhuān')).toBe(true);
+    expect(checkPinyinAnswer('xǐhuān', 'xǐhuān')).toBe(true);
+  });
+
+  test('rejects wrong letters or tones', () => {
+    expect(checkPinyinAnswer('xihan', 'xǐhuān')).toBe(false);
+    expect(checkPinyinAnswer('xi2huan1', 'xǐhuān')).toBe(false);
+    expect(checkPinyinAnswer(' ', 'xǐhuān')).toBe(false);
+  });
+});
+
+describe('getWordsOfPlace', () => {
+  test('assigns words to the nearest place of the same or bigger importance', () => {
+    const places = [
+      { name: 'West', coordinates: [0, 0], symbolzoom: 1 },
+      { name: 'East', coordinates: [10, 0], symbolzoom: 1 },
+      { name: 'Village', coordinates: [9, 0], symbolzoom: 5 }
+    ];
+    const points = new Map([
+      ['爱', { coordinates: [1, 0] }],
+      ['恨', { coordinates: [8, 0] }],
+      ['桌子', { coordinates: [9.5, 0] }]
+    ]);
+
+    expect(getWordsOfPlace(places[0], places, points)).toEqual(['爱']);
+    expect(getWordsOfPlace(places[1], places, points)).toEqual(['恨', '桌子']);
+    expect(getWordsOfPlace(places[2], places, points)).toEqual(['恨', '桌子']);
+  });
+});
+
+describe('summarizeQuizResults', () => {
+  test('counts answers and lists words with mistakes', () => {
+    const summary = summarizeQuizResults({
+      '爱': [{ correct: true }, { correct: false }],
+      '恨': [{ correct: false }, { correct: false }],
+      '桌子': [{ correct: true }]
+    });
+
+    expect(summary.answered).toBe(5);
+    expect(summary.correct).toBe(2);
+    expect(summary.hardest).toEqual([
+      { word: '恨', wrong: 2, total: 2 },
+      { word: '爱', wrong: 1, total: 2 }
+    ]);
+  });
+});
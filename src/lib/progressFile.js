@@ -0,0 +1,157 @@
+/**
+ * Portable learning progress file: serialization, validation and merging.
+ *
+ * The file is a JSON object:
+ * {
+ *   format: 'lang-land-progress',
+ *   version: 2,
+ *   exportedAt: <ms timestamp>,
+ *   events: { <word>: [{type, timestamp, ...details}, ...] },
+ *   statuses: { <word>: [<status id>, ...] },
+ *   reviews: { <word>: <spaced repetition card> }
+ * }
+ *
+ * Version 1 files have `history: { <word>: [<ms timestamp>, ...] }` instead of
+ * events and statuses. Their timestamps are imported as views.
+ */
+
+import { migrateLegacyHistory, getTimestampsByWord } from './wordEvents.js';
+
+export const PROGRESS_FORMAT = 'lang-land-progress';
+export const PROGRESS_VERSION = 2;
+
+/**
+ * Builds a progress file object from the stored data
+ * @param {Object} events - Map of words to event arrays (see lib/wordEvents.js)
+ * @param {Object} [reviews] - Map of words to review cards
+ * @param {Object} [statuses] - Map of words to status id arrays (see lib/wordStatus.js)
+ * @returns {Object} Progress file contents
+ */
+export function createProgressFile(events, reviews = {}, statuses = {}) {
+  return {
+    format: PROGRESS_FORMAT,
+    version: PROGRESS_VERSION,
+    exportedAt: Date.now(),
+    events,
+    statuses,
+    reviews
+  };
+}
+
+/**
+ * Parses and validates a progress file of any supported version
+ * @param {string} text - Raw file contents
+ * @returns {Object} Validated progress data with events, statuses, reviews
+ *  and `history`, the timestamps of visits per word
+ * @throws {Error} If the file is not a valid progress file
+ */
+export function parseProgressFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Progress file is not valid JSON');
+  }
+
+  if (!isPlainObject(data) || data.format !== PROGRESS_FORMAT) {
+    throw new Error('This is not a Language Land progress file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROGRESS_VERSION) {
+    throw new Error(`Unsupported progress file version: ${data.version}`);
+  }
+  const { events, statuses } = data.version >= 2 ? parseEvents(data) : parseHistory(data);
+
+  const reviews = data.reviews === undefined ? {} : data.reviews;
+  if (!isPlainObject(reviews)) {
+    throw new Error('Progress file has invalid reviews');
+  }
+  Object.entries(reviews).forEach(([word, card]) => {
+    if (!isPlainObject(card) || !isTimestamp(card.due) || !isTimestamp(card.lastReview)) {
+      throw new Error(`Invalid review card for word "${word}"`);
+    }
+  });
+
+  return { events, statuses, reviews, history: getTimestampsByWord(events) };
+}
+
+function parseEvents(data) {
+  if (!isPlainObject(data.events)) {
+    throw new Error('Progress file has no events');
+  }
+  Object.entries(data.events).forEach(([word, events]) => {
+    if (!Array.isArray(events) || !events.every(isEvent)) {
+      throw new Error(`Invalid events for word "${word}"`);
+    }
+  });
+
+  const statuses = data.statuses === undefined ? {} : data.statuses;
+  if (!isPlainObject(statuses)) {
+    throw new Error('Progress file has invalid statuses');
+  }
+  Object.entries(statuses).forEach(([word, ids]) => {
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+      throw new Error(`Invalid statuses for word "${word}"`);
+    }
+  });
+
+  return { events: data.events, statuses };
+}
+
+function parseHistory(data) {
+  if (!isPlainObject(data.history)) {
+    throw new Error('Progress file has no history');
+  }
+  Object.entries(data.history).forEach(([word, timestamps]) => {
+    if (!Array.isArray(timestamps) || !timestamps.every(isTimestamp)) {
+      throw new Error(`Invalid timestamps for word "${word}"`);
+    }
+  });
+
+  return { events: migrateLegacyHistory(data.history), statuses: {} };
+}
+
+/**
+ * Merges two sets of review cards, keeping the most recently reviewed card per word
+ * @param {Object} current - Map of words to review cards
+ * @param {Object} imported - Map of words to review cards
+ * @returns {Object} Merged cards
+ */
+export function mergeReviews(current, imported) {
+  const merged = { ...current };
+  Object.entries(imported).forEach(([word, card]) => {
+    if (!merged[word] || merged[word].lastReview < card.lastReview) {
+      merged[word] = card;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Converts click history into CSV with word, count and last viewed columns
+ * @param {Object} history - Map of words to timestamp arrays
+ * @returns {string} CSV text
+ */
+export function historyToCsv(history) {
+  const rows = Object.entries(history).map(([word, timestamps]) => {
+    const lastViewed = timestamps.length ? new Date(Math.max(...timestamps)).toISOString() : '';
+    return [escapeCsv(word), timestamps.length, lastViewed].join(',');
+  });
+  return ['word,count,last_viewed', ...rows].join('\n') + '\n';
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEvent(event) {
+  return isPlainObject(event) && typeof event.type === 'string' && isTimestamp(event.timestamp);
+}
+
+function isTimestamp(value) {
+  return Number.isFinite(value) && value >= 0;
+}
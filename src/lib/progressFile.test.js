@@ -0,0 +1,116 @@
+/**
+ * Tests for the learning progress file helpers
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  createProgressFile,
+  parseProgressFile,
+  mergeReviews,
+  historyToCsv
+} from './progressFile.js';
+
+describe('parseProgressFile', () => {
+  test('round-trips events, statuses and reviews of an exported file', () => {
+    const events = {
+      '爱': [
+        { type: 'view', timestamp: 1000 },
+        { type: 'quiz-wrong', timestamp: 2000, quiz: 'locate', score: 25 },
+        { type: 'link-follow', timestamp: 3000 }
+      ],
+      '学习': [{ type: 'marked-known', timestamp: 4000 }]
+    };
+    const statuses = { '学习': ['known', 'starred'] };
+    const reviews = { '爱': { ease: 2.5, interval: 1, reps: 1, lapses: 0, due: 5000, lastReview: 2000 } };
+    const text = JSON.stringify(createProgressFile(events, reviews, statuses));
+
+    expect(parseProgressFile(text)).toEqual({
+      events,
+      statuses,
+      reviews,
+      history: { '爱': [1000, 3000] }
+    });
+  });
+
+  test('imports version 1 history as views', () => {
+    const text = JSON.stringify({ format: 'lang-land-progress', version: 1, history: { '爱': [2000, 1000] } });
+
+    expect(parseProgressFile(text)).toEqual({
+      events: { '爱': [{ type: 'view', timestamp: 1000 }, { type: 'view', timestamp: 2000 }] },
+      statuses: {},
+      reviews: {},
+      history: { '爱': [1000, 2000] }
+    });
+  });
+
+  test('accepts files without reviews', () => {
+    const text = JSON.stringify({ format: 'lang-land-progress', version: 1, history: { '爱': [1] } });
+    expect(parseProgressFile(text).reviews).toEqual({});
+  });
+
+  test('rejects invalid JSON', () => {
+    expect(() => parseProgressFile('{not json')).toThrow('not valid JSON');
+  });
+
+  test('rejects files of another format', () => {
+    expect(() => parseProgressFile(JSON.stringify({ history: {} }))).toThrow('not a Language Land progress file');
+  });
+
+  test('rejects newer versions', () => {
+    const text = JSON.stringify({ format: 'lang-land-progress', version: 99, history: {} });
+    expect(() => parseProgressFile(text)).toThrow('Unsupported progress file version');
+  });
+
+  test('rejects versions below 1', () => {
+    [0, -1].forEach(version => {
+      const text = JSON.stringify({ format: 'lang-land-progress', version, history: {} });
+      expect(() => parseProgressFile(text)).toThrow('Unsupported progress file version');
+    });
+  });
+
+  test('rejects malformed timestamps', () => {
+    const text = JSON.stringify({ format: 'lang-land-progress', version: 1, history: { '爱': ['yesterday'] } });
+    expect(() => parseProgressFile(text)).toThrow('Invalid timestamps for word "爱"');
+  });
+
+  test('rejects malformed events and statuses', () => {
+    const file = { format: 'lang-land-progress', version: 2, events: { '爱': [{ type: 'view' }] } };
+    expect(() => parseProgressFile(JSON.stringify(file))).toThrow('Invalid events for word "爱"');
+
+    const withStatuses = { ...file, events: {}, statuses: { '爱': 'known' } };
+    expect(() => parseProgressFile(JSON.stringify(withStatuses))).toThrow('Invalid statuses for word "爱"');
+  });
+
+  test('rejects malformed review cards', () => {
+    const text = JSON.stringify({
+      format: 'lang-land-progress',
+      version: 1,
+      history: {},
+      reviews: { '爱': { ease: 2.5 } }
+    });
+    expect(() => parseProgressFile(text)).toThrow('Invalid review card for word "爱"');
+  });
+});
+
+describe('mergeReviews', () => {
+  test('keeps the most recently reviewed card', () => {
+    const older = { due: 10, lastReview: 1 };
+    const newer = { due: 20, lastReview: 2 };
+
+    expect(mergeReviews({ '爱': older }, { '爱': newer })).toEqual({ '爱': newer });
+    expect(mergeReviews({ '爱': newer }, { '爱': older })).toEqual({ '爱': newer });
+  });
+});
+
+describe('historyToCsv', () => {
+  test('writes word, count and last viewed time', () => {
+    const csv = historyToCsv({ '爱': [Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 2)] });
+
+    expect(csv).toBe('word,count,last_viewed\n爱,2,2024-01-02T00:00:00.000Z\n');
+  });
+
+  test('escapes words containing commas or quotes', () => {
+    const csv = historyToCsv({ 'a,"b"': [0] });
+    expect(csv.split('\n')[1]).toBe('"a,""b""",1,1970-01-01T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Region polygons of the words, one GeoJSON feature per word.
+ */
+
+/**
+ * Since our region ids are strings, maplibre-gl doesn't like them as feature ids.
+ * Replaces them with the index of the feature and keeps the word in `properties.label`.
+ * @param {Object} featureCollection - Region features with words as ids, changed in place
+ * @returns {Object} Map of words to feature ids (and indexes in `features`)
+ */
+export function generateFeatureIds(featureCollection) {
+  const idMap = {};
+  featureCollection.features.forEach((feature, index) => {
+    const label = feature.id;
+    idMap[label] = index;
+    feature.properties = { ...feature.properties, label };
+    feature.id = index;
+  });
+
+  return idMap;
+}
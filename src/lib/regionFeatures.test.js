@@ -0,0 +1,30 @@
+/**
+ * Tests for region feature ids
+ */
+
+import { describe, test, expect } from 'vitest';
+import { generateFeatureIds } from './regionFeatures.js';
+
+describe('generateFeatureIds', () => {
+  test('replaces word ids with indexes and keeps the word as label', () => {
+    const regions = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', id: '爱', properties: { size: 3 }, geometry: null },
+        { type: 'Feature', id: '学习', properties: {}, geometry: null }
+      ]
+    };
+
+    expect(generateFeatureIds(regions)).toEqual({ '爱': 0, '学习': 1 });
+    expect(regions.features.map(({ id, properties }) => [id, properties])).toEqual([
+      [0, { size: 3, label: '爱' }],
+      [1, { label: '学习' }]
+    ]);
+  });
+
+  test('handles features without properties', () => {
+    const regions = { features: [{ id: '好' }] };
+    generateFeatureIds(regions);
+    expect(regions.features[0]).toEqual({ id: 0, properties: { label: '好' } });
+  });
+});
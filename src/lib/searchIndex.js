@@ -0,0 +1,130 @@
+/**
+ * Search index over hanzi, pinyin and English glosses of the words.
+ *
+ * Pinyin matching is tone-insensitive ("xuexi" finds 学习 / xuéxí), and tone
+ * numbers in the query ("xue2xi2") rank words with matching tones higher.
+ */
+
+// Combining marks produced by String.normalize('NFD') for pinyin tones
+const TONE_MARKS = {
+  '\u0304': 1, // macron: ā
+  '\u0301': 2, // acute: á
+  '\u030c': 3, // caron: ǎ
+  '\u0300': 4  // grave: à
+};
+
+const SCORE = {
+  exactWord: 100,
+  exactPinyin: 90,
+  wordPrefix: 80,
+  pinyinPrefix: 70,
+  wordContains: 60,
+  englishPrefix: 55,
+  englishKeywords: 50,
+  pinyinContains: 40,
+  toneMatch: 15
+};
+
+/**
+ * Converts pinyin to a plain comparable form: lowercase latin letters only,
+ * no tone marks, tone numbers, spaces or apostrophes. ü and v become u.
+ * @param {string} text - Pinyin with tone marks or tone numbers
+ * @returns {string} Normalized pinyin
+ */
+export function normalizePinyin(text) {
+  return text
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/v/g, 'u')
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Extracts the sequence of tones from pinyin written with marks or numbers
+ * @param {string} text - Pinyin, e.g. "xuéxí" or "xue2xi2"
+ * @returns {string} Tone digits, e.g. "22"
+ */
+export function getToneSequence(text) {
+  let tones = '';
+  for (const char of text.normalize('NFD')) {
+    if (TONE_MARKS[char]) tones += TONE_MARKS[char];
+    else if (char >= '1' && char <= '4') tones += char;
+  }
+  return tones;
+}
+
+/**
+ * Builds a search index
+ * @param {Array<Object>} entries - Array of {word, pinyin, english}
+ * @returns {Array<Object>} Index entries with precomputed search keys
+ */
+export function createSearchIndex(entries) {
+  return entries.map(({ word, pinyin = '', english = '' }) => ({
+    word,
+    pinyin,
+    english,
+    pinyinKey: normalizePinyin(pinyin),
+    tones: getToneSequence(pinyin),
+    englishKey: english.toLowerCase(),
+    englishWords: new Set(english.toLowerCase().split(/[^a-z]+/).filter(Boolean))
+  }));
+}
+
+/**
+ * Finds the best matching words for a query
+ * @param {Array<Object>} index - Index created by createSearchIndex
+ * @param {string} query - What the user typed
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} Ranked entries with {word, pinyin, english, score}
+ */
+export function search(index, query, limit = 10) {
+  const trimmed = query.trim().toLowerCase();
+  if (!trimmed) return [];
+
+  const pinyinQuery = normalizePinyin(trimmed);
+  const queryTones = getToneSequence(trimmed);
+  const keywords = trimmed.split(/[^a-z]+/).filter(Boolean);
+  const results = [];
+
+  for (const entry of index) {
+    let score = scoreWord(entry.word, trimmed);
+
+    if (pinyinQuery && entry.pinyinKey) {
+      let pinyinScore = 0;
+      if (entry.pinyinKey === pinyinQuery) pinyinScore = SCORE.exactPinyin;
+      else if (entry.pinyinKey.startsWith(pinyinQuery)) pinyinScore = SCORE.pinyinPrefix;
+      else if (pinyinQuery.length > 2 && entry.pinyinKey.includes(pinyinQuery)) pinyinScore = SCORE.pinyinContains;
+
+      if (pinyinScore && queryTones && entry.tones.startsWith(queryTones)) {
+        pinyinScore += SCORE.toneMatch;
+      }
+      score = Math.max(score, pinyinScore);
+    }
+
+    if (keywords.length > 0 && entry.englishKey) {
+      if (entry.englishKey.startsWith(trimmed)) {
+        score = Math.max(score, SCORE.englishPrefix);
+      } else if (keywords.every(keyword => entry.englishWords.has(keyword))) {
+        score = Math.max(score, SCORE.englishKeywords);
+      }
+    }
+
+    if (score > 0) {
+      results.push({ word: entry.word, pinyin: entry.pinyin, english: entry.english, score });
+    }
+  }
+
+  // Shorter words first among equally good matches: they are usually more basic
+  return results
+    .sort((a, b) => b.score - a.score || a.word.length - b.word.length)
+    .slice(0, limit);
+}
+
+function scoreWord(word, query) {
+  const wordLower = word.toLowerCase();
+  if (wordLower === query) return SCORE.exactWord;
+  if (wordLower.startsWith(query)) return SCORE.wordPrefix;
+  if (wordLower.includes(query)) return SCORE.wordContains;
+  return 0;
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for the word search index
+ */
+
+import { describe, test, expect } from 'vitest';
+import { normalizePinyin, getToneSequence, createSearchIndex, search } from './searchIndex.js';
+
+const index = createSearchIndex([
+  { word: '学习', pinyin: 'xuéxí', english: 'to study; to learn' },
+  { word: '学校', pinyin: 'xuéxiào', english: 'school' },
+  { word: '雪', pinyin: 'xuě', english: 'snow' },
+  { word: '女', pinyin: 'nǚ', english: 'female; woman' },
+  { word: '爱', pinyin: 'ài', english: 'Love' },
+  { word: '爱好', pinyin: 'àihào', english: 'hobby; to like' },
+  { word: '没有卡片' }
+]);
+
+const words = (query) => search(index, query).map(result => result.word);
+
+describe('normalizePinyin', () => {
+  test('removes tone marks, numbers, spaces and apostrophes', () => {
+    expect(normalizePinyin('xuéxí')).toBe('xuexi');
+    expect(normalizePinyin('xue2 xi2')).toBe('xuexi');
+    expect(normalizePinyin("Qīn'ài")).toBe('qinai');
+  });
+
+  test('treats ü and v as u', () => {
+    expect(normalizePinyin('nǚ')).toBe('nu');
+    expect(normalizePinyin('nv3')).toBe('nu');
+  });
+});
+
+describe('getToneSequence', () => {
+  test('reads tones from marks and numbers', () => {
+    expect(getToneSequence('xuéxí')).toBe('22');
+    expect(getToneSequence('xue2xi2')).toBe('22');
+    expect(getToneSequence('nǚ')).toBe('3');
+  });
+});
+
+describe('search', () => {
+  test('finds words by hanzi, exact match first', () => {
+    expect(words('学')).toEqual(['学习', '学校']);
+    expect(words('爱')[0]).toBe('爱');
+  });
+
+  test('finds words by toneless pinyin', () => {
+    expect(words('xuexi')).toEqual(['学习', '学校']);
+  });
+
+  test('ranks words with matching tone numbers higher', () => {
+    expect(words('xue3')[0]).toBe('雪');
+    expect(words('xue2xi2')[0]).toBe('学习');
+  });
+
+  test('finds words by English keywords', () => {
+    expect(words('school')).toEqual(['学校']);
+    expect(words('learn')).toContain('学习');
+    expect(words('love')).toEqual(['爱']);
+  });
+
+  test('finds words without a card by hanzi only', () => {
+    expect(words('卡片')).toEqual(['没有卡片']);
+  });
+
+  test('returns results with pinyin and gloss', () => {
+    expect(search(index, 'xue')[0]).toMatchObject({ word: '雪', pinyin: 'xuě', english: 'snow' });
+  });
+
+  test('respects the limit and ignores empty queries', () => {
+    expect(search(index, 'x', 1)).toHaveLength(1);
+    expect(search(index, '   ')).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * SM-2 style scheduler with four self-graded answers (Again/Hard/Good/Easy).
+ *
+ * A card is a plain object so it can be stored in localStorage as is:
+ * { ease, interval, reps, lapses, due, lastReview }, where `interval` is in days
+ * and `due`/`lastReview` are millisecond timestamps.
+ */
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000; // "Again" brings the card back in 10 minutes
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const EASY_BONUS = 1.3;
+const HARD_FACTOR = 1.2;
+
+/**
+ * How long a word that was only viewed (never reviewed) stays revealed on the map.
+ */
+export const NEW_WORD_INTERVAL_MS = DAY_MS;
+
+/**
+ * Time when a word should be reviewed next. Words that were only viewed
+ * become due a short while after the last view.
+ * @param {Object|null} card - Review card of the word, if it was ever reviewed
+ * @param {number|null} [lastViewTime] - Timestamp of the last view, if any
+ * @returns {number|null} Due timestamp in ms or null if the word is unknown
+ */
+export function getDueTime(card, lastViewTime = null) {
+  if (card) return card.due;
+  return lastViewTime ? lastViewTime + NEW_WORD_INTERVAL_MS : null;
+}
+
+/**
+ * Creates a fresh card that has never been reviewed
+ * @returns {Object} New card
+ */
+export function createCard() {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    reps: 0,
+    lapses: 0,
+    due: 0,
+    lastReview: 0
+  };
+}
+
+/**
+ * Computes the next state of a card after a self-graded answer
+ * @param {Object|null} card - Current card state (null for a new card)
+ * @param {string} grade - One of GRADES
+ * @param {number} now - Review time in ms
+ * @returns {Object} New card state (input is not modified)
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+  if (!GRADES.includes(grade)) {
+    throw new Error(`Unknown review grade: ${grade}`);
+  }
+
+  const next = { ...createCard(), ...card, lastReview: now };
+
+  if (grade === 'again') {
+    if (next.reps > 0) next.lapses += 1;
+    next.reps = 0;
+    next.interval = 0;
+    next.ease = Math.max(MIN_EASE, next.ease - 0.2);
+    next.due = now + RELEARN_DELAY_MS;
+    return next;
+  }
+
+  let interval;
+  if (grade === 'hard') {
+    next.ease = Math.max(MIN_EASE, next.ease - 0.15);
+    interval = next.reps === 0 ? 1 : next.interval * HARD_FACTOR;
+  } else if (grade === 'good') {
+    interval = next.reps === 0 ? 1 : next.reps === 1 ? 6 : next.interval * next.ease;
+  } else {
+    next.ease += 0.15;
+    interval = next.reps === 0 ? 4 : (next.reps === 1 ? 6 : next.interval * next.ease) * EASY_BONUS;
+  }
+
+  // Passing answers never shrink the interval; Good/Easy always grow it by at least a day
+  const minInterval = grade === 'hard' ? next.interval : next.interval + 1;
+  next.interval = Math.max(1, minInterval, Math.round(interval));
+  next.reps += 1;
+  next.due = now + next.interval * DAY_MS;
+  return next;
+}
+
+/**
+ * Formats the interval a grade would produce, e.g. "10m", "6d", "3mo"
+ * @param {Object|null} card - Current card state
+ * @param {string} grade - One of GRADES
+ * @param {number} now - Time in ms
+ * @returns {string} Short human-readable interval
+ */
+export function previewInterval(card, grade, now = Date.now()) {
+  const ms = scheduleReview(card, grade, now).due - now;
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const days = Math.round(ms / DAY_MS);
+  if (days < 31) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+}
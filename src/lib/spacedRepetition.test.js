@@ -0,0 +1,92 @@
+/**
+ * Tests for the spaced repetition scheduler
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createCard, scheduleReview, previewInterval, getDueTime } from './spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2024, 0, 1);
+
+describe('scheduleReview', () => {
+  test('schedules a new card one day out when answered Good', () => {
+    const card = scheduleReview(null, 'good', now);
+
+    expect(card.interval).toBe(1);
+    expect(card.reps).toBe(1);
+    expect(card.due).toBe(now + DAY_MS);
+    expect(card.lastReview).toBe(now);
+  });
+
+  test('grows intervals with consecutive Good answers', () => {
+    let card = scheduleReview(null, 'good', now);
+    card = scheduleReview(card, 'good', now);
+    expect(card.interval).toBe(6);
+
+    card = scheduleReview(card, 'good', now);
+    expect(card.interval).toBe(15); // 6 * 2.5
+  });
+
+  test('Easy gives longer intervals and raises ease', () => {
+    const easy = scheduleReview(null, 'easy', now);
+    const good = scheduleReview(null, 'good', now);
+
+    expect(easy.interval).toBeGreaterThan(good.interval);
+    expect(easy.ease).toBeGreaterThan(createCard().ease);
+  });
+
+  test('Again resets the card, counts a lapse and lowers ease', () => {
+    let card = scheduleReview(null, 'good', now);
+    card = scheduleReview(card, 'good', now);
+    card = scheduleReview(card, 'again', now);
+
+    expect(card.reps).toBe(0);
+    expect(card.interval).toBe(0);
+    expect(card.lapses).toBe(1);
+    expect(card.ease).toBeCloseTo(2.3);
+    expect(card.due).toBe(now + 10 * 60 * 1000);
+  });
+
+  test('Again on a new card is not a lapse', () => {
+    const card = scheduleReview(null, 'again', now);
+    expect(card.lapses).toBe(0);
+  });
+
+  test('ease never drops below the minimum', () => {
+    let card = null;
+    for (let i = 0; i < 20; i++) card = scheduleReview(card, 'again', now);
+    expect(card.ease).toBe(1.3);
+  });
+
+  test('Hard never shrinks the interval', () => {
+    let card = { ...createCard(), reps: 3, interval: 10, ease: 1.3 };
+    card = scheduleReview(card, 'hard', now);
+    expect(card.interval).toBe(12);
+  });
+
+  test('does not modify the input card', () => {
+    const card = createCard();
+    scheduleReview(card, 'good', now);
+    expect(card).toEqual(createCard());
+  });
+
+  test('throws on unknown grades', () => {
+    expect(() => scheduleReview(null, 'perfect', now)).toThrow('Unknown review grade');
+  });
+});
+
+describe('previewInterval', () => {
+  test('formats short and long intervals', () => {
+    expect(previewInterval(null, 'again', now)).toBe('10m');
+    expect(previewInterval(null, 'good', now)).toBe('1d');
+    expect(previewInterval({ ...createCard(), reps: 5, interval: 100 }, 'good', now)).toBe('8mo');
+  });
+});
+
+describe('getDueTime', () => {
+  test('uses the card, or a day after the last view for words never reviewed', () => {
+    expect(getDueTime({ due: now + 5 * DAY_MS }, now)).toBe(now + 5 * DAY_MS);
+    expect(getDueTime(null, now)).toBe(now + DAY_MS);
+    expect(getDueTime(null)).toBe(null);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Voice selection for speech synthesis. Browsers report languages as
+ * "zh-CN", "zh_CN" or "cmn-Hans-CN", so matching is a bit forgiving.
+ */
+
+// Languages that speak the same words under a different code
+const LANGUAGE_ALIASES = {
+  zh: ['cmn']
+};
+
+/**
+ * @param {string} lang - Language tag of a voice or dataset
+ * @returns {string} Tag in lowercase with dashes, e.g. "zh-cn"
+ */
+export function normalizeLanguage(lang = '') {
+  return lang.replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Voices that can read the given language, best matches first: exact
+ * language and region, then the same language with another region.
+ * @param {Array<Object>} voices - Voices from speechSynthesis.getVoices()
+ * @param {string} language - Language of the dataset, e.g. "zh-CN"
+ * @returns {Array<Object>} Matching voices
+ */
+export function getVoicesForLanguage(voices, language) {
+  const target = normalizeLanguage(language);
+  const primary = target.split('-')[0];
+  const primaryCodes = [primary, ...(LANGUAGE_ALIASES[primary] || [])];
+
+  const scored = voices
+    .map(voice => {
+      const lang = normalizeLanguage(voice.lang);
+      if (lang === target) return { voice, score: 2 };
+      if (primaryCodes.includes(lang.split('-')[0])) return { voice, score: 1 };
+      return null;
+    })
+    .filter(Boolean);
+
+  // Stable sort keeps the browser's order (local voices first, usually)
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .map(item => item.voice);
+}
+
+/**
+ * @param {Array<Object>} voices - Voices from speechSynthesis.getVoices()
+ * @param {string} language - Language of the dataset
+ * @param {string|null} preferredVoiceURI - Voice the learner picked earlier
+ * @returns {Object|null} Voice to use or null if none can read the language
+ */
+export function pickVoice(voices, language, preferredVoiceURI) {
+  const candidates = getVoicesForLanguage(voices, language);
+  return candidates.find(voice => voice.voiceURI === preferredVoiceURI) || candidates[0] || null;
+}
@@ -0,0 +1,40 @@
+/**
+ * Tests for speech voice selection
+ */
+
+import { describe, test, expect } from 'vitest';
+import { getVoicesForLanguage, pickVoice } from './speechVoices.js';
+
+const voices = [
+  { voiceURI: 'en', lang: 'en-US' },
+  { voiceURI: 'tw', lang: 'zh-TW' },
+  { voiceURI: 'android', lang: 'zh_CN' },
+  { voiceURI: 'cmn', lang: 'cmn-Hans-CN' },
+  { voiceURI: 'cn', lang: 'zh-CN' }
+];
+
+describe('getVoicesForLanguage', () => {
+  test('puts exact matches first and skips other languages', () => {
+    expect(getVoicesForLanguage(voices, 'zh-CN').map(voice => voice.voiceURI))
+      .toEqual(['android', 'cn', 'tw', 'cmn']);
+  });
+
+  test('returns nothing when no voice speaks the language', () => {
+    expect(getVoicesForLanguage(voices, 'ja')).toEqual([]);
+  });
+});
+
+describe('pickVoice', () => {
+  test('prefers the voice picked by the learner', () => {
+    expect(pickVoice(voices, 'zh-CN', 'tw').voiceURI).toBe('tw');
+  });
+
+  test('falls back to the best match', () => {
+    expect(pickVoice(voices, 'zh-CN', 'en').voiceURI).toBe('android');
+    expect(pickVoice(voices, 'zh-CN', null).voiceURI).toBe('android');
+  });
+
+  test('returns null without matching voices', () => {
+    expect(pickVoice([], 'zh-CN', null)).toBe(null);
+  });
+});
@@ -1,28 +1,56 @@
-export default function turnChineseWordsIntoLinks(content, graph) {
+import { DEFAULT_SCRIPT, createScriptRegex } from './datasetManifest.js';
+
+/**
+ * Wraps words known to the graph into links
+ * @param {string} content - HTML or markdown text
+ * @param {Object} graph - Graph with words as nodes
+ * @param {Object} [options]
+ * @param {string} [options.script] - Regex source matching one character of the dataset's script
+ * @param {Function} [options.getLink] - Returns href of a word link
+ * @returns {string} Content with links
+ */
+export default function turnChineseWordsIntoLinks(content, graph, { script = DEFAULT_SCRIPT, getLink = () => '#' } = {}) {
   // Use a regex to find Chinese words in the content
-  const chineseWordRegex = /[\u4e00-\u9fa5]+/g;
+  const chineseWordRegex = createScriptRegex(script, 'g');
   
   // Process each Chinese phrase to find the longest possible matches
   return content.replace(chineseWordRegex, (phrase) => {
     // Start with the whole phrase and then try progressively smaller chunks
-    const linkedPhrase = processChinesePhrase(phrase, graph);
-    return linkedPhrase;
+    return segmentChinesePhrase(phrase, graph)
+      .map(word => linkIfExists(word, graph, getLink))
+      .join('');
   });
 }
 
+/**
+ * Splits text into words known to the graph. Non-Chinese characters
+ * (spaces, punctuation, latin letters) separate phrases and are dropped.
+ * @param {string} text - Any text
+ * @param {Object} graph - Graph with words as nodes
+ * @param {string} [script] - Regex source matching one character of the dataset's script
+ * @returns {Array<string>} Words and unknown single characters in reading order
+ */
+export function segmentChineseText(text, graph, script = DEFAULT_SCRIPT) {
+  return (text.match(createScriptRegex(script, 'g')) || [])
+    .flatMap(phrase => segmentChinesePhrase(phrase, graph));
+}
+
 /**
  * Breaks down a Chinese phrase into optimal subparts for linking
  * Prefers longer matches when possible
+ * @param {string} phrase - Chinese text without punctuation
+ * @param {Object} graph - Graph with words as nodes
+ * @returns {Array<string>} Parts of the phrase. Parts that are not words in the graph are single characters
  */
-function processChinesePhrase(phrase, graph) {
+export function segmentChinesePhrase(phrase, graph) {
   // Base case: single character or empty string
   if (phrase.length <= 1) {
-    return linkIfExists(phrase, graph);
+    return phrase ? [phrase] : [];
   }
 
   // Check if the whole phrase exists in the graph
   if (graph.getNode(phrase)) {
-    return linkIfExists(phrase, graph);
+    return [phrase];
   }
   
   // Try to find the longest match from the beginning
@@ -30,23 +58,22 @@ function processChinesePhrase(phrase, graph) {
     const firstPart = phrase.substring(0, length);
     if (graph.getNode(firstPart)) {
       // Found a match for the first part
-      const restOfPhrase = processChinesePhrase(phrase.substring(length), graph);
-      return linkIfExists(firstPart, graph) + restOfPhrase;
+      return [firstPart, ...segmentChinesePhrase(phrase.substring(length), graph)];
     }
   }
   
-  // No longer match found, link the first character and process the rest
-  return linkIfExists(phrase[0], graph) + processChinesePhrase(phrase.substring(1), graph);
+  // No longer match found, keep the first character and process the rest
+  return [phrase[0], ...segmentChinesePhrase(phrase.substring(1), graph)];
 }
 
 /**
  * Creates HTML link for word if it exists in graph, otherwise returns the original word
  */
-function linkIfExists(word, graph) {
+function linkIfExists(word, graph, getLink) {
   if (!word) return '';
   const node = graph.getNode(word);
   if (node) {
-    return `<a href="https://github.com/anvaka/lang-land-data/blob/main/hsk/v1/cards/${word}.md" class="word-link" data-word="${word}">${word}</a>`;
+    return `<a href="${getLink(word)}" class="word-link" data-word="${word}">${word}</a>`;
   }
   return word;
-}
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+/**
+ * Typed learning events stored per word:
+ * { <word>: [{type, timestamp, ...details}, ...] }
+ *
+ * Types are view, search, link-follow, quiz-correct, quiz-wrong and marked-known.
+ * Events of a word are kept in the order they happened.
+ */
+
+// Events where the learner opened the word card on purpose
+export const VISIT_TYPES = ['view', 'search', 'link-follow'];
+
+export const QUIZ_TYPES = ['quiz-correct', 'quiz-wrong'];
+
+/**
+ * Converts data of the old storage (bare view timestamps and quiz answers
+ * kept separately) into events
+ * @param {Object} [viewHistory] - Map of words to timestamp arrays
+ * @param {Object} [quizHistory] - Map of words to arrays of {timestamp, quiz, correct, score}
+ * @returns {Object} Map of words to event arrays
+ */
+export function migrateLegacyHistory(viewHistory = {}, quizHistory = {}) {
+  const events = {};
+  const add = (word, event) => {
+    events[word] = events[word] || [];
+    events[word].push(event);
+  };
+
+  Object.entries(viewHistory).forEach(([word, timestamps]) => {
+    timestamps.forEach(timestamp => add(word, { type: 'view', timestamp }));
+  });
+  Object.entries(quizHistory).forEach(([word, results]) => {
+    results.forEach(({ timestamp, correct, ...details }) => {
+      add(word, { type: correct ? 'quiz-correct' : 'quiz-wrong', timestamp, ...details });
+    });
+  });
+
+  Object.values(events).forEach(sortByTime);
+  return events;
+}
+
+/**
+ * @param {Object} events - Map of words to event arrays
+ * @param {Object} [filter]
+ * @param {string} [filter.word] - Only events of this word
+ * @param {Array<string>} [filter.types] - Only events of these types
+ * @param {number} [filter.since] - Only events at or after this ms timestamp
+ * @param {number} [filter.until] - Only events before this ms timestamp
+ * @returns {Array<Object>} Matching events with their `word`, newest first
+ */
+export function queryEvents(events, { word, types, since = -Infinity, until = Infinity } = {}) {
+  const entries = word !== undefined ? [[word, events[word] || []]] : Object.entries(events);
+  return entries
+    .flatMap(([eventWord, wordEvents]) => wordEvents
+      .filter(event => (!types || types.includes(event.type)) &&
+        event.timestamp >= since && event.timestamp < until)
+      .map(event => ({ word: eventWord, ...event })))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Timestamps of events per word, the shape used by progress files and CSV export
+ * @param {Object} events - Map of words to event arrays
+ * @param {Array<string>} [types] - Event types to include
+ * @returns {Object} Map of words to timestamp arrays, words without such events are left out
+ */
+export function getTimestampsByWord(events, types = VISIT_TYPES) {
+  const history = {};
+  Object.entries(events).forEach(([word, wordEvents]) => {
+    const timestamps = wordEvents
+      .filter(event => types.includes(event.type))
+      .map(event => event.timestamp);
+    if (timestamps.length > 0) history[word] = timestamps;
+  });
+  return history;
+}
+
+/**
+ * Adds imported events, skipping the ones already there, so importing the
+ * same file twice does not double anything
+ * @param {Object} events - Map of words to event arrays
+ * @param {Object} imported - Map of words to event arrays
+ * @returns {Object} Merged events
+ */
+export function mergeEvents(events, imported) {
+  const merged = { ...events };
+  Object.entries(imported).forEach(([word, importedEvents]) => {
+    const wordEvents = [...(merged[word] || [])];
+    const known = new Set(wordEvents.map(getEventKey));
+    importedEvents.forEach(event => {
+      if (known.has(getEventKey(event))) return;
+      known.add(getEventKey(event));
+      wordEvents.push(event);
+    });
+    merged[word] = sortByTime(wordEvents);
+  });
+  return merged;
+}
+
+function getEventKey(event) {
+  return `${event.type} ${event.timestamp}`;
+}
+
+function sortByTime(wordEvents) {
+  return wordEvents.sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,85 @@
+/**
+ * Tests for typed word events
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  migrateLegacyHistory,
+  queryEvents,
+  getTimestampsByWord,
+  mergeEvents
+} from './wordEvents.js';
+
+const events = {
+  '爱': [
+    { type: 'view', timestamp: 1000 },
+    { type: 'quiz-wrong', timestamp: 2000, quiz: 'locate', score: 25 },
+    { type: 'link-follow', timestamp: 3000 }
+  ],
+  '学习': [
+    { type: 'search', timestamp: 1500 },
+    { type: 'marked-known', timestamp: 4000 }
+  ]
+};
+
+describe('migrateLegacyHistory', () => {
+  test('turns view timestamps and quiz answers into events', () => {
+    const migrated = migrateLegacyHistory(
+      { '爱': [3000, 1000] },
+      { '爱': [{ timestamp: 2000, quiz: 'locate', correct: false, score: 25 }] }
+    );
+
+    expect(migrated).toEqual({
+      '爱': [
+        { type: 'view', timestamp: 1000 },
+        { type: 'quiz-wrong', timestamp: 2000, quiz: 'locate', score: 25 },
+        { type: 'view', timestamp: 3000 }
+      ]
+    });
+  });
+
+  test('handles missing data', () => {
+    expect(migrateLegacyHistory()).toEqual({});
+  });
+});
+
+describe('queryEvents', () => {
+  test('returns all events newest first', () => {
+    expect(queryEvents(events).map(event => event.timestamp)).toEqual([4000, 3000, 2000, 1500, 1000]);
+  });
+
+  test('filters by word, type and time', () => {
+    expect(queryEvents(events, { word: '爱', types: ['view', 'link-follow'] })).toEqual([
+      { word: '爱', type: 'link-follow', timestamp: 3000 },
+      { word: '爱', type: 'view', timestamp: 1000 }
+    ]);
+    expect(queryEvents(events, { since: 1500, until: 3000 }).map(event => event.word)).toEqual(['爱', '学习']);
+    expect(queryEvents(events, { word: '没有' })).toEqual([]);
+  });
+});
+
+describe('getTimestampsByWord', () => {
+  test('keeps visits only by default', () => {
+    expect(getTimestampsByWord(events)).toEqual({ '爱': [1000, 3000], '学习': [1500] });
+    expect(getTimestampsByWord(events, ['marked-known'])).toEqual({ '学习': [4000] });
+  });
+});
+
+describe('mergeEvents', () => {
+  test('adds imported events of any type without duplicates', () => {
+    const imported = {
+      '爱': [{ type: 'quiz-wrong', timestamp: 2000, quiz: 'locate', score: 25 }, { type: 'quiz-correct', timestamp: 2500, quiz: 'locate' }],
+      '好': [{ type: 'search', timestamp: 500 }]
+    };
+    const merged = mergeEvents(events, imported);
+
+    expect(merged['爱'].map(event => [event.type, event.timestamp])).toEqual([
+      ['view', 1000],
+      ['quiz-wrong', 2000],
+      ['quiz-correct', 2500],
+      ['link-follow', 3000]
+    ]);
+    expect(merged['好']).toEqual(imported['好']);
+    expect(mergeEvents(events, events)).toEqual(events);
+  });
+});
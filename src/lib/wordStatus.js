@@ -0,0 +1,60 @@
+/**
+ * Status flags the learner sets on words. Stored as
+ * { <word>: [<status id>, ...] }
+ */
+
+export const WORD_STATUSES = [
+  { id: 'known', label: 'Known', icon: '✓', title: 'I know this word: keep its region revealed' },
+  { id: 'starred', label: 'Starred', icon: '★', title: 'Star this word: mark it on the map' },
+  { id: 'trouble', label: 'Trouble', icon: '⚑', title: 'I keep forgetting this word' },
+  { id: 'ignored', label: 'Ignored', icon: '⊘', title: 'Not interested: dim this word on the map' }
+];
+
+/**
+ * Turns a status of a word on or off
+ * @param {Object} statuses - Map of words to status id arrays
+ * @param {string} word - Word to change
+ * @param {string} status - Status id
+ * @param {boolean} [enabled] - Whether to set or clear the status, toggles when omitted
+ * @returns {Object} Updated statuses, words without statuses are removed
+ */
+export function setWordStatus(statuses, word, status, enabled) {
+  const current = new Set(statuses[word] || []);
+  const shouldEnable = enabled === undefined ? !current.has(status) : enabled;
+  if (shouldEnable) current.add(status);
+  else current.delete(status);
+
+  const updated = { ...statuses };
+  if (current.size > 0) {
+    // Keep the order of WORD_STATUSES, so stored data doesn't depend on click order
+    updated[word] = WORD_STATUSES.map(({ id }) => id).filter(id => current.has(id));
+  } else {
+    delete updated[word];
+  }
+  return updated;
+}
+
+/**
+ * @param {Object} statuses - Map of words to status id arrays
+ * @param {string} status - Status id
+ * @returns {Array<string>} Words that have the status
+ */
+export function getWordsWithStatus(statuses, status) {
+  return Object.keys(statuses).filter(word => statuses[word].includes(status));
+}
+
+/**
+ * Unites the statuses of each word, e.g. when importing a progress file
+ * @param {Object} statuses - Map of words to status id arrays
+ * @param {Object} imported - Map of words to status id arrays
+ * @returns {Object} Merged statuses, unknown status ids are dropped
+ */
+export function mergeWordStatuses(statuses, imported) {
+  let merged = { ...statuses };
+  Object.entries(imported).forEach(([word, ids]) => {
+    ids.forEach(id => {
+      if (WORD_STATUSES.some(status => status.id === id)) merged = setWordStatus(merged, word, id, true);
+    });
+  });
+  return merged;
+}
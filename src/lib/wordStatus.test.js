@@ -0,0 +1,43 @@
+/**
+ * Tests for word status flags
+ */
+
+import { describe, test, expect } from 'vitest';
+import { setWordStatus, getWordsWithStatus, mergeWordStatuses } from './wordStatus.js';
+
+describe('setWordStatus', () => {
+  test('toggles statuses and keeps a stable order', () => {
+    let statuses = setWordStatus({}, '爱', 'trouble');
+    statuses = setWordStatus(statuses, '爱', 'known');
+    expect(statuses).toEqual({ '爱': ['known', 'trouble'] });
+
+    statuses = setWordStatus(statuses, '爱', 'known');
+    expect(statuses).toEqual({ '爱': ['trouble'] });
+  });
+
+  test('sets explicit values and drops words without statuses', () => {
+    const statuses = { '爱': ['starred'] };
+    expect(setWordStatus(statuses, '爱', 'starred', true)).toEqual({ '爱': ['starred'] });
+    expect(setWordStatus(statuses, '爱', 'starred', false)).toEqual({});
+    expect(statuses).toEqual({ '爱': ['starred'] });
+  });
+});
+
+describe('getWordsWithStatus', () => {
+  test('lists words with a status', () => {
+    const statuses = { '爱': ['known', 'starred'], '恨': ['ignored'], '好': ['starred'] };
+    expect(getWordsWithStatus(statuses, 'starred')).toEqual(['爱', '好']);
+    expect(getWordsWithStatus(statuses, 'trouble')).toEqual([]);
+  });
+});
+
+describe('mergeWordStatuses', () => {
+  test('unites statuses per word and drops unknown ones', () => {
+    const merged = mergeWordStatuses(
+      { '爱': ['starred'], '好': ['ignored'] },
+      { '爱': ['known', 'someday'], '学习': ['trouble'] }
+    );
+
+    expect(merged).toEqual({ '爱': ['known', 'starred'], '好': ['ignored'], '学习': ['trouble'] });
+  });
+});
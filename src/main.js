@@ -1,23 +1,48 @@
 import './style.css';
 import maplibregl from 'maplibre-gl'
-import { getInitialMapStyle, getRegionOpacity } from './mapStyles.js';
+import { getInitialMapStyle, getRegionOpacity, getRegionOpacityData } from './mapStyles.js';
 import { sidebar } from './sidebar';
 import { aboutModal } from './aboutModal';
 import { wordStats, statsModal } from './wordStats';
 import highlightNodeWithNeighbors from './highlightNodeWithNeighbors';
-import config from './config.js';
+import { neighborhoodSettings } from './neighborhoodSettings';
+import config, { loadDataset } from './config.js';
 import { searchBar } from './searchBar';
+import { reviewPanel } from './reviewPanel';
+import { mapQuizPanel } from './mapQuizPanel';
+import { practicePanel } from './practicePanel';
+import { coverageDashboard } from './coverageDashboard';
+import { pathPanel } from './pathPanel';
+import { hskLevelFilter } from './hskLevelFilter';
+import { textPanel } from './textPanel';
+import { characterPanel } from './characterPanel';
+import { characterExplorer } from './characterExplorer';
+import { getGraph } from './graph';
+import { requestData } from './dataWorkerClient';
+import { generateFeatureIds } from './lib/regionFeatures';
+import { findSimilarWords } from './lib/findSimilarWords';
+import { registerServiceWorker } from './offline';
+import { initDatasetSwitcher } from './datasetSwitcher';
+import { upgradeMapHash } from './lib/hashParams';
 
 
 // Track regions and features
 let regionFeatureIds = {};
 let allRegionFeaturesStore = null; // Store all region features for lookup
 let graph;
+let map;
 
 // Initialize the app with a map container
 document.querySelector('#app').innerHTML = `
   <div id="map"></div>
   <div class='control-buttons'>
+    <button class="hsk-button" aria-label="Filter words by level">HSK</button>
+    <button class="text-button" aria-label="Analyze Chinese text">Text</button>
+    <button class="explorer-button" aria-label="Explore a character on the map">字</button>
+    <button class="review-button" aria-label="Review due words">Review<span class="review-count"></span></button>
+    <button class="quiz-button" aria-label="Find words on the map">Quiz</button>
+    <button class="practice-button" aria-label="Practice words">Practice</button>
+    <button class="path-button" aria-label="Find a learning path between words">Path</button>
     <button class="stats-button" aria-label="View learning progress">Stats</button>
     <button class="about-button" aria-label="About HSK Land">About</button>
   </div>
@@ -27,30 +52,113 @@ document.querySelector('#app').innerHTML = `
 const aboutButton = document.querySelector('.about-button');
 aboutButton.addEventListener('click', () => aboutModal.open());
 
-const statsButton = document.querySelector('.stats-button');
-statsButton.addEventListener('click', () => statsModal.open());
+// Panels on the right side of the screen take turns
+const rightPanels = [statsModal, textPanel, characterExplorer, practicePanel, pathPanel];
+function openRightPanel(panel) {
+  rightPanels.forEach(other => {
+    if (other !== panel) other.close();
+  });
+  panel.open();
+}
 
-// Initialize modals
-statsModal.init(openWordFromStatsPanel);
+document.querySelector('.stats-button').addEventListener('click', () => openRightPanel(statsModal));
+document.querySelector('.text-button').addEventListener('click', () => openRightPanel(textPanel));
+document.querySelector('.explorer-button').addEventListener('click', () => openRightPanel(characterExplorer));
+document.querySelector('.practice-button').addEventListener('click', () => openRightPanel(practicePanel));
+document.querySelector('.path-button').addEventListener('click', () => openRightPanel(pathPanel));
+
+const reviewButton = document.querySelector('.review-button');
+reviewButton.addEventListener('click', () => {
+  sidebar.close();
+  mapQuizPanel.close();
+  reviewPanel.open();
+});
 
-// Initialize the map
-const map = new maplibregl.Map({
-  container: 'map',
-  style: getInitialMapStyle(),
-  center: [0, 0],
-  zoom: 2.0,
-  minZoom: 2.0,
-  hash: true,
+const quizButton = document.querySelector('.quiz-button');
+quizButton.addEventListener('click', () => {
+  sidebar.close();
+  reviewPanel.close();
+  mapQuizPanel.open();
 });
-map.touchZoomRotate.disableRotation();
 
-// Load and add all GeoJSON files to the map
-map.on('load', () => {
-  setupMapInteractions(map);
-  setupRegionLoading(map);
-  initSearchBar();
+// Initialize modals
+statsModal.init(openWordFromStatsPanel);
+sidebar.setHistoryCallback(openWordFromHistory);
+sidebar.setPracticeCallback((words, title) => {
+  practicePanel.practiceWords(words, title);
+  openRightPanel(practicePanel);
+});
+reviewPanel.init({
+  showWord: showWordForReview,
+  revealWord: openWordFromStatsPanel,
+  onGraded: (word) => {
+    updateRegionOpacity(word);
+    updateReviewCount();
+  }
+});
+updateReviewCount();
+mapQuizPanel.init({
+  getRegionCentroid: (label) => {
+    const feature = findRegionFeatureByLabel(label);
+    return feature ? getPolygonCentroid(feature) : null;
+  },
+  revealWord: showWordForReview,
+  openWord: openWordFromLink,
+  // Word labels would give the answers away
+  onToggle: (isOpen) => {
+    map?.setLayoutProperty('label-layer', 'visibility', isOpen ? 'none' : 'visible');
+  }
 });
 
+// Source URLs and language settings come from the dataset manifest
+loadDataset().then(initMap);
+
+function initMap() {
+  document.title = config.dataset.title;
+  // Sources of the dataset are known now
+  sidebar.loadGraph();
+  initDatasetSwitcher(document.querySelector('.control-buttons'));
+
+  // Map position lives next to the open word in the hash (#map=...&word=...).
+  // Older links have a bare position, so name it before the map reads it
+  const hash = upgradeMapHash(window.location.hash, 'map');
+  if (hash !== window.location.hash) {
+    window.history.replaceState(window.history.state, '', hash);
+  }
+
+  map = new maplibregl.Map({
+    container: 'map',
+    style: getInitialMapStyle(),
+    center: [0, 0],
+    zoom: 2.0,
+    minZoom: 2.0,
+    hash: 'map',
+  });
+  map.touchZoomRotate.disableRotation();
+  textPanel.init(map, openWordFromLink);
+  characterPanel.init(map, openWordFromLink);
+  characterExplorer.init(map, openWordFromLink);
+  practicePanel.init(map, openWordFromLink);
+  coverageDashboard.init(map);
+  // Redraw the neighbourhood of the open word with new settings
+  neighborhoodSettings.onChange(() => {
+    const word = sidebar.getCurrentWord();
+    if (sidebar.isOpen && word) highlightNodeWithNeighbors(word, map);
+  });
+  pathPanel.init(map, openWordOnPath);
+
+  // Load and add all GeoJSON files to the map
+  map.on('load', () => {
+    setupMapInteractions(map);
+    setupRegionLoading(map);
+    hskLevelFilter.init(map, document.querySelector('.hsk-button'));
+    initSearchBar();
+
+    // Service worker is skipped in dev so it does not cache modules served by vite
+    if (import.meta.env.PROD) registerServiceWorker();
+  });
+}
+
 function setupMapInteractions(map) {
   map.on('mouseenter', 'label-layer', () => { map.getCanvas().style.cursor = 'pointer' })
   map.on('mouseleave', 'label-layer', () => { map.getCanvas().style.cursor = '' })
@@ -62,43 +170,41 @@ function setupMapInteractions(map) {
       layers: ['label-layer', 'region-fill-layer'] 
     });
     
-    if (features.length > 0) {
-      // Process only the topmost feature (index 0)
-      handleCircleClick({ features: [features[0]] }, map);
+    if (features.length === 0) return;
+
+    // During the quiz a click is a guess, not a visit
+    if (mapQuizPanel.isOpen) {
+      mapQuizPanel.handleGuess(features[0].properties.label);
+      return;
     }
+
+    // Process only the topmost feature (index 0)
+    handleCircleClick({ features: [features[0]] }, map);
   });
 }
 
 async function setupRegionLoading(map) {
-  const allRegionFeatures = {
-    type: 'FeatureCollection',
-    features: []
-  };
-
-  // Wait for the current batch to complete before starting the next
-  await fetchRegion(config.regionsSource, allRegionFeatures)
-  // Since our region ids are string, the maplibre-gl doesn't like them as feature ids.
-  // we map them ourselves and remember mapping from word -> id;
-  regionFeatureIds = generateFeatureIds(allRegionFeatures);
+  // Parsed in a worker, with numeric feature ids and a mapping from word -> id,
+  // since maplibre-gl doesn't like our string region ids
+  const { featureCollection, featureIds } = await loadRegions(config.regionsSource);
+  regionFeatureIds = featureIds;
 
   // Store the complete region features for later access
-  allRegionFeaturesStore = allRegionFeatures;
+  allRegionFeaturesStore = featureCollection;
 
   // Update the region boundaries source with all regions
-  map.getSource('region-boundaries').setData(allRegionFeatures);
+  map.getSource('region-boundaries').setData(featureCollection);
 
   // Reapply discovered states for persisted transparency
   // Use wordStats to determine which regions were previously discovered
-  Object.keys(wordStats.getHistory()).forEach(word => {
-    if (regionFeatureIds[word] !== undefined) {
-      map.setFeatureState(
-        { source: 'region-boundaries', id: regionFeatureIds[word] },
-        { 
-          opacity: getRegionOpacity(word)
-        }
-      );
-    }
-  });
+  const opacityData = getRegionOpacityData();
+  Object.keys(opacityData.history).forEach(label => updateRegionOpacity(label, opacityData));
+  Object.keys(opacityData.statuses).forEach(label => updateWordStatus(label, opacityData));
+  wordStats.onStatusChange(label => updateWordStatus(label));
+
+  // Deep link to a word (#word=学习)
+  const linkedWord = sidebar.getWordFromUrl();
+  if (linkedWord) openWordFromStatsPanel(linkedWord);
 
   // Need some delay to avoid flickering.
   setTimeout(() => {
@@ -106,32 +212,128 @@ async function setupRegionLoading(map) {
   }, 100);
 }
 
-async function fetchRegion(url, featureCollection) {
+async function loadRegions(url) {
+  try {
+    return await requestData('regions', { url });
+  } catch (error) {
+    console.warn('Failed to load regions in a worker, parsing them on the page:', error);
+  }
+
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to fetch region ${url}`);
   }
 
-  const data = await response.json();
-  if (data && data.features) {
-    featureCollection.features = data.features;
-  }
+  const featureCollection = await response.json();
+  featureCollection.features = featureCollection.features || [];
+  return { featureCollection, featureIds: generateFeatureIds(featureCollection) };
 }
 
+/**
+ * Opens a word picked in the stats panel. Revisiting a word from the list of
+ * seen words is not recorded as a new view.
+ * @param {string} label - Word to show
+ */
 function openWordFromStatsPanel(label) {
+  openWord(label, null);
+}
+
+/**
+ * Opens a word linked from a panel (text analysis, explorer, quizzes)
+ * @param {string} label - Word to show
+ */
+function openWordFromLink(label) {
+  openWord(label, 'link-follow');
+}
+
+/**
+ * Opens a word of a learning path, keeping the drawn path instead of the word's neighbors
+ * @param {string} label - Word to show
+ */
+function openWordOnPath(label) {
+  openWord(label, 'link-follow', { highlightNeighbors: false });
+}
+
+function openWord(label, eventType, options) {
+  const feature = findRegionFeatureByLabel(label);
+  if (!feature) return;
+
+  handleCircleClick({ features: [feature] }, map, eventType, options);
+  // Fly to the centroid of the polygon
+  flyTo(getPolygonCentroid(feature));
+}
+
+/**
+ * Shows a word the user navigated back or forward to. Unlike a click, this
+ * is not recorded as a new view.
+ * @param {string} label - Word to show
+ */
+function openWordFromHistory(label) {
+  const feature = findRegionFeatureByLabel(label);
+  if (!feature) return;
+
+  map.getSource('highlighted-region').setData({
+    type: 'FeatureCollection',
+    features: [feature]
+  });
+  sidebar.open(label, openNewWordFromSidebar);
+  highlightNodeWithNeighbors(label, map);
+  flyTo(getPolygonCentroid(feature));
+}
+
+/**
+ * Moves the map to a word and outlines its region, without opening the card
+ * @param {string} label - Word to show
+ */
+function showWordForReview(label) {
   const feature = findRegionFeatureByLabel(label);
   if (!feature) return;
 
-  handleCircleClick({ features: [feature] }, map);
-  const centroidOfPolygon = feature.geometry.coordinates[0].reduce((acc, coord) => {
+  map.getSource('highlighted-region').setData({
+    type: 'FeatureCollection',
+    features: [feature]
+  });
+  flyTo(getPolygonCentroid(feature));
+}
+
+/**
+ * @param {string} label - Word of the region
+ * @param {Object} [opacityData] - Stored data from getRegionOpacityData(), pass it when updating many regions
+ */
+function updateRegionOpacity(label, opacityData = getRegionOpacityData()) {
+  if (regionFeatureIds[label] === undefined) return;
+
+  map.setFeatureState(
+    { source: 'region-boundaries', id: regionFeatureIds[label] },
+    { opacity: getRegionOpacity(label, opacityData) }
+  );
+}
+
+// Known words keep their region revealed, starred words get a ring, ignored words dim
+function updateWordStatus(label, opacityData = getRegionOpacityData()) {
+  updateRegionOpacity(label, opacityData);
+  const statuses = opacityData.statuses[label] || [];
+  map.setFeatureState(
+    { source: 'points-source', id: label },
+    { starred: statuses.includes('starred'), ignored: statuses.includes('ignored') }
+  );
+}
+
+function updateReviewCount() {
+  const dueCount = reviewPanel.getDueWords().length;
+  reviewButton.querySelector('.review-count').textContent = dueCount > 0 ? `(${dueCount})` : '';
+}
+
+function getPolygonCentroid(feature) {
+  const ring = feature.geometry.coordinates[0];
+  const centroid = ring.reduce((acc, coord) => {
     acc[0] += coord[0];
     acc[1] += coord[1];
     return acc;
   }, [0, 0]);
-  centroidOfPolygon[0] /= feature.geometry.coordinates[0].length;
-  centroidOfPolygon[1] /= feature.geometry.coordinates[0].length;
-  // Fly to the centroid of the polygon
-  flyTo(centroidOfPolygon);
+  centroid[0] /= ring.length;
+  centroid[1] /= ring.length;
+  return centroid;
 }
 
 function openNewWordFromSidebar(label, coordinates) {
@@ -139,7 +341,7 @@ function openNewWordFromSidebar(label, coordinates) {
 
   const feature = findRegionFeatureByLabel(label);
   if (!feature) return;
-  handleCircleClick({ features: [feature] }, map);
+  handleCircleClick({ features: [feature] }, map, 'link-follow');
 }
 
 function flyTo(coordinates) {
@@ -154,7 +356,15 @@ function flyTo(coordinates) {
   });
 }
 
-async function handleCircleClick(e, map) {
+/**
+ * Opens the card of a clicked word, reveals its region and highlights its neighbors
+ * @param {Object} e - Event-like object with the clicked features
+ * @param {Object} map - MapLibre map instance
+ * @param {string|null} [eventType] - Event to record in word stats, null to record nothing
+ * @param {Object} [options]
+ * @param {boolean} [options.highlightNeighbors] - Whether to replace highlighted nodes with the word's neighbors
+ */
+async function handleCircleClick(e, map, eventType = 'view', { highlightNeighbors = true } = {}) {
   if (!e.features || e.features.length === 0) return
 
   const feature = e.features[0]
@@ -163,10 +373,13 @@ async function handleCircleClick(e, map) {
   const label = feature.properties.label
 
   // Record word click for statistics tracking
-  wordStats.recordClick(label);
-  if (statsModal.isOpen) {
-    // If stats modal is open, update the word list immediately
-    statsModal.refreshStats();
+  if (eventType) {
+    wordStats.recordClick(label, eventType);
+    if (statsModal.isOpen) {
+      // If stats modal is open, update the word list immediately
+      statsModal.refreshStats();
+    }
+    updateReviewCount();
   }
 
   if (regionFeatureIds[label] !== undefined) {
@@ -194,27 +407,15 @@ async function handleCircleClick(e, map) {
   sidebar.open(label, openNewWordFromSidebar)
 
   // Highlight the clicked node and its neighbors
-  await highlightNodeWithNeighbors(label, map)
-}
-
-function generateFeatureIds(featureCollection) {
-  const idMap = {};
-  featureCollection.features.forEach((feature, index) => {
-    const label = feature.id;
-    const id = index;
-    idMap[label] = id;
-    feature.properties.label = label; // Ensure the label is set in properties
-    feature.id = id;
-  });
-
-  return idMap;
+  if (highlightNeighbors) await highlightNodeWithNeighbors(label, map)
 }
 
 // Helper function to find region feature by label
 function findRegionFeatureByLabel(label) {
-  if (!allRegionFeaturesStore || !allRegionFeaturesStore.features) return null;
+  if (!allRegionFeaturesStore || regionFeatureIds[label] === undefined) return null;
 
-  return allRegionFeaturesStore.features.find(feature => feature.properties.label === label);
+  // Feature ids are indexes of the features
+  return allRegionFeaturesStore.features[regionFeatureIds[label]];
 }
 
 /**
@@ -229,30 +430,27 @@ function initSearchBar() {
  * Handle search submission
  * @param {string} searchTerm - The search term submitted
  */
-function handleSearch(searchTerm) {
+async function handleSearch(searchTerm) {
   if (!searchTerm) return;
   
   // Look for an exact match in features
   const feature = findRegionFeatureByLabel(searchTerm);
   
   if (feature) {
-    // If we found a match, simulate a click on that feature
-    const coordinates = feature.geometry.coordinates[0].reduce((acc, coord) => {
-      acc[0] += coord[0];
-      acc[1] += coord[1];
-      return acc;
-    }, [0, 0]);
-    
-    coordinates[0] /= feature.geometry.coordinates[0].length;
-    coordinates[1] /= feature.geometry.coordinates[0].length;
-    
-    // Fly to the location
-    flyTo(coordinates);
+    searchBar.hideMessage();
+
+    // If we found a match, fly to the location
+    flyTo(getPolygonCentroid(feature));
     
     // Simulate a click on the feature
-    handleCircleClick({ features: [feature] }, map);
+    handleCircleClick({ features: [feature] }, map, 'search');
   } else {
-    // If no match is found, we could show a message or do nothing
-    console.log('No matching word found:', searchTerm);
+    // If no match is found, offer words that are close to what was typed
+    try {
+      const graph = await getGraph();
+      searchBar.showNoMatch(searchTerm, findSimilarWords(searchTerm, graph, { script: config.dataset.script }));
+    } catch (error) {
+      searchBar.showNoMatch(searchTerm, {});
+    }
   }
 }
@@ -0,0 +1,235 @@
+import './mapQuizPanel.css';
+import config from './config.js';
+import { getGraph } from './graph.js';
+import { getWordPoints } from './points.js';
+import { getWordTitles } from './wordTitles.js';
+import { wordStats } from './wordStats.js';
+import { formatLevel } from './lib/datasetManifest.js';
+import { getHopDistance, scoreGuess, pickQuizWord, MAX_SCORE } from './lib/mapQuiz.js';
+import { escapeHtml } from './lib/escapeHtml.js';
+
+// How many of the last asked words are not asked again
+const RECENT_WORDS_COUNT = 20;
+// Part of the map size at which a guess stops getting points for being nearby
+const MAX_DISTANCE_SHARE = 0.25;
+
+/**
+ * "Find the word" game: the panel shows the meaning or pinyin of a word and
+ * the learner clicks the region they think holds it. While the quiz is open
+ * map clicks are guesses instead of opening cards.
+ */
+class MapQuizPanel {
+  constructor() {
+    this.element = null;
+    this.isOpen = false;
+    this.target = null;
+    this.answered = false;
+    this.recent = [];
+    this.round = 0;
+    this.totalScore = 0;
+    this.prompt = 'english';
+    this.level = null;
+    this.maxDistance = 0;
+    this.getRegionCentroid = null;
+    this.revealWord = null;
+    this.openWord = null;
+    this.onToggle = null;
+  }
+
+  /**
+   * Initialize the quiz panel
+   * @param {Object} callbacks
+   * @param {Function} callbacks.getRegionCentroid - Returns [x, y] of a word region, or null if it has none
+   * @param {Function} callbacks.revealWord - Outlines the region of a word and flies to it
+   * @param {Function} callbacks.openWord - Opens the card of a word in the sidebar
+   * @param {Function} callbacks.onToggle - Called with true when the quiz starts and false when it ends
+   */
+  init({ getRegionCentroid, revealWord, openWord, onToggle }) {
+    this.getRegionCentroid = getRegionCentroid;
+    this.revealWord = revealWord;
+    this.openWord = openWord;
+    this.onToggle = onToggle;
+
+    this.element = document.createElement('div');
+    this.element.className = 'quiz-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-label', 'Find the word on the map');
+
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('.close-btn')) {
+        this.close();
+        return;
+      }
+      if (e.target.closest('.quiz-next')) {
+        this.askNext();
+        return;
+      }
+      if (e.target.closest('.quiz-open-card') && this.openWord) {
+        this.openWord(this.target);
+      }
+    });
+    this.element.addEventListener('change', (e) => {
+      if (e.target.matches('.quiz-prompt-select')) this.prompt = e.target.value;
+      if (e.target.matches('.quiz-level-select')) this.level = e.target.value ? Number(e.target.value) : null;
+      this.askNext();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  /**
+   * Start a new game
+   */
+  open() {
+    if (!this.element) return this;
+
+    this.isOpen = true;
+    this.round = 0;
+    this.totalScore = 0;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    if (this.onToggle) this.onToggle(true);
+    this.askNext();
+    return this;
+  }
+
+  close() {
+    if (!this.element || !this.isOpen) return this;
+
+    this.isOpen = false;
+    if (this.onToggle) this.onToggle(false);
+    this.target = null;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    return this;
+  }
+
+  async askNext() {
+    this.answered = false;
+    this.element.innerHTML = `${this.renderHeader()}<p class="quiz-hint">Loading…</p>`;
+
+    try {
+      const [titles, points] = await Promise.all([getWordTitles(), getWordPoints()]);
+      this.maxDistance = getMapSize(points) * MAX_DISTANCE_SHARE;
+
+      const candidates = [...titles.keys()].filter(word => {
+        const title = titles.get(word);
+        if (!title[this.prompt]) return false;
+        if (this.level && points.get(word)?.level !== this.level) return false;
+        return !!this.getRegionCentroid(word);
+      });
+
+      this.target = pickQuizWord(candidates, new Set(this.recent));
+      if (!this.target) {
+        this.element.innerHTML = `${this.renderHeader()}<p class="quiz-hint">No words to ask. Try another level.</p>`;
+        return;
+      }
+
+      this.recent = [this.target, ...this.recent].slice(0, RECENT_WORDS_COUNT);
+      this.round += 1;
+      this.renderQuestion(titles.get(this.target));
+    } catch (error) {
+      console.error('Failed to start the quiz:', error);
+      this.element.innerHTML = `${this.renderHeader()}<p class="quiz-hint">Failed to load quiz words.</p>`;
+    }
+  }
+
+  /**
+   * Scores a click on the map
+   * @param {string} word - Word of the clicked region
+   */
+  async handleGuess(word) {
+    if (!this.target || this.answered) return;
+    this.answered = true;
+
+    const target = this.target;
+    let hops = Infinity;
+    try {
+      hops = getHopDistance(await getGraph(), word, target);
+    } catch (error) {
+      // Without the graph the guess is scored by map distance only
+    }
+
+    const distance = getDistance(this.getRegionCentroid(word), this.getRegionCentroid(target));
+    const score = scoreGuess({ hops, distance }, this.maxDistance);
+    const correct = score === MAX_SCORE;
+    this.totalScore += score;
+
+    wordStats.recordQuizResult(target, { quiz: 'locate', correct, score });
+    if (this.revealWord) this.revealWord(target);
+
+    const titles = await getWordTitles();
+    this.renderAnswer({ word, target, hops, score, correct, title: titles.get(target) });
+  }
+
+  renderQuestion(title) {
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <div class="quiz-prompt">${escapeHtml(title[this.prompt])}</div>
+      <p class="quiz-hint">Zoom in and click the region where you think this word lives.</p>
+      <button class="quiz-next">Skip</button>
+    `;
+  }
+
+  renderAnswer({ word, target, hops, score, correct, title }) {
+    const picked = escapeHtml(word);
+    let verdict = `You picked ${picked}, which is far from the answer.`;
+    if (correct) verdict = 'Correct!';
+    else if (Number.isFinite(hops)) verdict = `You picked ${picked}, ${hops} ${hops === 1 ? 'step' : 'steps'} away in the graph.`;
+
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <div class="quiz-verdict ${correct ? 'correct' : ''}">${verdict} <strong>+${score}</strong></div>
+      <div class="quiz-answer">${escapeHtml(target)} <small>${escapeHtml(title?.pinyin || '')} · ${escapeHtml(title?.english || '')}</small></div>
+      <div class="quiz-actions">
+        <button class="quiz-open-card">Open card</button>
+        <button class="quiz-next">Next word</button>
+      </div>
+    `;
+  }
+
+  renderHeader() {
+    const levels = config.dataset.levels;
+    return `
+      <button class="close-btn" aria-label="Close quiz">&times;</button>
+      <div class="quiz-options">
+        <select class="quiz-prompt-select" aria-label="Show">
+          <option value="english" ${this.prompt === 'english' ? 'selected' : ''}>Meaning</option>
+          <option value="pinyin" ${this.prompt === 'pinyin' ? 'selected' : ''}>Pinyin</option>
+        </select>
+        <select class="quiz-level-select" aria-label="Level">
+          <option value="">All levels</option>
+          ${levels.values.map(level => `
+            <option value="${level}" ${this.level === level ? 'selected' : ''}>${formatLevel(levels, level)}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="quiz-progress">Round ${this.round} · ${this.totalScore} points</div>
+    `;
+  }
+}
+
+function getDistance(a, b) {
+  if (!a || !b) return Infinity;
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+function getMapSize(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  points.forEach(({ coordinates: [x, y] }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  return Number.isFinite(minX) ? Math.hypot(maxX - minX, maxY - minY) : 0;
+}
+
+// Create and export a singleton instance
+export const mapQuizPanel = new MapQuizPanel();
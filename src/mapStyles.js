@@ -1,32 +1,76 @@
 import config from './config.js';
 import { wordStats } from './wordStats.js';
+import { srs } from './srs.js';
+import { getDueTime } from './lib/spacedRepetition.js';
 
 /**
- * Calculates region opacity based on time since last discovery
- * - Recently discovered (< 60s): fully transparent (0 opacity)
- * - Never discovered: fully opaque (1 opacity)
- * - Gradient between based on elapsed time
+ * Reads the stored data getRegionOpacity() needs. Read it once and reuse it
+ * when updating many regions.
+ * @returns {Object} {history, cards, statuses}
+ */
+export function getRegionOpacityData() {
+  return {
+    history: wordStats.getHistory(),
+    cards: srs.getCards(),
+    statuses: wordStats.getStatuses()
+  };
+}
+
+/**
+ * Calculates region opacity from the review schedule of a word
+ * - Marked as known: fully transparent, permanently
+ * - Recently discovered or reviewed (< 60s): fully transparent (0 opacity)
+ * - Never discovered, or due for a review: fully opaque (1 opacity)
+ * - Gradient between based on how close the word is to its due date
  * 
  * @param {string} label - Word label to calculate opacity for
- * @param {number} maxAge - Time in ms after which opacity returns to 1 (default: 1 week)
+ * @param {Object} data - Stored data from getRegionOpacityData()
  * @returns {number} Opacity value between 0 and 1
  */
-export function getRegionOpacity(label) {
-  const lastClickTime = wordStats.getLastClickTime(label);
-  if (!lastClickTime) return 1; // Never discovered: fully opaque
+export function getRegionOpacity(label, { history, cards, statuses }) {
+  if (statuses[label]?.includes('known')) return 0;
+
+  const timestamps = history[label] || [];
+  const lastClickTime = timestamps.length > 0 ? Math.max(...timestamps) : null;
+  const card = cards[label] || null;
+  const revealedAt = Math.max(lastClickTime || 0, card?.lastReview || 0);
+  if (!revealedAt) return 1; // Never discovered: fully opaque
   
   const now = Date.now();
-  const elapsedMs = now - lastClickTime;
+  const elapsedMs = now - revealedAt;
   
   // Less than 60 seconds ago: fully transparent
   if (elapsedMs < 60 * 1000) return 0;
   
-  // More than 1 week ago: fully opaque
-  const oneWeekMs = 7 * 24 * 60 * 60 * 1000;
-  if (elapsedMs > oneWeekMs) return 1;
+  // Due for a review: fully opaque
+  const dueTime = getDueTime(card, lastClickTime);
+  if (!dueTime || now >= dueTime) return 1;
   
-  // Gradient between 0 and 1 based on elapsed time
-  return elapsedMs / oneWeekMs;
+  // Gradient between 0 and 1 based on elapsed part of the interval
+  return elapsedMs / (dueTime - revealedAt);
+}
+
+/**
+ * Colors of the points when they are colored by HSK level (index 0 = HSK 1)
+ */
+export const HSK_LEVEL_COLORS = ['#4caf50', '#8bc34a', '#ffc107', '#ff9800', '#f44336', '#ab47bc'];
+const UNKNOWN_LEVEL_COLOR = '#e56aaa';
+
+/**
+ * @param {number} [level] - HSK level of a word
+ * @returns {string} Color of the level, or a highlight color for words without one
+ */
+export function getLevelColor(level) {
+  return HSK_LEVEL_COLORS[level - 1] || UNKNOWN_LEVEL_COLOR;
+}
+
+/**
+ * Builds `circle-color` expression that colors points by their HSK level
+ * @returns {Array} MapLibre expression
+ */
+export function getHskLevelColorExpression() {
+  const stops = HSK_LEVEL_COLORS.flatMap((color, index) => [index + 1, color]);
+  return ['match', ['get', 'l'], ...stops, getColorTheme().circleColor];
 }
 
 function getColorTheme() {
@@ -58,7 +102,9 @@ export function getInitialMapStyle() {
       },
       "points-source": {
         type: 'geojson',
-        data: config.pointsSource
+        data: config.pointsSource,
+        // Word status flags are set as feature state by word
+        promoteId: 'label'
       },
       "places": {
         type: 'geojson',
@@ -90,6 +136,18 @@ export function getInitialMapStyle() {
       "region-boundaries": {
         type: 'geojson',
         data: { type: 'FeatureCollection', features: [] }
+      },
+      "character-hulls": {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      },
+      "character-heat": {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
+      },
+      "country-fog": {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] }
       }
     },
     layers: [
@@ -132,6 +190,18 @@ export function getInitialMapStyle() {
           "fill-opacity": ["feature-state", "opacity"]
         }
       },
+      {
+        // Keeps regions hidden by the HSK level filter fogged
+        "id": "region-dim-layer",
+        "type": "fill",
+        "source": "region-boundaries",
+        "minzoom": 4.2,
+        "filter": false,
+        "paint": {
+          "fill-color": currentColorTheme.background,
+          "fill-opacity": 0.85
+        }
+      },
       {
         "id": "region-boundaries-layer",
         "type": "line",
@@ -191,13 +261,67 @@ export function getInitialMapStyle() {
         }
       },
       {
-        id: 'highlighted-edges',
+        // Fogs everything but the country picked in the coverage dashboard
+        id: 'country-fog',
+        type: 'fill',
+        source: 'country-fog',
+        paint: {
+          "fill-color": currentColorTheme.background,
+          "fill-opacity": 0.8
+        }
+      },
+      {
+        id: 'character-hulls-fill',
+        type: 'fill',
+        source: 'character-hulls',
+        paint: {
+          "fill-color": "#e56aaa",
+          "fill-opacity": 0.2
+        }
+      },
+      {
+        id: 'character-hulls-outline',
         type: 'line',
-        source: 'highlighted-edges',
+        source: 'character-hulls',
         paint: {
           "line-color": "#e56aaa",
-          "line-width": 2,
+          "line-width": 1.5,
           "line-opacity": 0.8
+        }
+      },
+      {
+        id: 'character-heat',
+        type: 'heatmap',
+        source: 'character-heat',
+        paint: {
+          "heatmap-radius": [
+            "interpolate",
+            ["linear"],
+            ["zoom"],
+            2, 12,
+            10, 40
+          ],
+          "heatmap-intensity": 0.6,
+          "heatmap-opacity": 0.8,
+          "heatmap-color": [
+            "interpolate",
+            ["linear"],
+            ["heatmap-density"],
+            0, "rgba(229, 106, 170, 0)",
+            0.3, "rgba(229, 106, 170, 0.6)",
+            1, "#ffe082"
+          ]
+        }
+      },
+      {
+        id: 'highlighted-edges',
+        type: 'line',
+        source: 'highlighted-edges',
+        // Neighbourhood edges set color and strength (0-1), other routes use the defaults
+        paint: {
+          "line-color": ["coalesce", ["get", "color"], "#e56aaa"],
+          "line-width": ["+", 0.5, ["*", 2.5, ["coalesce", ["get", "strength"], 0.6]]],
+          "line-opacity": ["+", 0.2, ["*", 0.75, ["coalesce", ["get", "strength"], 0.8]]]
         },
         layout: {
           "line-cap": "round",
@@ -210,12 +334,13 @@ export function getInitialMapStyle() {
         "source": "points-source",
         "paint": {
           "circle-color": currentColorTheme.circleColor,
+          // Ignored words dim. Zoom must stay the outermost input, so the case goes into the stops
           "circle-opacity": [
             "interpolate",
             ["linear"],
             ["zoom"],
-            5, 0.1,
-            15, 0.9
+            5, ["case", ["boolean", ["feature-state", "ignored"], false], 0.03, 0.1],
+            15, ["case", ["boolean", ["feature-state", "ignored"], false], 0.2, 0.9]
           ],
           "circle-stroke-color": currentColorTheme.circleStrokeColor,
           "circle-stroke-width": 1,
@@ -235,6 +360,25 @@ export function getInitialMapStyle() {
           ]
         }
       },
+      {
+        // Ring around starred words
+        "id": "starred-layer",
+        "type": "circle",
+        "source": "points-source",
+        "paint": {
+          "circle-opacity": 0,
+          "circle-stroke-color": "#f5b301",
+          "circle-stroke-width": 2.5,
+          "circle-stroke-opacity": ["case", ["boolean", ["feature-state", "starred"], false], 1, 0],
+          "circle-radius": [
+            "interpolate",
+            ["linear"],
+            ["zoom"],
+            5, ["+", ["*", ["get", "size"], 1.5], 3],
+            23, ["+", ["*", ["get", "size"], 2], 3],
+          ]
+        }
+      },
       {
         "id": "label-layer",
         "type": "symbol",
@@ -260,6 +404,7 @@ export function getInitialMapStyle() {
           "text-color": currentColorTheme.circleLabelsColor,
           "text-halo-color": currentColorTheme.circleLabelsHaloColor,
           "text-halo-width": currentColorTheme.circleLabelsHaloWidth,
+          "text-opacity": ["case", ["boolean", ["feature-state", "ignored"], false], 0.35, 1],
         },
       },
       {
@@ -0,0 +1,49 @@
+const SETTINGS_KEY = 'hsk-land-neighborhood';
+
+export const MAX_DEPTH = 3;
+
+const DEFAULT_SETTINGS = {
+  depth: 1,
+  minStrength: 0,
+  crossEdges: false
+};
+
+/**
+ * How much of a word's graph neighbourhood is highlighted on the map
+ */
+export const neighborhoodSettings = {
+  listeners: [],
+
+  /**
+   * @returns {Object} Depth in hops, weak link threshold (0-1) and whether to show links among neighbours
+   */
+  getSettings() {
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEY);
+      return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.warn('Failed to parse neighbourhood settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * @param {Object} changes - Settings to change
+   */
+  saveSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Failed to save neighbourhood settings:', error);
+    }
+    this.listeners.forEach(listener => listener(settings));
+  },
+
+  /**
+   * @param {Function} listener - Called with the new settings when they change
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+};
@@ -0,0 +1,108 @@
+import config from './config.js';
+import { getWordPoints } from './points.js';
+import { CACHE_NAMES } from './lib/cacheNames.js';
+
+const PARALLEL_REQUESTS = 6;
+
+/**
+ * Data files the map cannot start without. The service worker keeps them
+ * in its core cache.
+ */
+function getCoreUrls() {
+  return [
+    config.manifestUrl,
+    config.pointsSource,
+    config.placesSource,
+    config.regionsSource,
+    config.bordersSource,
+    config.graphFileUrl,
+    config.compactGraphUrl,
+    config.flashcardsUrl
+  ].filter(Boolean);
+}
+
+/**
+ * Registers the service worker and asks it to precache the core data of the
+ * current dataset. Does nothing in browsers without service workers.
+ */
+export async function registerServiceWorker() {
+  if (!isOfflineSupported()) return;
+
+  try {
+    await navigator.serviceWorker.register('./sw.js');
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'precache-core', urls: getCoreUrls() });
+  } catch (error) {
+    console.warn('Failed to register service worker:', error);
+  }
+}
+
+/**
+ * @returns {boolean} Whether this browser can cache the app for offline use
+ */
+export function isOfflineSupported() {
+  return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Downloads every card into the offline cache. Cards that are already cached
+ * are skipped, so an interrupted download can be resumed.
+ *
+ * @param {Function} [onProgress] - Called with (processedCount, totalCount)
+ * @returns {Promise<Object>} {downloaded, failed} card counts
+ */
+export async function downloadForOffline(onProgress) {
+  // Ask the browser not to evict our caches under storage pressure
+  if (navigator.storage?.persist) {
+    await navigator.storage.persist().catch(() => false);
+  }
+
+  const cache = await caches.open(CACHE_NAMES.cards);
+  const words = [...(await getWordPoints()).keys()];
+  let processed = 0;
+  let downloaded = 0;
+  let failed = 0;
+
+  for (let i = 0; i < words.length; i += PARALLEL_REQUESTS) {
+    const batch = words.slice(i, i + PARALLEL_REQUESTS);
+    const results = await Promise.all(batch.map(word => cacheCard(cache, word)));
+
+    results.forEach(result => {
+      if (result === 'downloaded') downloaded += 1;
+      if (result === 'failed') failed += 1;
+    });
+
+    processed += batch.length;
+    if (onProgress) onProgress(processed, words.length);
+  }
+
+  return { downloaded, failed };
+}
+
+async function cacheCard(cache, word) {
+  const url = `${config.cardsFolder}${word}.md`;
+  if (await cache.match(url)) return 'cached';
+
+  try {
+    await cache.add(url);
+    return 'downloaded';
+  } catch (error) {
+    console.warn(`Failed to download card for ${word}:`, error);
+    return 'failed';
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} {usage, quota} in bytes, or null if unknown
+ */
+export async function getStorageUsage() {
+  if (!navigator.storage?.estimate) return null;
+
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.warn('Failed to estimate storage usage:', error);
+    return null;
+  }
+}
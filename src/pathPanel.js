@@ -0,0 +1,268 @@
+import './pathPanel.css';
+import { getGraph, getNodeCoordinates } from './graph.js';
+import { wordStats } from './wordStats.js';
+import { fitToCoordinates } from './fitToCoordinates.js';
+import { findShortestPath, createTour } from './lib/graphPaths.js';
+
+const DEFAULT_TOUR_LENGTH = 10;
+const MAX_TOUR_LENGTH = 50;
+const START_COLOR = '#bf2072';
+const STEP_COLOR = '#e56aaa';
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Learning path panel: the shortest route through the word graph between two
+ * words, or a tour of new words next to the known ones. The route is drawn on
+ * the map and its cards are opened one after another.
+ */
+class PathPanel {
+  constructor() {
+    this.element = null;
+    this.map = null;
+    this.isOpen = false;
+    this.openWordCallback = null;
+    this.steps = [];
+    this.currentStep = -1;
+  }
+
+  /**
+   * Initialize the path panel
+   * @param {Object} map - MapLibre map instance
+   * @param {Function} openWordCallback - Opens a word card without changing highlighted nodes and edges
+   */
+  init(map, openWordCallback) {
+    this.map = map;
+    this.openWordCallback = openWordCallback;
+
+    this.element = document.createElement('div');
+    this.element.className = 'path-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.innerHTML = `
+      <div class="path-panel-content">
+        <button class="path close-btn" aria-label="Close learning path">&times;</button>
+        <h3>Learning Path</h3>
+        <form class="path-form">
+          <input type="text" class="path-input path-from" placeholder="From, e.g. 爱" aria-label="First word">
+          <input type="text" class="path-input path-to" placeholder="To, e.g. 生气" aria-label="Last word">
+          <button type="submit">Find path</button>
+        </form>
+        <form class="tour-form">
+          <label>
+            Tour of
+            <input type="number" class="tour-length" min="1" max="${MAX_TOUR_LENGTH}" value="${DEFAULT_TOUR_LENGTH}">
+            new words near the ones you know
+          </label>
+          <button type="submit">Create tour</button>
+        </form>
+        <div class="path-result"></div>
+      </div>
+    `;
+
+    this.element.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.element.querySelector('.path-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.findPath();
+    });
+    this.element.querySelector('.tour-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createTour();
+    });
+    this.element.querySelector('.path-result').addEventListener('click', (e) => {
+      if (e.target.closest('.path-prev')) this.showStep(this.currentStep - 1);
+      if (e.target.closest('.path-next')) this.showStep(this.currentStep + 1);
+
+      const step = e.target.closest('[data-step]');
+      if (step) this.showStep(Number(step.dataset.step));
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  open() {
+    if (!this.element) return this; // Map is not created yet
+
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    this.element.querySelector('.path-from').focus();
+    return this;
+  }
+
+  close() {
+    if (!this.element) return this;
+
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    this.clearMap();
+    return this;
+  }
+
+  async findPath() {
+    const from = this.element.querySelector('.path-from').value.trim();
+    const to = this.element.querySelector('.path-to').value.trim();
+    if (!from || !to) return;
+
+    const graph = await this.loadGraph();
+    if (!graph) return;
+
+    const missing = [from, to].find(word => !getNodeCoordinates(graph, word));
+    if (missing) {
+      this.renderMessage(`${missing} is not on the map.`);
+      return;
+    }
+
+    const path = findShortestPath(graph, from, to);
+    if (!path) {
+      this.renderMessage(`No path between ${from} and ${to}.`);
+      return;
+    }
+
+    const edges = path.slice(1).map((word, index) => ({ from: path[index], to: word }));
+    this.showRoute(graph, path, edges, `${path.length - 1} ${path.length === 2 ? 'step' : 'steps'} from ${from} to ${to}`);
+  }
+
+  async createTour() {
+    const input = this.element.querySelector('.tour-length');
+    const length = Math.min(MAX_TOUR_LENGTH, Math.max(1, Number(input.value) || DEFAULT_TOUR_LENGTH));
+    input.value = length;
+
+    const graph = await this.loadGraph();
+    if (!graph) return;
+
+    // Words the learner opened or marked as known count as known, ignored words are left out
+    const known = new Set([...Object.keys(wordStats.getHistory()), ...wordStats.getWordsWithStatus('known')]);
+    const ignored = new Set(wordStats.getWordsWithStatus('ignored'));
+    if (known.size === 0) {
+      this.renderMessage('Open some words on the map first, the tour starts next to them.');
+      return;
+    }
+
+    const tour = createTour(graph, known, {
+      length,
+      isCandidate: word => !ignored.has(word) && Boolean(getNodeCoordinates(graph, word))
+    });
+    if (tour.length === 0) {
+      this.renderMessage('No new words left next to the ones you know.');
+      return;
+    }
+
+    const edges = tour.map(({ word, via }) => ({ from: via, to: word }));
+    this.showRoute(graph, tour.map(({ word }) => word), edges, `Tour of ${tour.length} new ${tour.length === 1 ? 'word' : 'words'}`);
+  }
+
+  async loadGraph() {
+    try {
+      return await getGraph();
+    } catch (error) {
+      this.renderMessage('Failed to load the word graph.');
+      return null;
+    }
+  }
+
+  /**
+   * Draws a route and lists its words
+   * @param {Object} graph - ngraph instance
+   * @param {Array<string>} words - Words to step through, in order
+   * @param {Array<{from: string, to: string}>} edges - Links to draw
+   * @param {string} title - Summary of the route
+   */
+  showRoute(graph, words, edges, title) {
+    const getCoordinates = word => getNodeCoordinates(graph, word);
+    this.steps = words;
+    this.currentStep = -1;
+
+    this.map.getSource('highlighted-nodes').setData({
+      type: 'FeatureCollection',
+      features: words.map((word, index) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: getCoordinates(word) },
+        properties: { color: index === 0 ? START_COLOR : STEP_COLOR, size: 1.5 }
+      }))
+    });
+    this.map.getSource('highlighted-edges').setData({
+      type: 'FeatureCollection',
+      features: edges
+        .filter(({ from, to }) => getCoordinates(from) && getCoordinates(to))
+        .map(({ from, to }) => ({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: [getCoordinates(from), getCoordinates(to)] },
+          properties: {}
+        }))
+    });
+    this.map.getSource('highlighted-region').setData(EMPTY_COLLECTION);
+
+    // Tours start next to known words, keep those in view too
+    const shownWords = new Set([...words, ...edges.map(edge => edge.from)]);
+    fitToCoordinates(this.map, [...shownWords].map(getCoordinates).filter(Boolean), this.element);
+
+    this.element.querySelector('.path-result').innerHTML = `
+      <p class="path-summary"></p>
+      <div class="path-controls">
+        <button class="path-prev" aria-label="Previous word">&larr;</button>
+        <span class="path-position"></span>
+        <button class="path-next" aria-label="Next word">&rarr;</button>
+      </div>
+      <ol class="path-steps">
+        ${words.map((word, index) => `
+          <li><button class="path-step" data-step="${index}">${word}</button></li>
+        `).join('')}
+      </ol>
+    `;
+    this.element.querySelector('.path-summary').textContent = title;
+    this.updateControls();
+  }
+
+  /**
+   * Opens the card of a word of the route
+   * @param {number} index - Position of the word in the route
+   */
+  showStep(index) {
+    if (index < 0 || index >= this.steps.length) return;
+
+    this.currentStep = index;
+    this.updateControls();
+    if (this.openWordCallback) this.openWordCallback(this.steps[index]);
+  }
+
+  updateControls() {
+    const result = this.element.querySelector('.path-result');
+    result.querySelector('.path-prev').disabled = this.currentStep <= 0;
+    result.querySelector('.path-next').disabled = this.currentStep >= this.steps.length - 1;
+    result.querySelector('.path-position').textContent = this.currentStep >= 0
+      ? `${this.currentStep + 1} / ${this.steps.length}`
+      : 'Step through the cards with →';
+    result.querySelectorAll('.path-step').forEach(button => {
+      button.classList.toggle('current', Number(button.dataset.step) === this.currentStep);
+    });
+  }
+
+  renderMessage(message) {
+    this.steps = [];
+    this.currentStep = -1;
+    // Messages include words typed by the user
+    const paragraph = document.createElement('p');
+    paragraph.className = 'no-data';
+    paragraph.textContent = message;
+    this.element.querySelector('.path-result').replaceChildren(paragraph);
+  }
+
+  clearMap() {
+    if (this.steps.length === 0) return;
+
+    this.steps = [];
+    this.currentStep = -1;
+    this.element.querySelector('.path-result').innerHTML = '';
+    ['highlighted-nodes', 'highlighted-edges'].forEach(source => {
+      this.map.getSource(source)?.setData(EMPTY_COLLECTION);
+    });
+  }
+}
+
+// Create and export a singleton instance
+export const pathPanel = new PathPanel();
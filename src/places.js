@@ -0,0 +1,31 @@
+import config from './config.js';
+
+// Cache for the places to avoid multiple downloads
+let placesPromise = null;
+
+/**
+ * Fetches named places (countries and cities of the map)
+ * @returns {Promise<Array>} Places as {name, coordinates, symbolzoom}, biggest first
+ */
+export function getPlaces() {
+  if (!placesPromise) {
+    placesPromise = fetch(config.placesSource)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to fetch places ${config.placesSource}`);
+        return response.json();
+      })
+      .then(data => data.features
+        .filter(feature => feature.properties?.name && feature.geometry?.type === 'Point')
+        .map(feature => ({
+          name: feature.properties.name,
+          coordinates: feature.geometry.coordinates,
+          symbolzoom: feature.properties.symbolzoom ?? Infinity
+        }))
+        .sort((a, b) => a.symbolzoom - b.symbolzoom))
+      .catch(error => {
+        placesPromise = null; // Allow retrying later
+        throw error;
+      });
+  }
+  return placesPromise;
+}
@@ -0,0 +1,36 @@
+import config from './config.js';
+
+// Cache for the points to avoid multiple downloads
+let pointsCache = null;
+
+/**
+ * Fetches word points and indexes them by word
+ * @returns {Promise<Map>} Map of words to {coordinates, level, parent}
+ */
+export async function getWordPoints() {
+  if (pointsCache) {
+    return pointsCache;
+  }
+
+  try {
+    const response = await fetch(config.pointsSource);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch points ${config.pointsSource}`);
+    }
+    const data = await response.json();
+    const points = new Map();
+    data.features.forEach(feature => {
+      const { label, l, parent } = feature.properties;
+      points.set(label, {
+        coordinates: feature.geometry.coordinates,
+        level: l,
+        parent
+      });
+    });
+    pointsCache = points;
+    return pointsCache;
+  } catch (e) {
+    console.error('Failed to load points data:', e);
+    throw e;
+  }
+}
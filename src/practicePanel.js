@@ -0,0 +1,304 @@
+import './practicePanel.css';
+import config from './config.js';
+import { getGraph, getNodeWithNeighbors } from './graph.js';
+import { getWordPoints } from './points.js';
+import { getPlaces } from './places.js';
+import { getWordTitles } from './wordTitles.js';
+import { wordStats } from './wordStats.js';
+import { formatLevel } from './lib/datasetManifest.js';
+import { pickQuizWord } from './lib/mapQuiz.js';
+import { isServiceNode } from './lib/graphPaths.js';
+import { escapeHtml } from './lib/escapeHtml.js';
+import {
+  EXERCISES,
+  createQuestion,
+  checkPinyinAnswer,
+  getWordsOfPlace
+} from './lib/practiceQuestions.js';
+
+// How many of the last asked words are not asked again
+const RECENT_WORDS_COUNT = 10;
+// Places listed in the scope selector, biggest first
+const MAX_PLACES = 40;
+
+/**
+ * Practice panel: multiple-choice and typing exercises for words in the
+ * visible part of the map, a place or a level. Answers are recorded per word.
+ */
+class PracticePanel {
+  constructor() {
+    this.element = null;
+    this.map = null;
+    this.isOpen = false;
+    this.openWordCallback = null;
+    this.exercise = 'hanzi-meaning';
+    this.scope = 'viewport';
+    this.places = [];
+    this.customWords = null; // {title, words} picked elsewhere, e.g. related words of a card
+    this.question = null;
+    this.answered = false;
+    this.recent = [];
+    this.score = { correct: 0, total: 0 };
+  }
+
+  /**
+   * Initialize the practice panel
+   * @param {Object} map - MapLibre map instance
+   * @param {Function} openWordCallback - Opens a word card and flies to it
+   */
+  init(map, openWordCallback) {
+    this.map = map;
+    this.openWordCallback = openWordCallback;
+
+    this.element = document.createElement('div');
+    this.element.className = 'practice-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.innerHTML = `
+      <div class="practice-panel-content">
+        <button class="practice close-btn" aria-label="Close practice">&times;</button>
+        <h3>Practice</h3>
+        <div class="practice-options">
+          <select class="practice-exercise" aria-label="Exercise">
+            ${Object.entries(EXERCISES).map(([value, label]) => `
+              <option value="${value}">${label}</option>
+            `).join('')}
+          </select>
+          <select class="practice-scope" aria-label="Words to practice"></select>
+        </div>
+        <div class="practice-score"></div>
+        <div class="practice-question"></div>
+      </div>
+    `;
+
+    this.element.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.element.querySelector('.practice-exercise').addEventListener('change', (e) => {
+      this.exercise = e.target.value;
+      this.askNext();
+    });
+    this.element.querySelector('.practice-scope').addEventListener('change', (e) => {
+      this.scope = e.target.value;
+      this.askNext();
+    });
+    this.element.querySelector('.practice-question').addEventListener('click', (e) => {
+      const option = e.target.closest('[data-option]');
+      if (option) this.answer(option.dataset.option);
+
+      if (e.target.closest('.practice-next')) this.askNext();
+
+      const word = e.target.closest('.practice-open-card')?.dataset.word;
+      if (word && this.openWordCallback) this.openWordCallback(word);
+    });
+    this.element.querySelector('.practice-question').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.answered) this.askNext();
+      else this.answer(e.target.querySelector('.practice-input').value);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+      if (e.key === 'Escape') {
+        this.close();
+        return;
+      }
+      // Number keys pick options
+      const optionButton = this.element.querySelectorAll('[data-option]')[Number(e.key) - 1];
+      if (optionButton && !e.target.matches('input, select, textarea')) optionButton.click();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  open() {
+    if (!this.element) return this; // Map is not created yet
+
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    this.score = { correct: 0, total: 0 };
+    this.renderScopes().then(() => this.askNext());
+    return this;
+  }
+
+  /**
+   * Makes a list of words the practice scope, e.g. the related words of a card.
+   * Open the panel afterwards to start.
+   * @param {Array<string>} words - Words to practice
+   * @param {string} title - Name of the list in the scope selector
+   */
+  practiceWords(words, title) {
+    this.customWords = { title, words };
+    this.scope = 'custom';
+    this.recent = [];
+    return this;
+  }
+
+  close() {
+    if (!this.element) return this;
+
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    return this;
+  }
+
+  async renderScopes() {
+    try {
+      this.places = (await getPlaces()).slice(0, MAX_PLACES);
+    } catch (error) {
+      // Places are optional, viewport and levels still work
+      console.warn('Failed to load places for practice:', error);
+    }
+
+    const levels = config.dataset.levels;
+    const select = this.element.querySelector('.practice-scope');
+    select.innerHTML = `
+      ${this.customWords ? `<option value="custom">${escapeHtml(this.customWords.title)}</option>` : ''}
+      <option value="viewport">Visible on the map</option>
+      <optgroup label="Level">
+        ${levels.values.map(level => `
+          <option value="level:${level}">${formatLevel(levels, level)}</option>
+        `).join('')}
+      </optgroup>
+      ${this.places.length > 0 ? `
+        <optgroup label="Place">
+          ${this.places.map((place, index) => `<option value="place:${index}">${escapeHtml(place.name)}</option>`).join('')}
+        </optgroup>
+      ` : ''}
+    `;
+    select.value = this.scope;
+    // The picked place may be missing if places failed to load this time
+    if (select.value !== this.scope) {
+      this.scope = 'viewport';
+      select.value = this.scope;
+    }
+  }
+
+  /**
+   * @param {Map} points - Map of words to {coordinates, level}
+   * @returns {Array<string>} Words of the selected scope
+   */
+  getScopeWords(points) {
+    const [kind, value] = this.scope.split(':');
+
+    if (kind === 'custom' && this.customWords) {
+      return this.customWords.words.filter(word => points.has(word));
+    }
+    if (kind === 'level') {
+      return [...points.keys()].filter(word => points.get(word).level === Number(value));
+    }
+    if (kind === 'place' && this.places[value]) {
+      return getWordsOfPlace(this.places[value], this.places, points);
+    }
+
+    const bounds = this.map.getBounds();
+    return [...points.keys()].filter(word => bounds.contains(points.get(word).coordinates));
+  }
+
+  async askNext() {
+    this.answered = false;
+    const questionElement = this.element.querySelector('.practice-question');
+    this.renderScore();
+
+    try {
+      const [titles, points, graph] = await Promise.all([getWordTitles(), getWordPoints(), getGraph()]);
+      const field = this.exercise === 'pinyin' ? 'pinyin' : 'english';
+      const words = this.getScopeWords(points).filter(word => titles.get(word)?.[field]);
+
+      const word = pickQuizWord(words, new Set(this.recent));
+      if (!word) {
+        questionElement.innerHTML = '<p class="no-data">No words here. Move the map or pick another scope.</p>';
+        return;
+      }
+      this.recent = [word, ...this.recent].slice(0, RECENT_WORDS_COUNT);
+
+      const neighbors = (getNodeWithNeighbors(graph, word)?.neighbors || [])
+        .map(node => node.id)
+        .filter(id => !isServiceNode(id));
+      this.question = createQuestion(word, this.exercise, { neighbors, fallback: words, titles });
+      this.renderQuestion();
+    } catch (error) {
+      console.error('Failed to create a practice question:', error);
+      questionElement.innerHTML = '<p class="no-data">Failed to load practice words.</p>';
+    }
+  }
+
+  /**
+   * Checks an answer to the current question
+   * @param {string} answer - Picked word or typed pinyin
+   */
+  async answer(answer) {
+    if (!this.question || this.answered) return;
+    this.answered = true;
+
+    const { word, exercise } = this.question;
+    const title = (await getWordTitles()).get(word);
+    const correct = exercise === 'pinyin'
+      ? checkPinyinAnswer(answer, title.pinyin)
+      : answer === word;
+
+    wordStats.recordQuizResult(word, { quiz: exercise, correct });
+    this.score.total += 1;
+    if (correct) this.score.correct += 1;
+    this.renderScore();
+    this.renderAnswer(answer, correct, title);
+  }
+
+  renderScore() {
+    const { correct, total } = this.score;
+    this.element.querySelector('.practice-score').textContent = total > 0 ? `${correct} / ${total} correct` : '';
+  }
+
+  renderQuestion() {
+    const { prompt, hint, options, exercise } = this.question;
+    const questionElement = this.element.querySelector('.practice-question');
+
+    questionElement.innerHTML = `
+      <div class="practice-prompt ${exercise === 'meaning-hanzi' ? 'meaning' : ''}">${escapeHtml(prompt)}</div>
+      ${exercise === 'pinyin' ? `
+        <p class="practice-hint">${escapeHtml(hint || '')}</p>
+        <form class="practice-form">
+          <input type="text" class="practice-input" placeholder="pinyin, e.g. xue2xi2" autocomplete="off" aria-label="Pinyin">
+          <button type="submit">Check</button>
+        </form>
+      ` : `
+        <div class="practice-choices">
+          ${options.map(({ word, label }, index) => `
+            <button class="practice-choice" data-option="${escapeHtml(word)}"><small>${index + 1}</small> ${escapeHtml(label)}</button>
+          `).join('')}
+        </div>
+      `}
+    `;
+    questionElement.querySelector('.practice-input')?.focus();
+  }
+
+  renderAnswer(answer, correct, title) {
+    const { word, exercise } = this.question;
+    const questionElement = this.element.querySelector('.practice-question');
+
+    questionElement.querySelectorAll('[data-option]').forEach(button => {
+      button.disabled = true;
+      if (button.dataset.option === word) button.classList.add('correct');
+      else if (button.dataset.option === answer) button.classList.add('wrong');
+    });
+    if (exercise === 'pinyin') {
+      const input = questionElement.querySelector('.practice-input');
+      input.readOnly = true;
+      input.classList.add(correct ? 'correct' : 'wrong');
+    }
+
+    questionElement.insertAdjacentHTML('beforeend', `
+      <div class="practice-feedback ${correct ? 'correct' : 'wrong'}">
+        ${correct ? 'Correct!' : 'Not quite.'} ${escapeHtml(word)} <span>${escapeHtml(title.pinyin)} · ${escapeHtml(title.english)}</span>
+      </div>
+      <div class="practice-actions">
+        <button class="practice-open-card" data-word="${escapeHtml(word)}">Open card</button>
+        <button class="practice-next">Next</button>
+      </div>
+    `);
+    questionElement.querySelector('.practice-next').focus();
+  }
+}
+
+// Create and export a singleton instance
+export const practicePanel = new PracticePanel();
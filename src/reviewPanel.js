@@ -0,0 +1,201 @@
+import './reviewPanel.css';
+import { wordStats } from './wordStats.js';
+import { srs } from './srs.js';
+import { GRADES, previewInterval } from './lib/spacedRepetition.js';
+
+const GRADE_LABELS = {
+  again: 'Again',
+  hard: 'Hard',
+  good: 'Good',
+  easy: 'Easy'
+};
+
+/**
+ * Review session UI: walks the learner through due words one by one.
+ * The map flies to each word, the learner grades their recall, and only then
+ * the card is revealed in the sidebar.
+ */
+class ReviewPanel {
+  constructor() {
+    this.element = null;
+    this.isOpen = false;
+    this.queue = [];
+    this.position = 0;
+    this.answered = false;
+    this.showWord = null;
+    this.revealWord = null;
+    this.onGraded = null;
+  }
+
+  /**
+   * Initialize the review panel
+   * @param {Object} callbacks
+   * @param {Function} callbacks.showWord - Moves the map to a word without revealing its card
+   * @param {Function} callbacks.revealWord - Opens the card of a word in the sidebar
+   * @param {Function} callbacks.onGraded - Called after a word is graded
+   */
+  init({ showWord, revealWord, onGraded }) {
+    this.showWord = showWord;
+    this.revealWord = revealWord;
+    this.onGraded = onGraded;
+
+    this.element = document.createElement('div');
+    this.element.className = 'review-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-label', 'Review due words');
+
+    this.element.addEventListener('click', (e) => {
+      if (e.target.closest('.close-btn')) {
+        this.close();
+        return;
+      }
+      const gradeButton = e.target.closest('[data-grade]');
+      if (gradeButton) {
+        this.handleGrade(gradeButton.dataset.grade);
+        return;
+      }
+      if (e.target.closest('.review-next')) {
+        this.showNext();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  /**
+   * Gets the words that are due right now
+   * @returns {Array<string>} Due words
+   */
+  getDueWords() {
+    return srs.getDueWords(Object.keys(wordStats.getHistory()));
+  }
+
+  /**
+   * Start a new review session with every word that is currently due
+   */
+  open() {
+    this.queue = this.getDueWords();
+    this.position = 0;
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+
+    if (this.queue.length === 0) {
+      this.renderEmpty();
+      return this;
+    }
+
+    this.showCurrent();
+    return this;
+  }
+
+  close() {
+    if (!this.element) return this;
+
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    return this;
+  }
+
+  showCurrent() {
+    const word = this.queue[this.position];
+    this.answered = false;
+    this.renderPrompt(word);
+    if (this.showWord) this.showWord(word);
+  }
+
+  showNext() {
+    this.position += 1;
+    if (this.position >= this.queue.length) {
+      this.renderFinished();
+      return;
+    }
+    this.showCurrent();
+  }
+
+  /**
+   * Grade the current word and reveal its card
+   * @param {string} grade - One of 'again', 'hard', 'good', 'easy'
+   */
+  handleGrade(grade) {
+    if (this.answered) return;
+
+    const word = this.queue[this.position];
+    this.answered = true;
+    srs.grade(word, grade);
+
+    if (grade === 'again') {
+      // Failed words come back at the end of this session
+      this.queue.push(word);
+    }
+
+    if (this.revealWord) this.revealWord(word);
+    if (this.onGraded) this.onGraded(word);
+
+    this.renderAnswered(word);
+  }
+
+  renderPrompt(word) {
+    const card = srs.getCard(word);
+    const now = Date.now();
+
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <div class="review-word">${word}</div>
+      <p class="review-hint">Do you remember what it means?</p>
+      <div class="review-grades">
+        ${GRADES.map(grade => `
+          <button class="review-grade review-grade-${grade}" data-grade="${grade}">
+            ${GRADE_LABELS[grade]}
+            <small>${previewInterval(card, grade, now)}</small>
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderAnswered(word) {
+    const isLast = this.position + 1 >= this.queue.length;
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <div class="review-word">${word}</div>
+      <div class="review-grades">
+        <button class="review-next">${isLast ? 'Finish' : 'Next word'}</button>
+      </div>
+    `;
+  }
+
+  renderEmpty() {
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <p class="review-hint">Nothing to review right now. Explore the map to discover new words!</p>
+    `;
+  }
+
+  renderFinished() {
+    this.element.innerHTML = `
+      ${this.renderHeader()}
+      <p class="review-hint">All done! Come back later for the next reviews.</p>
+    `;
+  }
+
+  renderHeader() {
+    const progress = this.queue.length > 0
+      ? `${Math.min(this.position + 1, this.queue.length)} / ${this.queue.length}`
+      : '';
+    return `
+      <button class="close-btn" aria-label="Close review">&times;</button>
+      <div class="review-progress">${progress}</div>
+    `;
+  }
+}
+
+// Create and export a singleton instance
+export const reviewPanel = new ReviewPanel();
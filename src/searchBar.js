@@ -1,5 +1,11 @@
 import './searchBar.css';
 import { getGraph } from './graph.js';
+import config from './config.js';
+import { getWordTitles } from './wordTitles.js';
+import { createSearchIndex, search } from './lib/searchIndex.js';
+import { requestData } from './dataWorkerClient.js';
+import { isServiceNode } from './lib/graphPaths.js';
+import { createScriptRegex } from './lib/datasetManifest.js';
 
 class SearchBar {
   constructor() {
@@ -9,9 +15,12 @@ class SearchBar {
     this.searchButton = null;
     this.eventListeners = {};
     this.dropdownElement = null;
+    this.messageElement = null;
     this.suggestions = [];
     this.selectedIndex = -1;
     this.allNodes = [];
+    this.searchIndex = [];
+    this.titles = {}; // word -> {pinyin, english}
   }
 
   /**
@@ -45,13 +54,14 @@ class SearchBar {
     this.inputElement.type = 'search';
     this.inputElement.id = 'search-input';
     this.inputElement.className = 'search-input';
-    this.inputElement.placeholder = 'Search for Hanzi (汉字)...';
-    this.inputElement.setAttribute('aria-label', 'Search for a chinese character');
+    this.inputElement.placeholder = 'Search hanzi, pinyin or English...';
+    this.inputElement.setAttribute('aria-label', 'Search for a word by hanzi, pinyin or English');
     this.inputElement.setAttribute('autocomplete', 'off');
     
     // Add input event listener to toggle button icon and show autocomplete
     this.inputElement.addEventListener('input', (e) => {
       this.toggleButtonIcon();
+      this.hideMessage();
       this.updateAutocomplete(e.target.value);
     });
     
@@ -82,6 +92,23 @@ class SearchBar {
     this.dropdownElement.style.display = 'none';
     this.dropdownElement.setAttribute('role', 'listbox');
     
+    // Create container for "no match" messages with candidate words
+    this.messageElement = document.createElement('div');
+    this.messageElement.className = 'search-message';
+    this.messageElement.style.display = 'none';
+    this.messageElement.setAttribute('role', 'status');
+    this.messageElement.addEventListener('click', (e) => {
+      if (e.target.classList.contains('search-message-close')) {
+        this.hideMessage();
+        return;
+      }
+      const word = e.target.dataset.word;
+      if (!word) return;
+      this.setValue(word);
+      this.hideMessage();
+      this.searchCallback(word);
+    });
+    
     // Add click event listener to document to close dropdown when clicking outside
     document.addEventListener('click', (e) => {
       if (!this.element.contains(e.target)) {
@@ -95,13 +122,32 @@ class SearchBar {
     form.appendChild(this.searchButton);
     this.element.appendChild(form);
     this.element.appendChild(this.dropdownElement);
+    this.element.appendChild(this.messageElement);
     
-    // Load nodes from graph for autocomplete
-    this.loadNodesFromGraph();
+    // Build the autocomplete index of all words with their pinyin and English
+    this.loadSearchIndex();
     
     return this;
   }
   
+  /**
+   * Loads the search index built in the data worker. When workers fail, the
+   * index is built here: words from the graph first, enriched with pinyin and English later.
+   */
+  async loadSearchIndex() {
+    try {
+      this.searchIndex = await requestData('search-index', {
+        compactUrl: config.compactGraphUrl,
+        dotUrl: config.graphFileUrl,
+        flashcardsUrl: config.flashcardsUrl
+      });
+    } catch (error) {
+      console.warn('Failed to build the search index in a worker, building it on the page:', error);
+      await this.loadNodesFromGraph();
+      await this.loadTitles();
+    }
+  }
+
   /**
    * Load all nodes from the graph for autocomplete suggestions
    */
@@ -110,55 +156,54 @@ class SearchBar {
       const graph = await getGraph();
       this.allNodes = [];
       graph.forEachNode(node => {
-        if (typeof node.id === 'string' && node.id[0] !== '_') {
-          // Underscore prefixed nodes are service nodes, skip them
+        if (!isServiceNode(node.id)) {
           this.allNodes.push(node.id);
         }
       });
+      this.rebuildSearchIndex();
     } catch (error) {
       console.error('Failed to load nodes from graph:', error);
     }
   }
+
+  /**
+   * Load pinyin and English meaning of every word from the flashcard titles
+   */
+  async loadTitles() {
+    try {
+      const titles = await getWordTitles();
+      titles.forEach((title, word) => {
+        this.titles[word] = title;
+      });
+      this.rebuildSearchIndex();
+    } catch (error) {
+      // Search by hanzi still works without titles
+      console.error('Failed to load word titles for search:', error);
+    }
+  }
+
+  rebuildSearchIndex() {
+    this.searchIndex = createSearchIndex(this.allNodes.map(word => ({
+      word,
+      ...this.titles[word]
+    })));
+  }
   
   /**
    * Update the autocomplete dropdown based on input value
    * @param {string} inputValue - Current input value
    */
   updateAutocomplete(inputValue) {
-    const query = inputValue.trim().toLowerCase();
+    const query = inputValue.trim();
     
     if (!query) {
       this.hideDropdown();
       return;
     }
     
-    // Filter nodes based on input value with prioritization
-    const exactMatches = [];
-    const startsWithMatches = [];
-    const containsMatches = [];
+    // Ranked matches by hanzi, pinyin (with or without tones) and English
     const maxSuggestions = 10;
-    
-    // First pass - collect different match types with priority
-    for (const node of this.allNodes) {
-      const nodeLower = node.toLowerCase();
-      
-      if (nodeLower === query) {
-        exactMatches.push(node);
-      } else if (nodeLower.startsWith(query)) {
-        startsWithMatches.push(node);
-        if (exactMatches.length + startsWithMatches.length >= maxSuggestions) break;
-      } else if (nodeLower.includes(query)) {
-        containsMatches.push(node);
-        if (exactMatches.length + startsWithMatches.length + containsMatches.length >= maxSuggestions) break;
-      }
-    }
-    
-    // Combine matches in priority order
-    this.suggestions = [
-      ...exactMatches,
-      ...startsWithMatches,
-      ...containsMatches
-    ].slice(0, maxSuggestions);
+    this.suggestions = search(this.searchIndex, query, maxSuggestions);
     
     if (this.suggestions.length === 0) {
       this.hideDropdown();
@@ -182,16 +227,34 @@ class SearchBar {
     this.suggestions.forEach((suggestion, index) => {
       const item = document.createElement('div');
       item.className = 'dropdown-item';
-      item.textContent = suggestion;
       item.setAttribute('role', 'option');
       item.dataset.index = index;
       
+      const word = document.createElement('span');
+      word.className = 'dropdown-word';
+      word.textContent = suggestion.word;
+      item.appendChild(word);
+      
+      if (suggestion.pinyin) {
+        const pinyin = document.createElement('span');
+        pinyin.className = 'dropdown-pinyin';
+        pinyin.textContent = suggestion.pinyin;
+        item.appendChild(pinyin);
+      }
+      
+      if (suggestion.english) {
+        const gloss = document.createElement('span');
+        gloss.className = 'dropdown-gloss';
+        gloss.textContent = suggestion.english;
+        item.appendChild(gloss);
+      }
+      
       // Add event listeners
       item.addEventListener('click', () => {
-        this.setValue(suggestion);
+        this.setValue(suggestion.word);
         this.hideDropdown();
         this.focus();
-        this.searchCallback(suggestion);
+        this.searchCallback(suggestion.word);
       });
       
       item.addEventListener('mouseenter', () => {
@@ -202,6 +265,84 @@ class SearchBar {
     });
   }
   
+  /**
+   * Tell the user that nothing matched the search and offer close candidates
+   * @param {string} query - The search term that had no match
+   * @param {Object} candidates - Groups of candidate words (see findSimilarWords)
+   */
+  showNoMatch(query, candidates) {
+    const { segments = [], containing = [], sharingCharacters = [], neighbors = [] } = candidates;
+    const groups = [
+      ['Contains', containing],
+      ['Shares a character', sharingCharacters],
+      ['Related', neighbors]
+    ].filter(([, words]) => words.length > 0);
+
+    this.messageElement.innerHTML = '';
+    
+    const title = document.createElement('div');
+    title.className = 'search-message-title';
+    title.textContent = `No exact match for "${query}"`;
+    this.messageElement.appendChild(title);
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'search-message-close';
+    closeButton.setAttribute('aria-label', 'Close message');
+    closeButton.innerHTML = '&times;';
+    this.messageElement.appendChild(closeButton);
+    
+    if (segments.length > 0) {
+      const row = this.createMessageRow('Split into words');
+      segments.forEach(({ text, isWord }) => {
+        row.appendChild(isWord ? this.createWordChip(text) : document.createTextNode(text));
+      });
+      this.messageElement.appendChild(row);
+    }
+    
+    groups.forEach(([label, words]) => {
+      const row = this.createMessageRow(label);
+      words.forEach(word => row.appendChild(this.createWordChip(word)));
+      this.messageElement.appendChild(row);
+    });
+    
+    if (segments.length === 0 && groups.length === 0) {
+      const row = this.createMessageRow('No similar words found');
+      this.messageElement.appendChild(row);
+    }
+    
+    this.hideDropdown();
+    this.messageElement.style.display = 'block';
+  }
+  
+  createMessageRow(label) {
+    const row = document.createElement('div');
+    row.className = 'search-message-row';
+    const labelElement = document.createElement('span');
+    labelElement.className = 'search-message-label';
+    labelElement.textContent = label;
+    row.appendChild(labelElement);
+    return row;
+  }
+  
+  createWordChip(word) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'search-message-word';
+    chip.dataset.word = word;
+    chip.textContent = word;
+    return chip;
+  }
+  
+  /**
+   * Hide the "no match" message
+   */
+  hideMessage() {
+    if (this.messageElement) {
+      this.messageElement.style.display = 'none';
+    }
+  }
+  
   /**
    * Show the dropdown
    */
@@ -280,7 +421,7 @@ class SearchBar {
       case 'Enter':
         if (this.selectedIndex >= 0) {
           e.preventDefault();
-          let selectedItem = this.suggestions[this.selectedIndex];
+          let selectedItem = this.suggestions[this.selectedIndex].word;
           this.setValue(selectedItem);
           this.hideDropdown();
           this.searchCallback(selectedItem);
@@ -339,7 +480,15 @@ class SearchBar {
    */
   handleSubmit(e) {
     e.preventDefault();
-    const searchTerm = this.inputElement.value.trim();
+    let searchTerm = this.inputElement.value.trim();
+    
+    // Pinyin or English input: go to the best suggestion. Hanzi input is
+    // passed as is, so the callback can offer close candidates when nothing matches
+    const isHanzi = createScriptRegex(config.dataset.script).test(searchTerm);
+    if (!isHanzi && this.suggestions.length > 0) {
+      searchTerm = this.suggestions[0].word;
+      this.setValue(searchTerm);
+    }
     
     if (searchTerm && this.searchCallback) {
       this.hideDropdown();
@@ -358,6 +507,7 @@ class SearchBar {
     }
     
     this.hideDropdown();
+    this.hideMessage();
   }
   
   /**
@@ -0,0 +1,140 @@
+/**
+ * Service worker that keeps HSK Land usable without a network connection.
+ *
+ * Built into sw.js by the service worker plugin in vite.config.js, which
+ * defines CACHE_NAMES (see src/lib/cacheNames.js) and BUILD_ASSETS, the hashed
+ * scripts and styles of the build, before this code.
+ *
+ * - The app shell and build assets are precached on install, so the app
+ *   starts offline after the first visit.
+ * - Core data (graph, GeoJSON, flashcard titles) is precached when the page
+ *   sends a `precache-core` message with the URLs of the current dataset,
+ *   and is served network-first so updates still come through.
+ * - Cards, images, raster tiles and glyphs are cached at runtime (cache-first).
+ *
+ * src/offline.js fills the cards cache when the user downloads everything
+ * for offline use.
+ */
+
+const {
+  app: APP_CACHE,
+  core: CORE_CACHE,
+  cards: CARDS_CACHE,
+  images: IMAGES_CACHE,
+  tiles: TILES_CACHE
+} = CACHE_NAMES;
+
+const CURRENT_CACHES = Object.values(CACHE_NAMES);
+
+const APP_SHELL = ['./', './index.html', './manifest.webmanifest', './logo.png'];
+
+// Core data URLs sent by the page (getCoreUrls() in src/offline.js). A restarted
+// worker doesn't know them until the page sends them again, so the default
+// file names are matched by pattern too
+const coreUrls = new Set();
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll([...APP_SHELL, ...BUILD_ASSETS]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith('lang-land-') && !CURRENT_CACHES.includes(name))
+          .map(name => caches.delete(name))
+      ))
+      .then(pruneBuildAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+  if (type === 'precache-core' && Array.isArray(urls)) {
+    event.waitUntil(precacheCore(urls));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const cacheName = getRuntimeCacheName(new URL(request.url));
+  if (!cacheName) return;
+
+  if (cacheName === CORE_CACHE || cacheName === APP_CACHE) {
+    event.respondWith(networkFirst(request, cacheName));
+  } else {
+    event.respondWith(cacheFirst(request, cacheName));
+  }
+});
+
+/**
+ * Decides where a response should be cached, or returns null to let the
+ * browser handle the request as usual (analytics, etc.)
+ */
+function getRuntimeCacheName(url) {
+  const { pathname } = url;
+
+  if (pathname.includes('/cards/') && pathname.endsWith('.md')) return CARDS_CACHE;
+  if (pathname.includes('/hanzi/')) return CARDS_CACHE;
+  if (pathname.includes('/tiles/') || pathname.endsWith('.pbf')) return TILES_CACHE;
+  if (pathname.includes('/images_optimized/') || pathname.includes('/audio/')) return IMAGES_CACHE;
+  if (coreUrls.has(url.href)) return CORE_CACHE;
+  if (/\.(geojson|dot)$/.test(pathname) || /\/(flashcards|manifest|datasets|graph)\.json$/.test(pathname)) return CORE_CACHE;
+  if (url.origin === self.location.origin) return APP_CACHE;
+
+  return null;
+}
+
+// Assets of older builds have other hashes and are never requested again
+async function pruneBuildAssets() {
+  const cache = await caches.open(APP_CACHE);
+  const current = new Set(BUILD_ASSETS.map(url => new URL(url, self.location.href).href));
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => new URL(request.url).pathname.includes('/assets/') && !current.has(request.url))
+    .map(request => cache.delete(request)));
+}
+
+async function precacheCore(urls) {
+  urls.forEach(url => coreUrls.add(new URL(url, self.location.href).href));
+  const cache = await caches.open(CORE_CACHE);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      await cache.add(url);
+    } catch (error) {
+      console.warn(`Failed to precache ${url}:`, error);
+    }
+  }));
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+}
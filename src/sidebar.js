@@ -1,23 +1,29 @@
 import { marked } from 'marked';
 import config from './config.js';
 
-import { getGraph } from './graph.js';
+import { getGraph, getNodeCoordinates } from './graph.js';
 import turnChineseWordsIntoLinks from './lib/turnChineseWordsIntoLinks.js';
+import { createEditLink } from './lib/datasetManifest.js';
+import { getHashParam, setHashParam } from './lib/hashParams.js';
 import { searchBar } from './searchBar.js';
+import { renderFlashcard } from './flashcardView.js';
+import { speech } from './speech.js';
+import { characterPanel } from './characterPanel.js';
+import { hasHanziData } from './hanziData.js';
+import { wordStats } from './wordStats.js';
+import { WORD_STATUSES } from './lib/wordStatus.js';
+import { neighborhoodSettings, MAX_DEPTH } from './neighborhoodSettings.js';
+import { getRelatedWords } from './lib/neighborhood.js';
+import { getWordTitles } from './wordTitles.js';
+
+// Name of the location hash parameter with the open word (#word=学习)
+const WORD_PARAM = 'word';
+// Graph neighbours listed under the card
+const MAX_RELATED_WORDS = 20;
 
 let graph = null;
 let rerenderWhenGraphReady = null;
 
-// preemptively load the graph
-getGraph().then(g => {
-  graph = g;
-  // If we had a pending render, do it now
-  if (rerenderWhenGraphReady) {
-    rerenderWhenGraphReady();
-    rerenderWhenGraphReady = null; // Clear the pending render
-  }
-});
-
 class Sidebar {
   constructor() {
     this.isOpen = false;
@@ -29,6 +35,20 @@ class Sidebar {
     this.baseFontSize = 16; // Default font size in pixels
     this.currentFontSize = this.baseFontSize;
     
+    // Words opened in the sidebar. Each one is also a browser history entry,
+    // so the browser's back button walks the same stack.
+    this.history = [];
+    this.historyIndex = -1;
+    this.historyCallback = null;
+    this.practiceCallback = null;
+
+    // Card layout preferences, kept while moving between words
+    this.cardOptions = {
+      collapsedSections: new Set(),
+      showPinyin: true,
+      showTranslation: true
+    };
+    
     // Global escape key handler
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.isOpen) {
@@ -36,6 +56,20 @@ class Sidebar {
       }
     });
 
+    // Alt+Left / Alt+Right walk through visited words
+    document.addEventListener('keydown', (e) => {
+      if (!e.altKey || e.target.closest('input, textarea')) return;
+      if (e.key === 'ArrowLeft' && this.canGoBack()) {
+        e.preventDefault();
+        this.back();
+      } else if (e.key === 'ArrowRight' && this.canGoForward()) {
+        e.preventDefault();
+        this.forward();
+      }
+    });
+
+    window.addEventListener('popstate', (e) => this.handlePopState(e.state));
+
     // Listen for search bar clear events to close sidebar
     searchBar.on('clear', () => {
       if (this.isOpen) {
@@ -44,6 +78,22 @@ class Sidebar {
     });
   }
   
+  /**
+   * Preemptively loads the graph for links between words. Call it once the
+   * dataset manifest is loaded, so the graph of the right dataset is used.
+   */
+  loadGraph() {
+    getGraph().then(g => {
+      graph = g;
+      // If we had a pending render, do it now
+      if (rerenderWhenGraphReady) {
+        rerenderWhenGraphReady();
+        rerenderWhenGraphReady = null; // Clear the pending render
+      }
+    });
+    return this;
+  }
+
   initialize() {
     // Create sidebar element
     this.element = document.createElement('div');
@@ -56,9 +106,13 @@ class Sidebar {
     
     // Create font size control
     this.createFontSizeControl();
+    this.createSpeechSettings();
+    this.createNeighborhoodSettings();
     
     // Add elements to sidebar
     this.element.appendChild(this.contentElement);
+    if (this.speechSettings) this.element.appendChild(this.speechSettings);
+    this.element.appendChild(this.neighborhoodSettings);
     this.element.appendChild(this.fontSizeControl);
     
     // Add to DOM
@@ -69,17 +123,79 @@ class Sidebar {
     
     // Handle clicks on word links inside the sidebar
     this.element.addEventListener('click', (e) => {
-      if (e.target.tagName !== 'A' || !e.target.hasAttribute('data-word')) {
-        return;
-      }
-      const word = e.target.getAttribute('data-word');
+      const link = e.target.closest('a[data-word]');
+      if (!link) return;
+
+      const word = link.getAttribute('data-word');
       if (this.openNewWordCallback) {
-        const coordinates = graph.getNode(word)?.data?.l?.split(',').map(Number);
+        const coordinates = getNodeCoordinates(graph, word);
         this.openNewWordCallback(word, coordinates);
         this.open(word, this.openNewWordCallback);
         e.preventDefault();
       }
     });
+
+    // Show or hide pinyin and translation of examples
+    this.element.addEventListener('click', (e) => {
+      const toggle = e.target.closest('.example-toggle');
+      if (!toggle) return;
+
+      const option = toggle.dataset.toggle === 'pinyin' ? 'showPinyin' : 'showTranslation';
+      this.cardOptions[option] = !this.cardOptions[option];
+      toggle.setAttribute('aria-pressed', this.cardOptions[option]);
+      this.element.querySelector('.flashcard-examples')
+        .classList.toggle(`hide-${toggle.dataset.toggle}`, !this.cardOptions[option]);
+    });
+
+    // Read the word or an example aloud
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('.speak-btn');
+      if (!button) return;
+
+      const settings = speech.getSettings();
+      const repeat = button.dataset.example && settings.shadowing ? settings.shadowingRepeats : 1;
+      button.classList.add('speaking');
+      speech.speak(button.dataset.speak, { audioFile: button.dataset.audio, repeat })
+        .catch((error) => {
+          button.classList.add('speak-unavailable');
+          button.title = error.message;
+        })
+        .finally(() => button.classList.remove('speaking'));
+    });
+
+    // Set status flags of the open word
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('.word-status-btn');
+      if (!button) return;
+
+      wordStats.setStatus(button.closest('.word-status-bar').dataset.word, button.dataset.status);
+    });
+    // Statuses can also change in the stats table
+    wordStats.onStatusChange((word, statuses) => {
+      const bar = this.element.querySelector('.word-status-bar');
+      if (bar?.dataset.word === word) updateStatusBar(bar, statuses);
+    });
+
+    // Practice the related words of the open word
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('.related-practice-btn');
+      if (!button || !this.practiceCallback) return;
+
+      const words = [...this.element.querySelectorAll('.related-word a[data-word]')].map(link => link.dataset.word);
+      this.practiceCallback(words, `Related to ${button.dataset.word}`);
+    });
+
+    // Remember collapsed sections. `toggle` doesn't bubble, so listen on capture
+    this.element.addEventListener('toggle', (e) => {
+      const section = e.target.dataset?.section;
+      if (!section) return;
+
+      if (e.target.open) {
+        this.cardOptions.collapsedSections.delete(section);
+      } else {
+        this.cardOptions.collapsedSections.add(section);
+      }
+    }, true);
     return this;
   }
   
@@ -135,6 +251,9 @@ class Sidebar {
       return this;
     }
 
+    this.pushHistory(label);
+    speech.stop();
+
     this.lastLabel = label;
     if (!this.element) this.initialize();
     this.openNewWordCallback = openNewWordCallback;
@@ -163,6 +282,13 @@ class Sidebar {
     this.element.classList.remove('open');
     this.element.setAttribute('aria-hidden', 'true');
     searchBar.clear();
+    speech.stop();
+
+    // Closed card should not reopen on reload
+    if (this.getWordFromUrl()) {
+      const url = setHashParam(window.location.hash, WORD_PARAM, null) || window.location.pathname + window.location.search;
+      window.history.replaceState(window.history.state, '', url);
+    }
     
     return this;
   }
@@ -170,6 +296,95 @@ class Sidebar {
   toggle(label) {
     return this.isOpen ? this.close() : this.open(label);
   }
+
+  /**
+   * Sets the function that shows a word when the user navigates back or
+   * forward. It should open the word in the sidebar and move the map to it.
+   * @param {Function} callback - Called with the word
+   */
+  setHistoryCallback(callback) {
+    this.historyCallback = callback;
+  }
+
+  /**
+   * Sets the function that starts a practice session with the related words of a card
+   * @param {Function} callback - Called with the words and a title for them
+   */
+  setPracticeCallback(callback) {
+    this.practiceCallback = callback;
+  }
+
+  /**
+   * @returns {string|null} Word from the page URL (#word=...), if any
+   */
+  getWordFromUrl() {
+    return getHashParam(window.location.hash, WORD_PARAM);
+  }
+
+  canGoBack() {
+    return this.historyIndex > 0;
+  }
+
+  canGoForward() {
+    return this.historyIndex < this.history.length - 1;
+  }
+
+  back() {
+    if (this.canGoBack()) window.history.back();
+  }
+
+  forward() {
+    if (this.canGoForward()) window.history.forward();
+  }
+
+  pushHistory(label) {
+    if (!label || this.history[this.historyIndex] === label) return;
+
+    this.history = this.history.slice(0, this.historyIndex + 1);
+    this.history.push(label);
+    this.historyIndex = this.history.length - 1;
+
+    const state = { word: label, history: this.history.slice() };
+    const url = setHashParam(window.location.hash, WORD_PARAM, label) || window.location.pathname + window.location.search;
+    if (getHashParam(window.location.hash, WORD_PARAM) === label) {
+      // Opened from a deep link, the URL already points to this word
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+    this.updateHistoryButtons();
+  }
+
+  handlePopState(state) {
+    if (!state || !state.word) {
+      // Back to the page before any word was opened
+      this.historyIndex = -1;
+      this.updateHistoryButtons();
+      if (this.isOpen) this.close();
+      return;
+    }
+
+    const savedHistory = state.history || [state.word];
+    const index = savedHistory.length - 1;
+    if (this.history[index] !== state.word) {
+      // Page was reloaded, or the stack was rewritten. Trust the saved one
+      this.history = savedHistory.slice();
+    }
+    this.historyIndex = index;
+    this.updateHistoryButtons();
+
+    if (this.historyCallback) {
+      this.historyCallback(state.word);
+    } else {
+      this.open(state.word, this.openNewWordCallback);
+    }
+  }
+
+  updateHistoryButtons() {
+    if (!this.backButton) return;
+    this.backButton.disabled = !this.canGoBack();
+    this.forwardButton.disabled = !this.canGoForward();
+  }
   
   async showContentForLabel(label) {
     // Show welcome content when no specific label is provided
@@ -220,14 +435,26 @@ class Sidebar {
       html += `<img src="${config.imagesFolder}/${label}.webp" alt="${label}" class="sidebar-image" onerror="this.style.display='none'">`;
     }
     
+    let linkWords = text => text;
     if (graph) {
-      content = turnChineseWordsIntoLinks(content, graph)
+      linkWords = text => turnChineseWordsIntoLinks(text, graph, {
+        script: config.dataset.script,
+        getLink: word => createEditLink(config.dataset.editLink, word)
+      });
     } else {
       rerenderWhenGraphReady = this.renderContent.bind(this, label, content);
       // Render without links first if graph is not ready
     }
-    // Render markdown content
-    html += marked.parse(content);
+    if (label) html += renderStatusBar(label);
+    html += this.renderCard(label, content, linkWords);
+
+    if (label && graph) {
+      html += '<div class="related-words-slot"></div>';
+    }
+
+    if (label && hasHanziData()) {
+      html += '<div class="character-panel-slot"></div>';
+    }
     
     // Add feedback link only if there's valid content (not during loading)
     if (content && content !== 'No information available for this item.' && label) {
@@ -242,12 +469,103 @@ class Sidebar {
     // Replace content directly
     this.contentElement.innerHTML = '';
     this.contentElement.appendChild(container);
+
+    const relatedSlot = container.querySelector('.related-words-slot');
+    if (relatedSlot) this.renderRelatedWords(relatedSlot, label);
+
+    const characterSlot = container.querySelector('.character-panel-slot');
+    if (characterSlot) {
+      characterPanel.render(characterSlot, label, {
+        collapsed: this.cardOptions.collapsedSections.has('characters')
+      });
+    }
+  }
+
+  /**
+   * Lists graph neighbours of a word, most similar first, with their meaning
+   * and whether the learner has seen them
+   * @param {HTMLElement} slot - Element to render into
+   * @param {string} label - Word of the card
+   */
+  async renderRelatedWords(slot, label) {
+    const related = getRelatedWords(graph, label).slice(0, MAX_RELATED_WORDS);
+    if (related.length === 0) return;
+
+    let titles = new Map();
+    try {
+      titles = await getWordTitles();
+    } catch (error) {
+      // Related words are still useful without their meaning
+      console.warn('Failed to load word titles:', error);
+    }
+    if (!slot.isConnected) return; // Another word was opened meanwhile
+
+    const seen = wordStats.getHistory();
+    const statuses = wordStats.getStatuses();
+    const collapsed = this.cardOptions.collapsedSections.has('related');
+    slot.innerHTML = `
+      <details class="flashcard-section related-words" data-section="related" ${collapsed ? '' : 'open'}>
+        <summary>Related words</summary>
+        <div class="flashcard-section-body">
+          <ul class="related-words-list">
+            ${related.map(({ word }) => {
+              const title = titles.get(word);
+              const status = statuses[word]?.includes('known') ? 'known' : (seen[word] ? 'seen' : 'new');
+              return `
+                <li class="related-word">
+                  <a href="#" data-word="${word}">${word}</a>
+                  ${title ? `<span class="related-pinyin">${title.pinyin}</span> <span class="related-gloss">${title.english}</span>` : ''}
+                  <span class="related-status ${status}">${RELATED_STATUS_LABELS[status]}</span>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+          ${this.practiceCallback ? `
+            <button class="related-practice-btn" data-word="${label}">Quiz me on these words</button>
+          ` : ''}
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Renders the card with the structured layout. Cards that don't follow
+   * the usual format are shown as plain markdown.
+   */
+  renderCard(label, content, linkWords) {
+    try {
+      const cardHtml = label && renderFlashcard(label, content, {
+        linkWords,
+        speakable: speech.isSupported(),
+        ...this.cardOptions
+      });
+      if (cardHtml) return cardHtml;
+    } catch (error) {
+      console.warn(`Failed to render structured card for ${label}:`, error);
+    }
+    return marked.parse(linkWords(content));
   }
 
   createFontSizeControl() {
     this.fontSizeControl = document.createElement('div');
     this.fontSizeControl.className = 'font-size-control';
     
+    // History navigation
+    this.backButton = document.createElement('button');
+    this.backButton.className = 'history-btn';
+    this.backButton.innerHTML = '&larr;';
+    this.backButton.title = 'Previous word (Alt+←)';
+    this.backButton.setAttribute('aria-label', 'Previous word');
+    this.backButton.addEventListener('click', () => this.back());
+
+    this.forwardButton = document.createElement('button');
+    this.forwardButton.className = 'history-btn';
+    this.forwardButton.innerHTML = '&rarr;';
+    this.forwardButton.title = 'Next word (Alt+→)';
+    this.forwardButton.setAttribute('aria-label', 'Next word');
+    this.forwardButton.addEventListener('click', () => this.forward());
+    this.updateHistoryButtons();
+    
     // Label
     const label = document.createElement('span');
     label.className = 'font-size-label';
@@ -275,9 +593,151 @@ class Sidebar {
       slider.value = this.baseFontSize;
     });
     
+    this.fontSizeControl.appendChild(this.backButton);
+    this.fontSizeControl.appendChild(this.forwardButton);
     this.fontSizeControl.appendChild(label);
     this.fontSizeControl.appendChild(slider);
     this.fontSizeControl.appendChild(resetBtn);
+
+    if (speech.isSupported()) {
+      const voiceBtn = document.createElement('button');
+      voiceBtn.className = 'font-size-reset speech-settings-toggle';
+      voiceBtn.textContent = 'Voice';
+      voiceBtn.setAttribute('aria-label', 'Pronunciation settings');
+      voiceBtn.addEventListener('click', () => this.toggleSpeechSettings());
+      this.fontSizeControl.appendChild(voiceBtn);
+    }
+
+    const linksBtn = document.createElement('button');
+    linksBtn.className = 'font-size-reset';
+    linksBtn.textContent = 'Links';
+    linksBtn.setAttribute('aria-label', 'Highlighted neighbours settings');
+    linksBtn.addEventListener('click', () => {
+      this.neighborhoodSettings.hidden = !this.neighborhoodSettings.hidden;
+    });
+    this.fontSizeControl.appendChild(linksBtn);
+  }
+
+  /**
+   * Depth, weak link threshold and links among neighbours of the highlighted word
+   */
+  createNeighborhoodSettings() {
+    const settings = neighborhoodSettings.getSettings();
+    this.neighborhoodSettings = document.createElement('div');
+    this.neighborhoodSettings.className = 'speech-settings neighborhood-settings';
+    this.neighborhoodSettings.hidden = true;
+    this.neighborhoodSettings.innerHTML = `
+      <label class="speech-setting">
+        <span>Depth</span>
+        <select class="neighborhood-depth">
+          ${Array.from({ length: MAX_DEPTH }, (_, index) => index + 1).map(depth => `
+            <option value="${depth}" ${depth === settings.depth ? 'selected' : ''}>${depth} ${depth === 1 ? 'hop' : 'hops'}</option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="speech-setting" title="Hide links weaker than this share of the strongest link of the word">
+        <span>Hide weak links</span>
+        <input type="range" class="neighborhood-strength" min="0" max="0.9" step="0.1" value="${settings.minStrength}">
+        <span class="neighborhood-strength-value">${Math.round(settings.minStrength * 100)}%</span>
+      </label>
+      <label class="speech-setting">
+        <input type="checkbox" class="neighborhood-cross" ${settings.crossEdges ? 'checked' : ''}>
+        <span>Show links among neighbours</span>
+      </label>
+    `;
+
+    this.neighborhoodSettings.querySelector('.neighborhood-depth').addEventListener('change', (e) => {
+      neighborhoodSettings.saveSettings({ depth: Number(e.target.value) });
+    });
+    this.neighborhoodSettings.querySelector('.neighborhood-strength').addEventListener('change', (e) => {
+      neighborhoodSettings.saveSettings({ minStrength: Number(e.target.value) });
+    });
+    this.neighborhoodSettings.querySelector('.neighborhood-strength').addEventListener('input', (e) => {
+      this.neighborhoodSettings.querySelector('.neighborhood-strength-value').textContent =
+        `${Math.round(Number(e.target.value) * 100)}%`;
+    });
+    this.neighborhoodSettings.querySelector('.neighborhood-cross').addEventListener('change', (e) => {
+      neighborhoodSettings.saveSettings({ crossEdges: e.target.checked });
+    });
+  }
+
+  /**
+   * @returns {string|null} Word shown in the sidebar
+   */
+  getCurrentWord() {
+    return this.history[this.historyIndex] ?? null;
+  }
+
+  /**
+   * Voice, speed and shadowing settings for reading cards aloud
+   */
+  createSpeechSettings() {
+    if (!speech.isSupported()) return;
+
+    const settings = speech.getSettings();
+    this.speechSettings = document.createElement('div');
+    this.speechSettings.className = 'speech-settings';
+    this.speechSettings.hidden = true;
+    this.speechSettings.innerHTML = `
+      <label class="speech-setting">
+        <span>Voice</span>
+        <select class="speech-voice"></select>
+      </label>
+      <label class="speech-setting">
+        <span>Speed</span>
+        <input type="range" class="speech-rate" min="0.5" max="1.5" step="0.1" value="${settings.rate}">
+        <span class="speech-rate-value">${settings.rate}×</span>
+      </label>
+      <label class="speech-setting">
+        <input type="checkbox" class="speech-shadowing" ${settings.shadowing ? 'checked' : ''}>
+        <span>Shadowing: repeat examples</span>
+        <input type="number" class="speech-repeats" min="2" max="10" value="${settings.shadowingRepeats}">
+        <span>times</span>
+      </label>
+      <p class="speech-note" hidden></p>
+    `;
+
+    this.speechSettings.querySelector('.speech-voice').addEventListener('change', (e) => {
+      speech.saveSettings({ voiceURI: e.target.value });
+    });
+    this.speechSettings.querySelector('.speech-rate').addEventListener('input', (e) => {
+      const rate = Number(e.target.value);
+      speech.saveSettings({ rate });
+      this.speechSettings.querySelector('.speech-rate-value').textContent = `${rate}×`;
+    });
+    this.speechSettings.querySelector('.speech-shadowing').addEventListener('change', (e) => {
+      speech.saveSettings({ shadowing: e.target.checked });
+    });
+    this.speechSettings.querySelector('.speech-repeats').addEventListener('change', (e) => {
+      const repeats = Math.min(10, Math.max(2, Math.round(Number(e.target.value)) || 2));
+      e.target.value = repeats;
+      speech.saveSettings({ shadowingRepeats: repeats });
+    });
+
+    speech.onVoicesChanged(() => this.renderVoiceOptions());
+    this.renderVoiceOptions();
+  }
+
+  renderVoiceOptions() {
+    const select = this.speechSettings.querySelector('.speech-voice');
+    const note = this.speechSettings.querySelector('.speech-note');
+    const voices = speech.getVoices();
+    const { voiceURI } = speech.getSettings();
+
+    select.innerHTML = voices.map(voice => `
+      <option value="${voice.voiceURI}" ${voice.voiceURI === voiceURI ? 'selected' : ''}>${voice.name} (${voice.lang})</option>
+    `).join('');
+    select.disabled = voices.length === 0;
+
+    note.hidden = voices.length > 0;
+    note.textContent = config.audioFolder
+      ? 'Only recorded audio is available: no voice for this language is installed.'
+      : `No voice for ${config.dataset.language} is installed. You can add one in your system's speech settings.`;
+  }
+
+  toggleSpeechSettings() {
+    this.speechSettings.hidden = !this.speechSettings.hidden;
+    if (!this.speechSettings.hidden) this.renderVoiceOptions();
   }
 
   setFontSize(size) {
@@ -315,10 +775,30 @@ class Sidebar {
 // Create and export a singleton instance
 export const sidebar = new Sidebar();
 
+const RELATED_STATUS_LABELS = { known: '✓ known', seen: 'seen', new: 'new' };
+
+function renderStatusBar(label) {
+  const statuses = wordStats.getStatus(label);
+  return `
+    <div class="word-status-bar" data-word="${label}">
+      ${WORD_STATUSES.map(({ id, label: statusLabel, icon, title }) => `
+        <button class="word-status-btn status-${id}" data-status="${id}" title="${title}"
+          aria-pressed="${statuses.includes(id)}">${icon} ${statusLabel}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+function updateStatusBar(bar, statuses) {
+  bar.querySelectorAll('.word-status-btn').forEach(button => {
+    button.setAttribute('aria-pressed', statuses.includes(button.dataset.status));
+  });
+}
+
 function createFeedbackLink(label, content) {
   if (!label) return ''; // Don't show feedback link if no label is provided
   
-  const githubCardPage = `https://github.com/anvaka/lang-land-data/blob/main/hsk/v1/cards/${label}.md`;
+  const githubCardPage = createEditLink(config.dataset.editLink, label);
   
   return `
     <hr class="feedback-separator">
@@ -0,0 +1,159 @@
+import config from './config.js';
+import { getVoicesForLanguage, pickVoice } from './lib/speechVoices.js';
+
+const SETTINGS_KEY = 'hsk-land-speech';
+
+const DEFAULT_SETTINGS = {
+  voiceURI: null,
+  rate: 0.8,
+  shadowing: false,
+  shadowingRepeats: 3
+};
+
+/**
+ * Reads words and sentences aloud. Uses pre-rendered audio when the dataset
+ * ships it and falls back to the browser's speech synthesis.
+ */
+export const speech = {
+  // Incremented on every new playback, so stale loops stop
+  session: 0,
+  currentAudio: null,
+
+  /**
+   * @returns {boolean} Whether anything can be read aloud in this browser
+   */
+  isSupported() {
+    return hasSynthesis() || !!config.audioFolder;
+  },
+
+  /**
+   * @returns {Object} Voice, rate and shadowing settings
+   */
+  getSettings() {
+    try {
+      const stored = localStorage.getItem(SETTINGS_KEY);
+      return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.warn('Failed to parse speech settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * @param {Object} changes - Settings to update
+   */
+  saveSettings(changes) {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...this.getSettings(), ...changes }));
+    } catch (error) {
+      console.warn('Failed to save speech settings:', error);
+    }
+  },
+
+  /**
+   * @returns {Array<Object>} Installed voices that can read the dataset language
+   */
+  getVoices() {
+    if (!hasSynthesis()) return [];
+    return getVoicesForLanguage(speechSynthesis.getVoices(), config.dataset.language);
+  },
+
+  /**
+   * Voices are loaded asynchronously in most browsers
+   * @param {Function} callback - Called when the list of voices changes
+   */
+  onVoicesChanged(callback) {
+    if (hasSynthesis()) speechSynthesis.addEventListener('voiceschanged', callback);
+  },
+
+  /**
+   * Reads the text aloud, stopping anything that is playing
+   * @param {string} text - Text to read
+   * @param {Object} [options]
+   * @param {string} [options.audioFile] - File name in the dataset audio folder, e.g. "学习.mp3"
+   * @param {number} [options.repeat] - How many times to read it. Between repeats
+   *   there is a pause as long as the text itself, to repeat after the voice
+   * @returns {Promise} Resolves when reading is finished or interrupted
+   */
+  async speak(text, { audioFile, repeat = 1 } = {}) {
+    this.stop();
+    const session = this.session;
+
+    for (let i = 0; i < repeat && session === this.session; i++) {
+      const startedAt = Date.now();
+      await this.speakOnce(text, audioFile);
+      if (i < repeat - 1) await wait(Date.now() - startedAt);
+    }
+  },
+
+  async speakOnce(text, audioFile) {
+    if (config.audioFolder && audioFile) {
+      try {
+        await this.playAudio(`${config.audioFolder}${audioFile}`);
+        return;
+      } catch (error) {
+        // No pre-rendered audio for this text, use speech synthesis
+      }
+    }
+    await speakWithSynthesis(text, this.getSettings());
+  },
+
+  playAudio(url) {
+    return new Promise((resolve, reject) => {
+      const audio = new Audio(url);
+      audio.playbackRate = this.getSettings().rate;
+      audio.addEventListener('ended', resolve);
+      audio.addEventListener('pause', resolve);
+      audio.addEventListener('error', () => reject(new Error(`Failed to play ${url}`)));
+      this.currentAudio = audio;
+      audio.play().catch(reject);
+    });
+  },
+
+  /**
+   * Stops reading
+   */
+  stop() {
+    this.session += 1;
+    if (this.currentAudio) {
+      this.currentAudio.pause();
+      this.currentAudio = null;
+    }
+    if (hasSynthesis()) speechSynthesis.cancel();
+  }
+};
+
+function hasSynthesis() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+function speakWithSynthesis(text, settings) {
+  return new Promise((resolve, reject) => {
+    if (!hasSynthesis()) {
+      reject(new Error('Speech synthesis is not supported'));
+      return;
+    }
+
+    const voice = pickVoice(speechSynthesis.getVoices(), config.dataset.language, settings.voiceURI);
+    if (!voice) {
+      reject(new Error(`No voice for ${config.dataset.language}`));
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    utterance.rate = settings.rate;
+    utterance.addEventListener('end', resolve);
+    utterance.addEventListener('error', (e) => {
+      // Cancelling playback is not an error
+      if (e.error === 'interrupted' || e.error === 'canceled') resolve();
+      else reject(new Error(`Speech synthesis failed: ${e.error}`));
+    });
+    speechSynthesis.speak(utterance);
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
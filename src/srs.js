@@ -0,0 +1,115 @@
+/**
+ * Spaced repetition state for every word the learner has reviewed.
+ * Uses localStorage for persistent client-side storage, next to wordStats.
+ */
+import { scheduleReview, getDueTime } from './lib/spacedRepetition.js';
+import { mergeReviews } from './lib/progressFile.js';
+
+const STORAGE_KEY = 'hsk-land-srs';
+
+/**
+ * Maximum number of never-reviewed words added to one review session
+ */
+const NEW_WORDS_PER_SESSION = 20;
+
+export const srs = {
+  /**
+   * Retrieves all review cards from localStorage
+   * @returns {Object} Map of words to card objects
+   */
+  getCards() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.warn('Failed to parse review cards:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Persists review cards to localStorage
+   * @param {Object} cards - Map of words to card objects
+   */
+  saveCards(cards) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+    } catch (error) {
+      console.warn('Failed to save review cards:', error);
+    }
+  },
+
+  /**
+   * Gets the review card of a word
+   * @param {string} word - The word to check
+   * @returns {Object|null} Card or null if the word was never reviewed
+   */
+  getCard(word) {
+    if (!word) return null;
+    return this.getCards()[word] || null;
+  },
+
+  /**
+   * Records a self-graded answer and reschedules the word
+   * @param {string} word - The reviewed word
+   * @param {string} grade - One of 'again', 'hard', 'good', 'easy'
+   * @returns {Object} Updated card
+   */
+  grade(word, grade) {
+    const cards = this.getCards();
+    const card = scheduleReview(cards[word] || null, grade, Date.now());
+    cards[word] = card;
+    this.saveCards(cards);
+    return card;
+  },
+
+  /**
+   * Gets the time when a word should be reviewed next. Words that were only
+   * viewed become due a short while after the last view.
+   * @param {string} word - The word to check
+   * @param {number|null} lastViewTime - Timestamp of the last view, if any
+   * @returns {number|null} Due timestamp in ms or null if the word is unknown
+   */
+  getDueTime(word, lastViewTime = null) {
+    return getDueTime(this.getCard(word), lastViewTime);
+  },
+
+  /**
+   * Picks words that need a review: overdue cards first, then new words
+   * @param {Array<string>} discoveredWords - Words the learner has seen on the map
+   * @param {number} now - Time in ms
+   * @returns {Array<string>} Words to review in order
+   */
+  getDueWords(discoveredWords, now = Date.now()) {
+    const cards = this.getCards();
+    const dueCards = [];
+    const newWords = [];
+
+    discoveredWords.forEach(word => {
+      const card = cards[word];
+      if (!card) {
+        newWords.push(word);
+      } else if (card.due <= now) {
+        dueCards.push({ word, due: card.due });
+      }
+    });
+
+    dueCards.sort((a, b) => a.due - b.due);
+    return dueCards.map(c => c.word).concat(newWords.slice(0, NEW_WORDS_PER_SESSION));
+  },
+
+  /**
+   * Merges imported review cards, keeping the latest review of each word
+   * @param {Object} importedCards - Map of words to card objects
+   */
+  mergeCards(importedCards) {
+    this.saveCards(mergeReviews(this.getCards(), importedCards));
+  },
+
+  /**
+   * Clears all review cards
+   */
+  clearAll() {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
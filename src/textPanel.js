@@ -0,0 +1,210 @@
+import './textPanel.css';
+import { getGraph } from './graph.js';
+import { getWordPoints } from './points.js';
+import { analyzeText } from './lib/analyzeText.js';
+import { getLevelColor } from './mapStyles.js';
+import { fitToCoordinates } from './fitToCoordinates.js';
+import config from './config.js';
+import { formatLevel } from './lib/datasetManifest.js';
+
+/**
+ * "Analyze text" panel: paste a Chinese paragraph and see where its words
+ * live on the map, which characters are not covered and how the text is
+ * distributed across HSK levels.
+ */
+class TextPanel {
+  constructor() {
+    this.element = null;
+    this.map = null;
+    this.isOpen = false;
+    this.openWordCallback = null;
+    this.lastAnalysis = null;
+  }
+
+  /**
+   * Initialize the text panel
+   * @param {Object} map - MapLibre map instance
+   * @param {Function} openWordCallback - Opens a word card and flies to it
+   */
+  init(map, openWordCallback) {
+    this.map = map;
+    this.openWordCallback = openWordCallback;
+
+    this.element = document.createElement('div');
+    this.element.className = 'text-panel';
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.innerHTML = `
+      <div class="text-panel-content">
+        <button class="text close-btn" aria-label="Close text analysis">&times;</button>
+        <h3>Analyze Text</h3>
+        <textarea class="text-input" rows="6" placeholder="Paste a Chinese paragraph, e.g. 我喜欢学习中文。"></textarea>
+        <label class="text-route-toggle">
+          <input type="checkbox" class="route-toggle" checked> Connect words in reading order
+        </label>
+        <button class="analyze-btn">Show on map</button>
+        <div class="text-analysis"></div>
+      </div>
+    `;
+
+    this.element.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.element.querySelector('.analyze-btn').addEventListener('click', () => this.analyze());
+    this.element.querySelector('.route-toggle').addEventListener('change', () => {
+      if (this.lastAnalysis) this.highlightOnMap(this.lastAnalysis);
+    });
+    this.element.querySelector('.text-analysis').addEventListener('click', (e) => {
+      const word = e.target.closest('[data-word]')?.dataset.word;
+      if (word && this.openWordCallback) this.openWordCallback(word);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+
+    document.querySelector('#app').appendChild(this.element);
+    return this;
+  }
+
+  open() {
+    if (!this.element) return this; // Map is not created yet
+
+    this.isOpen = true;
+    this.element.classList.add('open');
+    this.element.setAttribute('aria-hidden', 'false');
+    this.element.querySelector('.text-input').focus();
+    return this;
+  }
+
+  close() {
+    if (!this.element) return this;
+
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.setAttribute('aria-hidden', 'true');
+    return this;
+  }
+
+  async analyze() {
+    const text = this.element.querySelector('.text-input').value;
+    const resultElement = this.element.querySelector('.text-analysis');
+    if (!text.trim()) {
+      resultElement.innerHTML = '';
+      return;
+    }
+
+    try {
+      const graph = await getGraph();
+      const levels = await getWordLevels();
+      this.lastAnalysis = { ...analyzeText(text, graph, levels, config.dataset.script), graph, levels };
+      this.renderResult(this.lastAnalysis);
+      this.highlightOnMap(this.lastAnalysis);
+    } catch (error) {
+      console.error('Failed to analyze text:', error);
+      resultElement.innerHTML = '<p class="no-data">Failed to analyze text.</p>';
+    }
+  }
+
+  renderResult(analysis) {
+    const { words, unknownCharacters, coverage, totalCharacters, knownCharacters, levels } = analysis;
+    const resultElement = this.element.querySelector('.text-analysis');
+
+    if (totalCharacters === 0) {
+      resultElement.innerHTML = '<p class="no-data">No Chinese characters found in the text.</p>';
+      return;
+    }
+
+    const percent = (count) => Math.round(100 * count / totalCharacters);
+
+    resultElement.innerHTML = `
+      <p class="text-summary">
+        <strong>${percent(knownCharacters)}%</strong> of ${totalCharacters} characters are covered by
+        <strong>${words.length}</strong> map words.
+      </p>
+      <div class="stats-section">
+        <h4>Coverage by ${config.dataset.levels.name} level</h4>
+        ${coverage.map(({ level, words: wordCount, characters }) => `
+          <div class="coverage-row">
+            <span class="coverage-label">${level ? formatLevel(config.dataset.levels, level) : 'Other'}</span>
+            <span class="coverage-bar">
+              <span style="width: ${percent(characters)}%; background-color: ${getLevelColor(level)}"></span>
+            </span>
+            <span class="coverage-value">${percent(characters)}% · ${wordCount} words</span>
+          </div>
+        `).join('')}
+      </div>
+      ${unknownCharacters.length > 0 ? `
+        <div class="stats-section">
+          <h4>Unknown characters (${unknownCharacters.length})</h4>
+          <div class="text-unknown">${unknownCharacters.join(' ')}</div>
+        </div>
+      ` : ''}
+      <div class="stats-section">
+        <h4>Words in the text</h4>
+        <div class="text-words">
+          ${words.map(word => `
+            <button class="text-word" data-word="${word}" style="border-color: ${getLevelColor(levels.get(word))}">${word}</button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  highlightOnMap({ tokens, words, graph, levels }) {
+    const nodes = [];
+    const coordinatesByWord = new Map();
+
+    words.forEach(word => {
+      const node = graph.getNode(word);
+      if (!node?.data?.coordinates) return;
+
+      const coordinates = node.data.coordinates;
+      coordinatesByWord.set(word, coordinates);
+      nodes.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: {
+          color: getLevelColor(levels.get(word)),
+          size: node.data.c ? node.data.c / 3 : 1
+        }
+      });
+    });
+
+    const edges = [];
+    if (this.element.querySelector('.route-toggle').checked) {
+      // Route follows the words in reading order
+      const route = tokens
+        .map(token => coordinatesByWord.get(token))
+        .filter(Boolean)
+        .filter((coordinates, index, all) => index === 0 || coordinates !== all[index - 1]);
+
+      if (route.length > 1) {
+        edges.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: route }
+        });
+      }
+    }
+
+    this.map.getSource('highlighted-nodes').setData({ type: 'FeatureCollection', features: nodes });
+    this.map.getSource('highlighted-edges').setData({ type: 'FeatureCollection', features: edges });
+    this.map.getSource('highlighted-region').setData({ type: 'FeatureCollection', features: [] });
+
+    fitToCoordinates(this.map, [...coordinatesByWord.values()], this.element);
+  }
+}
+
+async function getWordLevels() {
+  try {
+    const points = await getWordPoints();
+    const levels = new Map();
+    points.forEach(({ level }, word) => {
+      if (level !== undefined) levels.set(word, level);
+    });
+    return levels;
+  } catch (error) {
+    // Analysis still works, just without HSK levels
+    return new Map();
+  }
+}
+
+// Create and export a singleton instance
+export const textPanel = new TextPanel();
@@ -1,23 +1,64 @@
 import './wordStats.css';
+import { srs } from './srs.js';
+import {
+  createProgressFile,
+  parseProgressFile,
+  historyToCsv
+} from './lib/progressFile.js';
+import { createAnkiExport } from './ankiExport.js';
+import { isOfflineSupported, downloadForOffline, getStorageUsage } from './offline.js';
+import { formatBytes } from './lib/formatBytes.js';
+import { summarizeQuizResults } from './lib/practiceQuestions.js';
+import {
+  VISIT_TYPES,
+  QUIZ_TYPES,
+  migrateLegacyHistory,
+  queryEvents,
+  getTimestampsByWord,
+  mergeEvents
+} from './lib/wordEvents.js';
+import {
+  DAY_MS,
+  getFirstSeenTimes,
+  buildDailyActivity,
+  getStreaks,
+  getActivityLevel
+} from './lib/activityTimeline.js';
+import { WORD_STATUSES, setWordStatus, getWordsWithStatus, mergeWordStatuses } from './lib/wordStatus.js';
+import { coverageDashboard } from './coverageDashboard.js';
 /**
  * Handles tracking and analysis of word click statistics
  * Uses localStorage for persistent client-side storage
  */
 
-const STORAGE_KEY = 'hsk-land-word-stats';
+const STORAGE_KEY = 'hsk-land-events';
+// Older versions stored bare view timestamps and quiz answers under these keys
+const LEGACY_VIEWS_KEY = 'hsk-land-word-stats';
+const LEGACY_QUIZ_KEY = 'hsk-land-quiz';
+const STATUS_KEY = 'hsk-land-word-status';
+// Words with most quiz mistakes shown in the stats sidebar
+const MAX_HARDEST_WORDS = 10;
+// Periods of the activity timeline, in days
+const TIMELINE_PERIODS = [7, 30, 90];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 /**
- * WordStats module to track and analyze user interactions with words
+ * WordStats module to track and analyze user interactions with words.
+ * Every interaction is a typed event (see lib/wordEvents.js); "clicks" are
+ * the events where the learner opened a card on purpose.
  */
 export const wordStats = {
+  statusListeners: [],
+
   /**
-   * Retrieves the complete click history from localStorage
-   * @returns {Object} Map of words to timestamp arrays
+   * Retrieves all events from localStorage, migrating data of older versions
+   * @returns {Object} Map of words to event arrays
    */
-  getHistory() {
+  getEvents() {
     try {
       const stored = localStorage.getItem(STORAGE_KEY);
-      return stored ? JSON.parse(stored) : {};
+      if (stored) return JSON.parse(stored);
+      return this.migrateLegacyData();
     } catch (error) {
       console.warn('Failed to parse word stats:', error);
       return {};
@@ -25,32 +66,71 @@ export const wordStats = {
   },
 
   /**
-   * Persists click history to localStorage
-   * @param {Object} history - The history object to save
+   * Persists events to localStorage
+   * @param {Object} events - Map of words to event arrays
    */
-  saveHistory(history) {
+  saveEvents(events) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(events));
     } catch (error) {
       console.warn('Failed to save word stats:', error);
       // Could offer to clear some data if storage is full
     }
   },
 
+  migrateLegacyData() {
+    const views = localStorage.getItem(LEGACY_VIEWS_KEY);
+    const quiz = localStorage.getItem(LEGACY_QUIZ_KEY);
+    if (!views && !quiz) return {};
+
+    const events = migrateLegacyHistory(
+      views ? JSON.parse(views) : {},
+      quiz ? JSON.parse(quiz) : {}
+    );
+    this.saveEvents(events);
+    localStorage.removeItem(LEGACY_VIEWS_KEY);
+    localStorage.removeItem(LEGACY_QUIZ_KEY);
+    return events;
+  },
+
+  /**
+   * Records an event with current timestamp
+   * @param {string} word - The word of the event
+   * @param {string} type - Event type, see lib/wordEvents.js
+   * @param {Object} [details] - Extra fields stored with the event
+   */
+  recordEvent(word, type, details = {}) {
+    if (!word) return;
+
+    const events = this.getEvents();
+    events[word] = events[word] || [];
+    events[word].push({ type, timestamp: Date.now(), ...details });
+    this.saveEvents(events);
+  },
+
+  /**
+   * @param {Object} [filter] - See queryEvents in lib/wordEvents.js
+   * @returns {Array<Object>} Matching events with their `word`, newest first
+   */
+  queryEvents(filter) {
+    return queryEvents(this.getEvents(), filter);
+  },
+
+  /**
+   * Retrieves the click history: times each word card was opened on purpose
+   * @returns {Object} Map of words to timestamp arrays
+   */
+  getHistory() {
+    return getTimestampsByWord(this.getEvents(), VISIT_TYPES);
+  },
+
   /**
    * Records a word click with current timestamp
    * @param {string} word - The word that was clicked
+   * @param {string} [type] - How the word was opened: 'view', 'search' or 'link-follow'
    */
-  recordClick(word) {
-    if (!word) return;
-    
-    const history = this.getHistory();
-    const timestamp = Date.now();
-    
-    history[word] = history[word] || [];
-    history[word].push(timestamp);
-    
-    this.saveHistory(history);
+  recordClick(word, type = 'view') {
+    this.recordEvent(word, type);
   },
 
   /**
@@ -60,11 +140,9 @@ export const wordStats = {
    */
   getLastClickTime(word) {
     if (!word) return null;
-    
-    const history = this.getHistory();
-    if (!history[word] || history[word].length === 0) return null;
-    
-    return history[word][history[word].length - 1];
+
+    const [last] = this.queryEvents({ word, types: VISIT_TYPES });
+    return last ? last.timestamp : null;
   },
 
   /**
@@ -74,9 +152,8 @@ export const wordStats = {
    */
   getClickCount(word) {
     if (!word) return 0;
-    
-    const history = this.getHistory();
-    return history[word]?.length || 0;
+
+    return this.queryEvents({ word, types: VISIT_TYPES }).length;
   },
 
   /**
@@ -108,9 +185,7 @@ export const wordStats = {
    * @returns {number} Click count
    */
   getTotalClickCount() {
-    const history = this.getHistory();
-    return Object.values(history)
-      .reduce((total, timestamps) => total + timestamps.length, 0);
+    return this.queryEvents({ types: VISIT_TYPES }).length;
   },
 
   /**
@@ -119,23 +194,142 @@ export const wordStats = {
    * @returns {Array} Array of recent click objects with word and timestamp
    */
   getRecentClicks(days = 7) {
-    const history = this.getHistory();
-    const cutoffTime = Math.floor(Date.now() / 1000) - (days * 86400); // 86400 = seconds in a day
-    
-    return Object.entries(history)
-      .flatMap(([word, timestamps]) => 
-        timestamps
-          .filter(timestamp => timestamp >= cutoffTime)
-          .map(timestamp => ({ word, timestamp }))
-      )
-      .sort((a, b) => b.timestamp - a.timestamp);
+    const cutoffTime = Date.now() - days * DAY_MS;
+
+    return this.queryEvents({ types: VISIT_TYPES, since: cutoffTime })
+      .map(({ word, timestamp }) => ({ word, timestamp }));
+  },
+
+  /**
+   * Merges imported events into the stored ones
+   * @param {Object} importedEvents - Map of words to event arrays
+   */
+  mergeEvents(importedEvents) {
+    this.saveEvents(mergeEvents(this.getEvents(), importedEvents));
+  },
+
+  /**
+   * Retrieves quiz answers
+   * @returns {Object} Map of words to arrays of {timestamp, quiz, correct, score}
+   */
+  getQuizHistory() {
+    const history = {};
+    this.queryEvents({ types: QUIZ_TYPES }).reverse().forEach(({ word, type, ...details }) => {
+      history[word] = history[word] || [];
+      history[word].push({ ...details, correct: type === 'quiz-correct' });
+    });
+    return history;
+  },
+
+  /**
+   * Records an answer to a quiz question about a word
+   * @param {string} word - The word that was asked
+   * @param {Object} result
+   * @param {string} result.quiz - Kind of quiz, e.g. 'locate'
+   * @param {boolean} result.correct - Whether the answer was right
+   * @param {number} [result.score] - Points for the answer
+   */
+  recordQuizResult(word, { quiz, correct, score }) {
+    const details = score === undefined ? { quiz } : { quiz, score };
+    this.recordEvent(word, correct ? 'quiz-correct' : 'quiz-wrong', details);
+  },
+
+  /**
+   * Retrieves status flags of all words
+   * @returns {Object} Map of words to arrays of status ids (see lib/wordStatus.js)
+   */
+  getStatuses() {
+    try {
+      return JSON.parse(localStorage.getItem(STATUS_KEY)) || {};
+    } catch (error) {
+      console.warn('Failed to parse word statuses:', error);
+      return {};
+    }
+  },
+
+  /**
+   * @param {string} word - The word to check
+   * @returns {Array<string>} Status ids of the word
+   */
+  getStatus(word) {
+    return this.getStatuses()[word] || [];
+  },
+
+  /**
+   * @param {string} word - The word to check
+   * @param {string} status - Status id
+   * @returns {boolean} Whether the word has the status
+   */
+  hasStatus(word, status) {
+    return this.getStatus(word).includes(status);
+  },
+
+  /**
+   * @param {string} status - Status id
+   * @returns {Array<string>} Words that have the status
+   */
+  getWordsWithStatus(status) {
+    return getWordsWithStatus(this.getStatuses(), status);
+  },
+
+  /**
+   * Sets or clears a status of a word and notifies listeners
+   * @param {string} word - The word to change
+   * @param {string} status - Status id
+   * @param {boolean} [enabled] - Toggles the status when omitted
+   */
+  setStatus(word, status, enabled) {
+    if (!word) return;
+
+    const wasSet = this.hasStatus(word, status);
+    const statuses = setWordStatus(this.getStatuses(), word, status, enabled);
+    this.saveStatuses(statuses);
+
+    const isSet = (statuses[word] || []).includes(status);
+    if (isSet === wasSet) return;
+    if (status === 'known' && isSet) this.recordEvent(word, 'marked-known');
+    this.statusListeners.forEach(listener => listener(word, statuses[word] || []));
+  },
+
+  /**
+   * Merges imported statuses into the stored ones and notifies listeners
+   * @param {Object} importedStatuses - Map of words to status id arrays
+   */
+  mergeStatuses(importedStatuses) {
+    const previous = this.getStatuses();
+    const statuses = mergeWordStatuses(previous, importedStatuses);
+    this.saveStatuses(statuses);
+
+    Object.keys(statuses)
+      .filter(word => String(statuses[word]) !== String(previous[word] || []))
+      .forEach(word => this.statusListeners.forEach(listener => listener(word, statuses[word])));
+  },
+
+  saveStatuses(statuses) {
+    try {
+      localStorage.setItem(STATUS_KEY, JSON.stringify(statuses));
+    } catch (error) {
+      console.warn('Failed to save word statuses:', error);
+    }
+  },
+
+  /**
+   * @param {Function} listener - Called with (word, statuses) when statuses of a word change
+   */
+  onStatusChange(listener) {
+    this.statusListeners.push(listener);
   },
 
   /**
    * Clears all tracking data
    */
   clearAll() {
+    const words = Object.keys(this.getStatuses());
     localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(LEGACY_VIEWS_KEY);
+    localStorage.removeItem(LEGACY_QUIZ_KEY);
+    localStorage.removeItem(STATUS_KEY);
+    words.forEach(word => this.statusListeners.forEach(listener => listener(word, [])));
   }
 };
 
@@ -150,6 +344,8 @@ export const statsModal = {
     column: 'count', // Default sort by click count
     direction: 'asc' // Default direction (ascending)
   },
+  timelineDays: TIMELINE_PERIODS[0],
+  statusFilter: 'all', // 'all' or a status id
 
   /**
    * Initialize the stats sidebar
@@ -182,13 +378,53 @@ export const statsModal = {
               <span class="stat-label">Total Views</span>
             </div>
           </div>
+          <div class="stats-section">
+            <div class="timeline-header">
+              <h4>Activity</h4>
+              <div class="timeline-periods">
+                ${TIMELINE_PERIODS.map(days => `
+                  <button class="timeline-period" data-days="${days}">${days}d</button>
+                `).join('')}
+              </div>
+            </div>
+            <div class="activity-timeline" id="activity-timeline"></div>
+          </div>
+          <div class="stats-section">
+            <h4>Coverage</h4>
+            <div id="coverage"></div>
+          </div>
           <div class="stats-section">
             <h4>Most Reviewed Words</h4>
+            <div class="status-filters" aria-label="Show words with status">
+              <button class="status-filter" data-filter="all">All</button>
+              ${WORD_STATUSES.map(({ id, label, icon }) => `
+                <button class="status-filter status-${id}" data-filter="${id}">${icon} ${label}</button>
+              `).join('')}
+            </div>
             <div class="most-clicked-list" id="most-clicked-list">
               <p class="no-data">No words viewed yet. Start exploring!</p>
             </div>
           </div>
+          <div class="stats-section">
+            <h4>Quiz Results</h4>
+            <div id="quiz-results">
+              <p class="no-data">No quiz answers yet.</p>
+            </div>
+          </div>
+          <div class="stats-section offline-section">
+            <h4>Offline Use</h4>
+            <p class="offline-storage" id="offline-storage"></p>
+            <progress class="offline-progress" id="offline-progress" value="0" max="1" hidden></progress>
+            <button class="transfer-btn" id="download-offline" title="Save every card on this device to study without a connection">Download for offline</button>
+          </div>
           <div class="stats-actions">
+            <div class="stats-transfer">
+              <button class="transfer-btn" id="export-json" title="Save full history to a file you can import on another device">Export</button>
+              <button class="transfer-btn" id="export-csv" title="Save word, view count and last viewed time as CSV">Export CSV</button>
+              <button class="transfer-btn" id="import-json" title="Merge history from an exported file">Import</button>
+              <button class="transfer-btn" id="export-anki" title="Save discovered words as an Anki import file">Anki</button>
+              <input type="file" id="import-file" accept=".json,application/json" hidden>
+            </div>
             <button class="clear-stats-btn" id="clear-stats">Reset Progress</button>
           </div>
         </div>
@@ -203,8 +439,20 @@ export const statsModal = {
     const closeBtn = this.element.querySelector('.close-btn');
     const clearBtn = this.element.querySelector('#clear-stats');
     
+    const importInput = this.element.querySelector('#import-file');
+    
     closeBtn.addEventListener('click', () => this.close());
     clearBtn.addEventListener('click', () => this.promptClear());
+    this.element.querySelector('#export-json').addEventListener('click', () => this.exportJson());
+    this.element.querySelector('#export-csv').addEventListener('click', () => this.exportCsv());
+    this.element.querySelector('#import-json').addEventListener('click', () => importInput.click());
+    this.element.querySelector('#export-anki').addEventListener('click', () => this.exportAnki());
+    this.element.querySelector('#download-offline').addEventListener('click', () => this.downloadOffline());
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = ''; // Allow importing the same file again
+      if (file) this.importFile(file);
+    });
     
     // Close on escape key
     document.addEventListener('keydown', (e) => {
@@ -213,6 +461,34 @@ export const statsModal = {
 
     // Handle clicks on words to navigate to them on the map
     this.element.addEventListener('click', (e) => {
+      const periodButton = e.target.closest('.timeline-period');
+      if (periodButton) {
+        this.timelineDays = Number(periodButton.dataset.days);
+        this.refreshTimeline();
+        return;
+      }
+
+      const countryRow = e.target.closest('.coverage-row[data-country]');
+      if (countryRow) {
+        coverageDashboard.toggleCountry(countryRow.dataset.country, this.element);
+        return;
+      }
+
+      const statusFilter = e.target.closest('.status-filter');
+      if (statusFilter) {
+        this.statusFilter = statusFilter.dataset.filter;
+        this.refreshStats();
+        return;
+      }
+
+      // Status toggles sit inside word rows, so handle them before opening the word
+      const statusToggle = e.target.closest('.status-toggle');
+      if (statusToggle) {
+        wordStats.setStatus(statusToggle.closest('.word-stat-item').dataset.word, statusToggle.dataset.status);
+        this.refreshStats();
+        return;
+      }
+
       // Handle column header sorting
       const sortHeader = e.target.closest('.sortable');
       if (sortHeader) {
@@ -267,6 +543,7 @@ export const statsModal = {
   close() {
     this.element.classList.remove('open');
     this.isOpen = false;
+    coverageDashboard.clearFocus();
   },
 
   /**
@@ -296,15 +573,29 @@ export const statsModal = {
   refreshStats() {
     const uniqueWords = wordStats.getUniqueWordCount();
     const totalClicks = wordStats.getTotalClickCount();
-    let mostClicked = wordStats.getMostClicked();
+    let mostClicked = this.getFilteredWords();
+    const statuses = wordStats.getStatuses();
     
     document.getElementById('unique-words').textContent = uniqueWords;
     document.getElementById('total-clicks').textContent = totalClicks;
+    this.refreshStorageUsage();
+    this.refreshTimeline();
+    this.refreshQuizResults();
+    coverageDashboard.render(document.getElementById('coverage'), {
+      discovered: new Set(Object.keys(wordStats.getHistory())),
+      known: new Set(wordStats.getWordsWithStatus('known'))
+    });
     
+    this.element.querySelectorAll('.status-filter').forEach(button => {
+      button.classList.toggle('active', button.dataset.filter === this.statusFilter);
+    });
+
     const listContainer = document.getElementById('most-clicked-list');
     
     if (mostClicked.length === 0) {
-      listContainer.innerHTML = '<p class="no-data">No words viewed yet. Start exploring!</p>';
+      listContainer.innerHTML = this.statusFilter === 'all'
+        ? '<p class="no-data">No words viewed yet. Start exploring!</p>'
+        : '<p class="no-data">No words with this status yet.</p>';
     } else {
       // Sort the data according to current sort state
       mostClicked = this.sortData(mostClicked);
@@ -323,6 +614,7 @@ export const statsModal = {
                 <th class="word-column sortable" data-sort="word" title="Click to sort alphabetically">Word${getSortIndicator('word')}</th>
                 <th class="count-column sortable" data-sort="count" title="Click to sort by view count">Views${getSortIndicator('count')}</th>
                 <th class="time-column sortable" data-sort="lastClicked" title="Click to sort by last viewed time">Last Viewed${getSortIndicator('lastClicked')}</th>
+                <th class="status-column">Status</th>
               </tr>
             </thead>
             <tbody>
@@ -333,6 +625,12 @@ export const statsModal = {
                     <td class="word-name">${word}</td>
                     <td class="word-count">${count}</td>
                     <td class="word-last-viewed">${formattedDate}</td>
+                    <td class="word-status">
+                      ${WORD_STATUSES.map(({ id, icon, title }) => `
+                        <button class="status-toggle status-${id}" data-status="${id}" title="${title}"
+                          aria-pressed="${(statuses[word] || []).includes(id)}">${icon}</button>
+                      `).join('')}
+                    </td>
                   </tr>
                 `;
               }).join('')}
@@ -343,16 +641,213 @@ export const statsModal = {
     }
   },
 
+  /**
+   * Words of the table: all viewed words, or the words with the selected status
+   * @returns {Array} Array of {word, count, lastClicked} objects
+   */
+  getFilteredWords() {
+    const mostClicked = wordStats.getMostClicked();
+    if (this.statusFilter === 'all') return mostClicked;
+
+    // Cards opened from deep links or the review get statuses without a recorded view
+    const viewed = new Map(mostClicked.map(item => [item.word, item]));
+    return wordStats.getWordsWithStatus(this.statusFilter)
+      .map(word => viewed.get(word) || { word, count: 0, lastClicked: null });
+  },
+
+  /**
+   * Show daily activity, streaks and new words of the selected period
+   */
+  refreshTimeline() {
+    const days = this.timelineDays;
+    const events = wordStats.queryEvents();
+    const activity = buildDailyActivity(
+      wordStats.queryEvents({ since: Date.now() - days * DAY_MS }),
+      getFirstSeenTimes(wordStats.getHistory()),
+      { days }
+    );
+    const streaks = getStreaks(events.map(event => event.timestamp));
+    const maxCount = Math.max(0, ...activity.map(day => day.count));
+    const maxNewWords = Math.max(0, ...activity.map(day => day.newWords));
+    const newWordsTotal = activity.reduce((total, day) => total + day.newWords, 0);
+
+    this.element.querySelectorAll('.timeline-period').forEach(button => {
+      button.classList.toggle('active', Number(button.dataset.days) === days);
+    });
+
+    // Empty cells before the first day line it up with its weekday row
+    const padding = Array.from({ length: activity[0].weekday }, () => '<span class="activity-day empty"></span>');
+    document.getElementById('activity-timeline').innerHTML = `
+      <div class="timeline-streaks">
+        <span><strong>${streaks.current}</strong> day streak</span>
+        <span>Longest: <strong>${streaks.longest}</strong></span>
+        <span><strong>${newWordsTotal}</strong> new words</span>
+      </div>
+      <div class="activity-heatmap" aria-label="Daily activity">
+        ${padding.join('')}
+        ${activity.map(({ date, weekday, count }) => `
+          <span class="activity-day level-${getActivityLevel(count, maxCount)}"
+            title="${WEEKDAY_NAMES[weekday]} ${date}: ${count} ${count === 1 ? 'action' : 'actions'}"></span>
+        `).join('')}
+      </div>
+      <div class="new-words-chart" aria-label="New words per day">
+        ${activity.map(({ date, newWords }) => `
+          <span class="new-words-bar" title="${date}: ${newWords} new ${newWords === 1 ? 'word' : 'words'}"
+            style="height: ${maxNewWords ? Math.round(100 * newWords / maxNewWords) : 0}%"></span>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Show quiz accuracy and the words answered wrong most often
+   */
+  refreshQuizResults() {
+    const { answered, correct, hardest } = summarizeQuizResults(wordStats.getQuizHistory());
+    const container = document.getElementById('quiz-results');
+
+    if (answered === 0) {
+      container.innerHTML = '<p class="no-data">No quiz answers yet.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="quiz-summary">${answered} answers · ${Math.round(100 * correct / answered)}% correct</p>
+      ${hardest.length > 0 ? `
+        <table class="word-stats-table">
+          <thead>
+            <tr>
+              <th class="word-column">Word</th>
+              <th class="count-column">Mistakes</th>
+              <th class="count-column">Answers</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${hardest.slice(0, MAX_HARDEST_WORDS).map(({ word, wrong, total }) => `
+              <tr class="word-stat-item" data-word="${word}">
+                <td class="word-name">${word}</td>
+                <td class="word-count">${wrong}</td>
+                <td class="word-count">${total}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+    `;
+  },
+
   /**
    * Confirm and clear statistics data
    */
   promptClear() {
     if (confirm('Reset all word learning progress? This cannot be undone.')) {
       wordStats.clearAll();
+      srs.clearAll();
       this.refreshStats();
     }
   },
 
+  /**
+   * Download the full learning history as a versioned JSON file
+   */
+  exportJson() {
+    const progress = createProgressFile(wordStats.getEvents(), srs.getCards(), wordStats.getStatuses());
+    downloadFile(`lang-land-progress-${getDateStamp()}.json`, JSON.stringify(progress), 'application/json');
+  },
+
+  /**
+   * Download word, view count and last viewed time as CSV
+   */
+  exportCsv() {
+    downloadFile(`lang-land-words-${getDateStamp()}.csv`, historyToCsv(wordStats.getHistory()), 'text/csv');
+  },
+
+  /**
+   * Download discovered words as an Anki import file
+   */
+  async exportAnki() {
+    const words = Object.keys(wordStats.getHistory());
+    if (words.length === 0) {
+      alert('No words discovered yet. Click words on the map first.');
+      return;
+    }
+
+    const button = this.element.querySelector('#export-anki');
+    button.disabled = true;
+    try {
+      const content = await createAnkiExport(words, (loaded, total) => {
+        button.textContent = `${loaded}/${total}`;
+      });
+      downloadFile(`lang-land-anki-${getDateStamp()}.txt`, content, 'text/plain');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Anki';
+    }
+  },
+
+  /**
+   * Download every card so the map works without a connection
+   */
+  async downloadOffline() {
+    const button = this.element.querySelector('#download-offline');
+    const progress = this.element.querySelector('#offline-progress');
+    button.disabled = true;
+    progress.hidden = false;
+
+    try {
+      const { failed } = await downloadForOffline((processed, total) => {
+        progress.max = total;
+        progress.value = processed;
+        button.textContent = `${processed}/${total}`;
+      });
+      if (failed > 0) {
+        alert(`${failed} cards could not be downloaded. Try again to resume.`);
+      }
+    } catch (error) {
+      console.warn('Failed to download for offline use:', error);
+      alert(`Could not download for offline use: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Download for offline';
+      progress.hidden = true;
+      this.refreshStorageUsage();
+    }
+  },
+
+  /**
+   * Show how much space cached data takes on this device
+   */
+  async refreshStorageUsage() {
+    const section = this.element.querySelector('.offline-section');
+    if (!isOfflineSupported()) {
+      section.hidden = true;
+      return;
+    }
+
+    const estimate = await getStorageUsage();
+    section.querySelector('#offline-storage').textContent = estimate
+      ? `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available storage.`
+      : 'Storage usage is not available in this browser.';
+  },
+
+  /**
+   * Merge progress from an exported file into the local history
+   * @param {File} file - File selected by the user
+   */
+  async importFile(file) {
+    try {
+      const { events, statuses, reviews } = parseProgressFile(await file.text());
+      wordStats.mergeEvents(events);
+      wordStats.mergeStatuses(statuses);
+      srs.mergeCards(reviews);
+      this.refreshStats();
+      alert(`Imported progress for ${Object.keys(events).length} words.`);
+    } catch (error) {
+      console.warn('Failed to import progress:', error);
+      alert(`Could not import progress: ${error.message}`);
+    }
+  },
+
   /**
    * Format Unix timestamp into relative time or date
    * @param {number} timestamp - Unix timestamp in seconds
@@ -375,3 +870,18 @@ export const statsModal = {
     return date.toLocaleDateString();
   }
 };
+
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function getDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
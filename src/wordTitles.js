@@ -0,0 +1,25 @@
+import config from './config.js';
+import { extractTitles } from './lib/parseFlashcard.js';
+
+// Cache for the titles to avoid multiple downloads
+let titlesPromise = null;
+
+/**
+ * Loads pinyin and English meaning of every word from the flashcard titles
+ * @returns {Promise<Map>} Map of words to {pinyin, english}
+ */
+export function getWordTitles() {
+  if (!titlesPromise) {
+    titlesPromise = fetch(config.flashcardsUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load flashcards: ${response.statusText}`);
+        return response.json();
+      })
+      .then(extractTitles)
+      .catch(error => {
+        titlesPromise = null; // Allow retrying later
+        throw error;
+      });
+  }
+  return titlesPromise;
+}
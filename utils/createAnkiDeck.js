@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * This script turns structured flashcards (produced by restructure_flashcards.js)
+ * into an Anki import package: a tab separated notes file plus a media folder
+ * with the card images.
+ *
+ * Import the notes file with File > Import in Anki and copy the media folder
+ * contents into your Anki collection.media folder.
+ *
+ * Usage: node createAnkiDeck.js <structured-json> <output-dir> [options]
+ *   --levels 1,2,3          Only include words of these HSK levels
+ *   --points <file>         points.geojson with HSK levels (required for --levels)
+ *   --progress <file>       Only include words from an exported progress file
+ *   --images <dir>          Folder with <word>.webp images (default: ../public/images_optimized)
+ *   --deck <name>           Anki deck name (default: HSK Land)
+ *
+ * Example: node createAnkiDeck.js ../public/flashcards_structured.json ./anki --levels 1,2 --points ../public/points.geojson
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createAnkiNote, createAnkiImportFile } from '../src/lib/ankiNotes.js';
+import { parseProgressFile } from '../src/lib/progressFile.js';
+
+/**
+ * Read HSK levels of the words from points geojson
+ * @param {Object} pointsGeojson - Parsed points.geojson
+ * @returns {Map} Map with words as keys and levels as values
+ */
+function getHskLevels(pointsGeojson) {
+  const levels = new Map();
+  pointsGeojson.features.forEach(feature => {
+    const { label, l } = feature.properties || {};
+    if (label && l !== undefined) levels.set(label, l);
+  });
+  return levels;
+}
+
+/**
+ * Pick words to export
+ * @param {Object} flashcards - Structured flashcards data
+ * @param {Object} filters
+ * @param {Array<number>} [filters.levels] - Allowed HSK levels
+ * @param {Map} [filters.hskLevels] - Map of words to HSK levels
+ * @param {Set<string>} [filters.discovered] - Words the learner has viewed
+ * @returns {Array<string>} Selected words
+ */
+function selectWords(flashcards, { levels = null, hskLevels = new Map(), discovered = null } = {}) {
+  return Object.keys(flashcards).filter(word => {
+    if (levels && !levels.includes(hskLevels.get(word))) return false;
+    if (discovered && !discovered.has(word)) return false;
+    return true;
+  });
+}
+
+/**
+ * Build notes for the selected words
+ * @param {Object} flashcards - Structured flashcards data
+ * @param {Array<string>} words - Words to include
+ * @param {Object} options
+ * @param {Function} [options.hasImage] - Tells whether an image exists for a word
+ * @param {Map} [options.hskLevels] - Map of words to HSK levels, used for tags
+ * @returns {Array<Array<string>>} Anki notes
+ */
+function buildNotes(flashcards, words, { hasImage = () => false, hskLevels = new Map() } = {}) {
+  return words.map(word => {
+    const level = hskLevels.get(word);
+    return createAnkiNote(word, flashcards[word], {
+      imageSrc: hasImage(word) ? `${word}.webp` : '',
+      tags: level !== undefined ? ['hsk-land', `hsk${level}`] : ['hsk-land']
+    });
+  });
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = {
+    input: args[0],
+    output: args[1],
+    levels: null,
+    points: null,
+    progress: null,
+    images: null,
+    deck: 'HSK Land'
+  };
+
+  for (let i = 2; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--levels':
+        options.levels = value.split(',').map(Number);
+        break;
+      case '--points':
+        options.points = value;
+        break;
+      case '--progress':
+        options.progress = value;
+        break;
+      case '--images':
+        options.images = value;
+        break;
+      case '--deck':
+        options.deck = value;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// Export functions for testing
+export {
+  getHskLevels,
+  selectWords,
+  buildNotes,
+  parseArgs
+};
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2) {
+    console.log('Usage: node createAnkiDeck.js <structured-json> <output-dir> [--levels 1,2] [--points points.geojson] [--progress progress.json] [--images dir] [--deck name]');
+    process.exit(1);
+  }
+
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = dirname(__filename);
+
+  const options = parseArgs(args);
+  if (options.levels && !options.points) {
+    console.error('Error: --levels requires --points to read HSK levels from');
+    process.exit(1);
+  }
+
+  const flashcards = JSON.parse(readFileSync(resolve(options.input), 'utf8'));
+  const hskLevels = options.points
+    ? getHskLevels(JSON.parse(readFileSync(resolve(options.points), 'utf8')))
+    : new Map();
+  const discovered = options.progress
+    ? new Set(Object.keys(parseProgressFile(readFileSync(resolve(options.progress), 'utf8')).history))
+    : null;
+  const imagesDir = options.images ? resolve(options.images) : join(__dirname, '../public/images_optimized');
+
+  const words = selectWords(flashcards, { levels: options.levels, hskLevels, discovered });
+  const hasImage = word => existsSync(join(imagesDir, `${word}.webp`));
+  const notes = buildNotes(flashcards, words, { hasImage, hskLevels });
+
+  const outputDir = resolve(options.output);
+  const mediaDir = join(outputDir, 'media');
+  mkdirSync(mediaDir, { recursive: true });
+
+  writeFileSync(join(outputDir, 'hsk-land.txt'), createAnkiImportFile(notes, { deckName: options.deck }), 'utf8');
+
+  let imageCount = 0;
+  words.forEach(word => {
+    if (!hasImage(word)) return;
+    copyFileSync(join(imagesDir, `${word}.webp`), join(mediaDir, `${word}.webp`));
+    imageCount++;
+  });
+
+  console.log(`Exported ${notes.length} notes and ${imageCount} images to ${outputDir}`);
+}
+
+// Execute only if run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
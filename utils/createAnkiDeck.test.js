@@ -0,0 +1,113 @@
+/**
+ * Tests for the Anki deck export utility
+ */
+
+import { describe, test, expect } from 'vitest';
+import { getHskLevels, selectWords, buildNotes, parseArgs } from './createAnkiDeck.js';
+import { createAnkiImportFile } from '../src/lib/ankiNotes.js';
+
+const flashcards = {
+  '火柴': {
+    pinyin: 'huǒchái',
+    english: 'Match (for lighting fire)',
+    characterBreakdown: [
+      '- **火 (huǒ)**: Fire, flame.',
+      '- **柴 (chái)**: Firewood, kindling.'
+    ],
+    examples: ['- 我需要火柴点蜡烛。(Wǒ xūyào huǒchái diǎn làzhú.) - I need matches to light the candle.'],
+    usageNotes: [],
+    memoryAids: ['- Think of "fire" + "wood"']
+  },
+  '爱': {
+    pinyin: 'ài',
+    english: 'Love',
+    characterBreakdown: [],
+    examples: [],
+    usageNotes: [],
+    memoryAids: []
+  }
+};
+
+const points = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { label: '火柴', l: 4 } },
+    { type: 'Feature', properties: { label: '爱', l: 1 } },
+    { type: 'Feature', properties: { label: '没有HSK' } }
+  ]
+};
+
+describe('getHskLevels', () => {
+  test('reads levels from point features', () => {
+    const levels = getHskLevels(points);
+    expect(levels.get('火柴')).toBe(4);
+    expect(levels.get('爱')).toBe(1);
+    expect(levels.has('没有HSK')).toBe(false);
+  });
+});
+
+describe('selectWords', () => {
+  const hskLevels = getHskLevels(points);
+
+  test('returns all words without filters', () => {
+    expect(selectWords(flashcards)).toEqual(['火柴', '爱']);
+  });
+
+  test('filters by HSK level', () => {
+    expect(selectWords(flashcards, { levels: [1, 2], hskLevels })).toEqual(['爱']);
+  });
+
+  test('filters by discovered words', () => {
+    expect(selectWords(flashcards, { discovered: new Set(['火柴']) })).toEqual(['火柴']);
+  });
+});
+
+describe('buildNotes', () => {
+  test('creates one field per flashcard part', () => {
+    const [note] = buildNotes(flashcards, ['火柴'], {
+      hasImage: () => true,
+      hskLevels: getHskLevels(points)
+    });
+
+    expect(note).toEqual([
+      '火柴',
+      'huǒchái',
+      'Match (for lighting fire)',
+      '<b>火 (huǒ)</b>: Fire, flame.<br><b>柴 (chái)</b>: Firewood, kindling.',
+      '我需要火柴点蜡烛。(Wǒ xūyào huǒchái diǎn làzhú.) - I need matches to light the candle.',
+      'Think of &quot;fire&quot; + &quot;wood&quot;',
+      '<img src="火柴.webp">',
+      'hsk-land hsk4'
+    ]);
+  });
+
+  test('leaves the image field empty when there is no image', () => {
+    const [note] = buildNotes(flashcards, ['爱']);
+    expect(note[6]).toBe('');
+    expect(note[7]).toBe('hsk-land');
+  });
+});
+
+describe('createAnkiImportFile', () => {
+  test('writes Anki headers and one tab separated row per note', () => {
+    const notes = buildNotes(flashcards, ['爱']);
+    const lines = createAnkiImportFile(notes, { deckName: 'My deck' }).trim().split('\n');
+
+    expect(lines[0]).toBe('#separator:tab');
+    expect(lines[2]).toBe('#deck:My deck');
+    expect(lines[4]).toBe('#tags column:8');
+    expect(lines[5].split('\t')).toHaveLength(8);
+  });
+});
+
+describe('parseArgs', () => {
+  test('parses filters', () => {
+    const options = parseArgs(['in.json', 'out', '--levels', '1,3', '--points', 'p.geojson']);
+    expect(options.levels).toEqual([1, 3]);
+    expect(options.points).toBe('p.geojson');
+  });
+
+  test('rejects unknown options', () => {
+    expect(() => parseArgs(['in.json', 'out', '--color', 'red'])).toThrow('Unknown option: --color');
+  });
+});
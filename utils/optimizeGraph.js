@@ -1,33 +1,70 @@
 import toDot from 'ngraph.todot';
 import fromDot from 'ngraph.fromdot';
 import fs from 'fs';
+import { normalizeDotGraph, encodeCompactGraph } from '../src/lib/compactGraph.js';
 
-const points = JSON.parse(fs.readFileSync('../public/points.geojson', 'utf8'));
-const dotContent = fs.readFileSync('../public/graph.dot', 'utf8');
-const graph = fromDot(dotContent);
-
-points.features.forEach((point) => {
-  const id = point.properties.label;
-  if (graph.hasNode(id)) {
-    const node = graph.getNode(id);
-    node.data = {
-      c: node.data.count,
-      l: point.geometry.coordinates.join(','),
+/**
+ * Keeps only what the client needs: word count and position of each node,
+ * and the similarity weight of each link
+ * @param {Object} graph - ngraph instance parsed from graph.dot, changed in place
+ * @param {Object} points - Points GeoJSON with word labels
+ * @returns {Object} The same graph
+ */
+export function optimizeGraph(graph, points) {
+  points.features.forEach((point) => {
+    const id = point.properties.label;
+    if (graph.hasNode(id)) {
+      const node = graph.getNode(id);
+      node.data = {
+        c: node.data.count,
+        l: point.geometry.coordinates.join(','),
+      }
+    } else {
+      throw new Error(`Node with id ${id} not found in graph`);
     }
-  } else {
-    throw new Error(`Node with id ${id} not found in graph`);
-  }
-});
-
-graph.forEachLink((link) => {
-  const sourceNode = graph.getNode(link.fromId);
-  const targetNode = graph.getNode(link.toId);
-  link.data = {
-    w: Math.round(link.data.weight)
+  });
+
+  // Weights are kept exact: rounding turned weak links into 0, which the client
+  // reads as a link without weight (full strength)
+  graph.forEachLink((link) => {
+    link.data = {
+      w: Number(link.data.weight)
+    };
+  });
+
+  return graph;
+}
+
+/**
+ * Both files the client can load, made from the same optimized graph, so
+ * either loader gives the same words, positions and weights
+ * @param {Object} graph - Graph from optimizeGraph()
+ * @returns {{dot: string, compact: Object}} Contents of graph_opt.dot and graph.json
+ */
+export function createGraphFiles(graph) {
+  const dot = toDot(graph);
+  // Encoded from the DOT text, so the two files cannot disagree
+  return {
+    dot,
+    compact: encodeCompactGraph(normalizeDotGraph(fromDot(dot)))
   };
-});
+}
+
+function main() {
+  const points = JSON.parse(fs.readFileSync('../public/points.geojson', 'utf8'));
+  const graph = optimizeGraph(fromDot(fs.readFileSync('../public/graph.dot', 'utf8')), points);
+  console.log(`Graph has ${graph.getNodesCount()} nodes and ${graph.getLinksCount()} links.`);
+
+  const { dot, compact } = createGraphFiles(graph);
+  fs.writeFileSync('../public/graph_opt.dot', dot, 'utf8');
+  console.log('Optimized graph saved to graph_opt.dot');
+
+  // Same graph with numeric coordinates, loaded by the client without parsing DOT
+  fs.writeFileSync('../public/graph.json', JSON.stringify(compact), 'utf8');
+  console.log('Compact graph saved to graph.json');
+}
 
-console.log(`Graph has ${graph.getNodesCount()} nodes and ${graph.getLinksCount()} links.`);
-const dotOutput = toDot(graph);
-fs.writeFileSync('../public/graph_opt.dot', dotOutput, 'utf8');
-console.log('Optimized graph saved to graph_opt.dot');
\ No newline at end of file
+// Execute the main function if this module is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,59 @@
+/**
+ * Tests for the graph files served to the client
+ */
+
+import { describe, test, expect } from 'vitest';
+import createGraph from 'ngraph.graph';
+import fromDot from 'ngraph.fromdot';
+import { normalizeDotGraph, decodeCompactGraph, buildGraphFromColumns } from '../src/lib/compactGraph.js';
+import { optimizeGraph, createGraphFiles } from './optimizeGraph.js';
+
+function buildSourceGraph() {
+  const graph = createGraph();
+  graph.addNode('爱', { count: 12 });
+  graph.addNode('喜欢', { count: 4 });
+  graph.addNode('恨', { count: 1 });
+  graph.addLink('爱', '喜欢', { weight: 7.25 });
+  graph.addLink('喜欢', '恨', { weight: 0.3 });
+  graph.addLink('爱', '恨', { weight: 0.04 });
+  return graph;
+}
+
+const points = {
+  features: [
+    { properties: { label: '爱' }, geometry: { coordinates: [1.25, -3.5] } },
+    { properties: { label: '喜欢' }, geometry: { coordinates: [2, 4.75] } },
+    { properties: { label: '恨' }, geometry: { coordinates: [-10.125, 0] } }
+  ]
+};
+
+function describeGraph(graph) {
+  const nodes = [];
+  const links = [];
+  graph.forEachNode(node => nodes.push([node.id, node.data]));
+  graph.forEachLink(link => links.push([link.fromId, link.toId, link.data]));
+  return { nodes, links };
+}
+
+describe('createGraphFiles', () => {
+  test('DOT and compact files load into identical graphs', () => {
+    const { dot, compact } = createGraphFiles(optimizeGraph(buildSourceGraph(), points));
+
+    const dotGraph = normalizeDotGraph(fromDot(dot));
+    const compactGraph = buildGraphFromColumns(decodeCompactGraph(JSON.parse(JSON.stringify(compact))));
+
+    expect(describeGraph(compactGraph)).toEqual(describeGraph(dotGraph));
+  });
+
+  test('keeps weak links weak', () => {
+    const { compact } = createGraphFiles(optimizeGraph(buildSourceGraph(), points));
+    expect(compact.weights).toEqual([7.25, 0.3, 0.04]);
+  });
+});
+
+describe('optimizeGraph', () => {
+  test('rejects points that are not in the graph', () => {
+    const extra = { features: [...points.features, { properties: { label: '好' }, geometry: { coordinates: [0, 0] } }] };
+    expect(() => optimizeGraph(buildSourceGraph(), extra)).toThrow('Node with id 好 not found in graph');
+  });
+});
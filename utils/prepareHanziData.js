@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * This script prepares character data for the sidebar character panel from
+ * Make Me A Hanzi (https://github.com/skishore/makemeahanzi):
+ * - <output-dir>/dictionary.txt with decompositions and radicals
+ * - <output-dir>/graphics/<character>.json with strokes and medians
+ *
+ * Only characters used on the map (and their components) are kept, so the
+ * dictionary stays small enough to load in the browser.
+ *
+ * Usage: node prepareHanziData.js <makemeahanzi-dir> <output-dir> [options]
+ *   --points <file>         points.geojson of the map (default: keep every character)
+ *
+ * Example: node prepareHanziData.js ~/makemeahanzi ../public/hanzi --points ../public/points.geojson
+ *
+ * Then add "hanzi": "hanzi/" to the sources of the dataset manifest.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { parseHanziDictionary, getAllComponents } from '../src/lib/hanziDecomposition.js';
+
+/**
+ * Collect characters of all words on the map
+ * @param {Object} pointsGeojson - Parsed points.geojson
+ * @returns {Set<string>} Characters used by the words
+ */
+function getMapCharacters(pointsGeojson) {
+  const characters = new Set();
+  pointsGeojson.features.forEach(feature => {
+    const { label } = feature.properties || {};
+    if (label) [...label].forEach(character => characters.add(character));
+  });
+  return characters;
+}
+
+/**
+ * Add components of the characters, so the panel can decompose them too
+ * @param {Iterable<string>} characters - Characters to keep
+ * @param {Map} dictionary - Parsed dictionary
+ * @returns {Set<string>} Characters with all their components
+ */
+function addComponents(characters, dictionary) {
+  const selected = new Set();
+  for (const character of characters) {
+    if (!dictionary.has(character)) continue;
+    selected.add(character);
+    getAllComponents(character, dictionary).forEach(component => {
+      if (dictionary.has(component)) selected.add(component);
+    });
+  }
+  return selected;
+}
+
+/**
+ * Keep dictionary lines of the selected characters
+ * @param {string} text - Contents of dictionary.txt
+ * @param {Set<string>} selected - Characters to keep
+ * @returns {string} Filtered dictionary in the same JSON lines format
+ */
+function filterDictionary(text, selected) {
+  return text.split('\n')
+    .filter(line => line.trim() && selected.has(JSON.parse(line).character))
+    .join('\n') + '\n';
+}
+
+/**
+ * Pick strokes of the selected characters from graphics.txt
+ * @param {string} text - Contents of graphics.txt
+ * @param {Set<string>} selected - Characters to keep
+ * @returns {Array<Object>} {character, strokes, medians} of the selected characters
+ */
+function selectGraphics(text, selected) {
+  return text.split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(entry => selected.has(entry.character))
+    .map(({ character, strokes, medians }) => ({ character, strokes, medians }));
+}
+
+function parseArgs(args) {
+  const options = {
+    input: args[0],
+    output: args[1],
+    points: null
+  };
+
+  for (let i = 2; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--points':
+        options.points = value;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+export {
+  getMapCharacters,
+  addComponents,
+  filterDictionary,
+  selectGraphics,
+  parseArgs
+};
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2) {
+    console.log('Usage: node prepareHanziData.js <makemeahanzi-dir> <output-dir> [--points points.geojson]');
+    process.exit(1);
+  }
+
+  const options = parseArgs(args);
+  const inputDir = resolve(options.input);
+  const dictionaryText = readFileSync(join(inputDir, 'dictionary.txt'), 'utf8');
+  const dictionary = parseHanziDictionary(dictionaryText);
+
+  const characters = options.points
+    ? getMapCharacters(JSON.parse(readFileSync(resolve(options.points), 'utf8')))
+    : dictionary.keys();
+  const selected = addComponents(characters, dictionary);
+
+  const outputDir = resolve(options.output);
+  const graphicsDir = join(outputDir, 'graphics');
+  mkdirSync(graphicsDir, { recursive: true });
+
+  writeFileSync(join(outputDir, 'dictionary.txt'), filterDictionary(dictionaryText, selected), 'utf8');
+
+  const graphics = selectGraphics(readFileSync(join(inputDir, 'graphics.txt'), 'utf8'), selected);
+  graphics.forEach(({ character, strokes, medians }) => {
+    writeFileSync(join(graphicsDir, `${character}.json`), JSON.stringify({ strokes, medians }), 'utf8');
+  });
+
+  console.log(`Saved ${selected.size} characters and ${graphics.length} stroke files to ${outputDir}`);
+}
+
+// Execute only if run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,66 @@
+/**
+ * Tests for the character data preparation utility
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  getMapCharacters,
+  addComponents,
+  filterDictionary,
+  selectGraphics,
+  parseArgs
+} from './prepareHanziData.js';
+import { parseHanziDictionary } from '../src/lib/hanziDecomposition.js';
+
+const dictionaryText = [
+  { character: '你', decomposition: '⿰亻尔', radical: '亻' },
+  { character: '亻', decomposition: '？', radical: '亻' },
+  { character: '尔', decomposition: '⿱⺈小', radical: '小' },
+  { character: '小', decomposition: '？', radical: '小' },
+  { character: '好', decomposition: '⿰女子', radical: '女' },
+  { character: '女', decomposition: '？', radical: '女' }
+].map(entry => JSON.stringify(entry)).join('\n');
+
+const points = {
+  features: [
+    { properties: { label: '你', l: 1 } },
+    { properties: { label: '你们', l: 1 } }
+  ]
+};
+
+describe('prepareHanziData', () => {
+  test('collects characters of the map words', () => {
+    expect([...getMapCharacters(points)]).toEqual(['你', '们']);
+  });
+
+  test('keeps known characters with their components', () => {
+    const dictionary = parseHanziDictionary(dictionaryText);
+    const selected = addComponents(['你', '们'], dictionary);
+
+    expect([...selected].sort()).toEqual(['亻', '你', '小', '尔'].sort());
+
+    const filtered = parseHanziDictionary(filterDictionary(dictionaryText, selected));
+    expect(filtered.has('好')).toBe(false);
+    expect(filtered.get('你').decomposition).toBe('⿰亻尔');
+  });
+
+  test('selects strokes of the kept characters', () => {
+    const graphicsText = [
+      JSON.stringify({ character: '你', strokes: ['M 0 0'], medians: [[[0, 0], [1, 1]]] }),
+      JSON.stringify({ character: '好', strokes: ['M 1 1'], medians: [[[1, 1]]] })
+    ].join('\n');
+
+    expect(selectGraphics(graphicsText, new Set(['你']))).toEqual([
+      { character: '你', strokes: ['M 0 0'], medians: [[[0, 0], [1, 1]]] }
+    ]);
+  });
+
+  test('parses arguments', () => {
+    expect(parseArgs(['in', 'out', '--points', 'points.geojson'])).toEqual({
+      input: 'in',
+      output: 'out',
+      points: 'points.geojson'
+    });
+    expect(() => parseArgs(['in', 'out', '--oops', '1'])).toThrow('Unknown option');
+  });
+});
@@ -1,10 +1,42 @@
 // Configure Vite with base directory as empty string for relative paths
 import { defineConfig } from 'vite'
+import { readFileSync } from 'fs'
+import { CACHE_NAMES } from './src/lib/cacheNames.js'
+
+/**
+ * Builds sw.js from src/serviceWorker.js with the cache names and the list of
+ * hashed assets of this build, so the service worker can precache them on install
+ */
+function serviceWorker() {
+  return {
+    name: 'lang-land-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter(fileName => /\.(js|css)$/.test(fileName))
+        .map(fileName => `./${fileName}`);
+      const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8');
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: [
+          `const CACHE_NAMES = ${JSON.stringify(CACHE_NAMES)};`,
+          `const BUILD_ASSETS = ${JSON.stringify(assets)};`,
+          '',
+          source
+        ].join('\n')
+      });
+    }
+  }
+}
 
 export default defineConfig({
   base: '', // Use relative paths instead of root-based paths
+  plugins: [serviceWorker()],
   test: {
     globals: true,
     environment: 'node',
   },
-})
\ No newline at end of file
+})